@@ -1,24 +1,10 @@
 const yargsParser = require('yargs-parser');
+const registry = require('./registry');
+const output = require('./output');
+const { CliError } = require('./errors');
 
 module.exports = parse;
 
-const parserConfig = {
-    alias: {
-        version: 'v',
-        help: 'h',
-        port: 'p'
-    },
-    array: [],
-    nargs: {
-        start: 1,
-        stop: 1,
-        install: 1,
-        reset: 1,
-        port: 1
-    },
-    boolean: ['version', 'help'],
-};
-
 function version() {
     const {
         version
@@ -26,46 +12,147 @@ function version() {
     return `helios version: ${ version }`;
 }
 
-function usage() {
-    return `
+function rows(list) {
+    const width = Math.max(19, ...list.map(([left]) => left.length)) + 2;
+    return list.map(([left, right]) => `  ${left.padEnd(width)}${right || ''}`.trimEnd()).join('\n');
+}
+
+function optionRows(options) {
+    return rows(Object.entries(options).map(([name, option]) => {
+        const flag = (option.alias ? `-${option.alias}, ` : '') + `--${name}` + (option.type !== 'boolean' ? ` <${option.type || 'string'}>` : '');
+        const description = (option.description || '') + (option.default !== undefined ? ` (default: ${option.default})` : '');
+        return [flag, description];
+    }));
+}
+
+function argsSynopsis(definition) {
+    return definition.args
+        .map(arg => {
+            const name = arg.name + (arg.variadic ? '...' : '');
+            return arg.required ? `<${name}>` : `[${name}]`;
+        })
+        .join(' ');
+}
+
+function commandRows(commands) {
+    return rows(commands.map(x => {
+        const definition = x.definition;
+        const synopsis = definition.subcommands.length > 0 ? '<command>' : argsSynopsis(definition);
+        return [`${definition.name} ${synopsis}`.trim(), definition.description];
+    }));
+}
+
+function usage(resolved) {
+    if (resolved == undefined || resolved.command == undefined) {
+        return `
 Usage:
-  node_modules/.bin/helios [command] [options]
+  helios [command] [options]
 
 Commands:
-  start                Start NodeManager
-  stop                 Stop NodeManager
-  install              Install NodeManager
-  update               Update NodeManager
-  reset                Reset NodeManager
-  generate-wallet      Generate Wallet
-  firewall             Firewall (suggestions)
+${commandRows(registry.commands)}
 
 Options:
-  -p, --port         change debug port default --port=8080
-  -v, --version      Show version number
-  -h, --help         Show help
+${optionRows(registry.globalOptions)}
+
+Run "helios help <command>" for more information on a command.
 `;
+    }
+    const definition = resolved.command.definition;
+    const isGroup = definition.subcommands.length > 0;
+    const name = ['helios', ...resolved.path].join(' ');
+    const synopsis = isGroup ? '<command>' : argsSynopsis(definition);
+    const ownOptions = Object.fromEntries(Object.entries(resolved.options).filter(([key]) => registry.globalOptions[key] == undefined));
+
+    let text = `
+Usage:
+  ${`${name} ${synopsis}`.trim()} [options]
+
+${definition.description}
+`;
+    if (isGroup) {
+        text += `
+Commands:
+${commandRows(definition.subcommands)}
+`;
+    }
+    if (!isGroup && definition.args.length > 0) {
+        text += `
+Arguments:
+${rows(definition.args.map(arg => [arg.name, (arg.description || '') + (arg.default !== undefined ? ` (default: ${arg.default})` : '')]))}
+`;
+    }
+    if (Object.keys(ownOptions).length > 0) {
+        text += `
+Options:
+${optionRows(ownOptions)}
+`;
+    }
+    text += `
+Global Options:
+${optionRows(registry.globalOptions)}
+`;
+    if (isGroup) {
+        text += `
+Run "${['helios', 'help', ...resolved.path].join(' ')} <command>" for more information on a command.
+`;
+    }
+    return text;
+}
+
+function fail(argv, errors, help) {
+    if (argv.json) {
+        const error = new CliError(errors[0].code, errors.map(x => x.message).join('\n'));
+        output.writeError(argv._.join(' '), error);
+        return 1;
+    }
+    if (help) {
+        console.log(help);
+    }
+    console.error(errors.map(x => x.message).join('\n'));
+    return 1;
 }
 
 function parse(args = process.argv.slice(2)) {
-    let argv = yargsParser(args, parserConfig);
+    let argv = yargsParser(args, registry.parserConfig(registry.globalOptions));
 
     if (argv.version) {
         argv._[0] = 'version';
     }
-    if (argv.help) {
-        console.log(usage());
+    if (argv._[0] === 'help') {
+        const resolved = registry.resolve(argv._.slice(1));
+        if (resolved.unknown != undefined) {
+            return fail(argv, registry.validate(resolved, { _: argv._ }));
+        }
+        console.log(usage(resolved));
         return 0;
     }
-    if (argv.p && !Number.isInteger(argv.p)) {
-        console.error('--port need number value.');
+    if (argv._.length == 0) {
+        if (argv.help) {
+            console.log(usage());
+            return 0;
+        }
+        return fail(argv, [new CliError('MISSING_COMMAND', 'Please specify a single command.')], usage());
+    }
+
+    const resolved = registry.resolve(argv._);
+    if (resolved.command != undefined && resolved.unknown == undefined) {
+        argv = yargsParser(args, registry.parserConfig(resolved.options));
+    }
+    if (argv.help && resolved.unknown == undefined) {
+        console.log(usage(resolved));
         return 0;
     }
-    if (argv._.length == 0) {
-        console.log(usage());
-        console.error('Please specify a single command.');
-        return 1;
+    if (resolved.unknown == undefined && resolved.command.definition.subcommands.length > 0) {
+        return fail(argv, [new CliError('MISSING_COMMAND', 'Please specify a command.')], usage(resolved));
+    }
+
+    const errors = registry.validate(resolved, argv);
+    if (errors.length > 0) {
+        return fail(argv, errors);
     }
+
     argv.command = argv._[0];
+    argv.commandPath = resolved.path;
+    argv.args = registry.namedArgs(resolved);
     return argv;
-}
\ No newline at end of file
+}
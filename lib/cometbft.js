@@ -0,0 +1,84 @@
+const profiles = require('./profiles');
+const network = require('./network');
+const { CliError } = require('./errors');
+
+// Minimal client for the CometBFT RPC (port 26657).
+function createCometClient(baseUrl, { timeout = 5000 } = {}) {
+    baseUrl = String(baseUrl).replace(/\/+$/, '');
+
+    async function get(endpoint) {
+        let response;
+        try {
+            response = await fetch(`${baseUrl}${endpoint}`, { signal: AbortSignal.timeout(timeout) });
+        } catch (error) {
+            throw new CliError('RPC_UNREACHABLE', `CometBFT RPC ${baseUrl} is unreachable (${error.cause ? error.cause.code || error.cause.message : error.message})`);
+        }
+        if (response.status != 200) {
+            throw new CliError('RPC_ERROR', `CometBFT RPC ${baseUrl}${endpoint} failed status=${response.status}`);
+        }
+        let body;
+        try {
+            body = await response.json();
+        } catch (e) {
+            throw new CliError('RPC_ERROR', `CometBFT RPC ${baseUrl}${endpoint} answered with invalid JSON`);
+        }
+        // JSON-RPC envelope { jsonrpc, id, result } on most versions
+        return body.result !== undefined ? body.result : body;
+    }
+
+    return {
+        baseUrl,
+        status: async () => {
+            const status = await get('/status');
+            return {
+                network: status.node_info ? status.node_info.network : null,
+                catchingUp: status.sync_info.catching_up === true,
+                latestBlockHeight: Number(status.sync_info.latest_block_height),
+                latestBlockTime: status.sync_info.latest_block_time
+            };
+        },
+        // hex addresses of the validators that signed block `height`
+        commitSigners: async (height) => {
+            const commit = await get(`/commit?height=${height}`);
+            return (commit.signed_header.commit.signatures || []).filter(x => x.validator_address).map(x => x.validator_address.toUpperCase());
+        },
+        peers: async () => Number((await get('/net_info')).n_peers),
+        netInfo: async () => {
+            const info = await get('/net_info');
+            return (info.peers || []).map(peer => {
+                const port = /:(\d+)$/.exec(peer.node_info.listen_addr || '');
+                return {
+                    id: peer.node_info.id,
+                    moniker: peer.node_info.moniker,
+                    host: peer.remote_ip,
+                    port: port ? Number(port[1]) : null,
+                    direction: peer.is_outbound ? 'outbound' : 'inbound',
+                    // Duration is in nanoseconds
+                    connectedFor: peer.connection_status ? Math.round(Number(peer.connection_status.Duration) / 1e9) : null
+                };
+            });
+        }
+    };
+}
+
+// RPC of a node from the host: --rpc-url, the published 26657 port, or the
+// heliosnet address of the container when the port is not published.
+function nodeRpcUrl(options, node) {
+    if (options.argv['rpc-url']) {
+        return options.argv['rpc-url'];
+    }
+    const profile = profiles.getActiveProfile(options);
+    const settings = network.getNetworkSettings({ argv: {} }, profile);
+    const published = network.publishedPorts(settings, profile.port, node.index).find(x => x.name === 'rpc');
+
+    if (published) {
+        const address = published.address === network.DEFAULT_BIND ? '127.0.0.1' : published.address;
+        return `http://${address.includes(':') ? `[${address}]` : address}:${published.hostPort}`;
+    }
+    return `http://${network.nodeAddress(settings.subnet, node.index)}:26657`;
+}
+
+module.exports = {
+    createCometClient,
+    nodeRpcUrl
+};
@@ -3,38 +3,60 @@ const path = require("path");
 const executeMultipleShellCommand = require('../utils/executeMultipleShellCommand');
 const executeShellCommand = require('../utils/executeShellCommandLine');
 const getImageVersion = require('../utils/getImageVersion');
+const defineCommand = require('../utils/defineCommand');
+
+const ports = [
+    { port: 8080, description: 'HTTP interface (dev/API?)', recommendation: 'Can be blocked if not required' },
+    { port: 8545, description: 'JSON-RPC (public)', recommendation: 'Strongly recommended to restrict' },
+    { port: 8546, description: 'WebSocket RPC', recommendation: 'Block if unused' },
+    { port: 8547, description: 'Private/internal RPC', recommendation: 'Block if unused' },
+    { port: 1317, description: 'Cosmos REST API', recommendation: 'Required for external queries' },
+    { port: 26656, description: 'Tendermint P2P', recommendation: 'Required for peer connectivity' },
+    { port: 26657, description: 'Tendermint RPC', recommendation: 'Should be secured or restricted' },
+    { port: 10337, description: 'Internal service (?)', recommendation: 'Review and block if not used' },
+    { port: 9090, description: 'Cosmos gRPC', recommendation: 'Required for light clients' }
+];
+
+const rules = [
+    'sudo ufw deny 8080',
+    'sudo ufw deny 8546',
+    'sudo ufw deny 8547',
+    'sudo ufw deny 10337'
+];
+
+const localRules = [
+    'sudo ufw allow from 127.0.0.1 to any port 8545'
+];
 
 function version(options) {
     return new Promise((resolve, reject) => {
+        if (options.argv.json) {
+            resolve({ ports, rules, localRules });
+            return;
+        }
         console.log("\nPorts exposed by your Helios node:\n");
         console.log(" Port   | Description                   | Recommendation");
         console.log("--------|-------------------------------|-----------------------------------------");
-        console.log(" 8080   | HTTP interface (dev/API?)     | Can be blocked if not required");
-        console.log(" 8545   | JSON-RPC (public)             | Strongly recommended to restrict");
-        console.log(" 8546   | WebSocket RPC                 | Block if unused");
-        console.log(" 8547   | Private/internal RPC          | Block if unused");
-        console.log(" 1317   | Cosmos REST API               | Required for external queries");
-        console.log(" 26656  | Tendermint P2P                | Required for peer connectivity");
-        console.log(" 26657  | Tendermint RPC                | Should be secured or restricted");
-        console.log(" 10337  | Internal service (?)          | Review and block if not used");
-        console.log(" 9090   | Cosmos gRPC                   | Required for light clients\n");
+        ports.forEach((x, i) => {
+            console.log(` ${String(x.port).padEnd(7)}| ${x.description.padEnd(30)}| ${x.recommendation}` + (i == ports.length - 1 ? '\n' : ''));
+        });
 
         console.log("Suggested firewall rules (using UFW):\n");
-        console.log("sudo ufw deny 8080");
-        console.log("sudo ufw deny 8546");
-        console.log("sudo ufw deny 8547");
-        console.log("sudo ufw deny 10337\n");
+        console.log(rules.join('\n') + '\n');
 
         console.log("To allow local access to public RPC only:\n");
-        console.log("sudo ufw allow from 127.0.0.1 to any port 8545\n");
+        console.log(localRules.join('\n') + '\n');
 
         console.log("Note:");
         console.log("- These rules are suggestions and will not be applied automatically.");
         console.log("- Verify which ports are needed in your specific setup before applying.");
         console.log("- For advanced users, consider using nftables or iptables directly.\n");
 
-        resolve(undefined);
+        resolve({ ports, rules, localRules });
     });
 };
 
-module.exports = version;
\ No newline at end of file
+module.exports = defineCommand({
+    name: 'firewall',
+    description: 'Firewall (suggestions)'
+}, version);
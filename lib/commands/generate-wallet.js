@@ -2,17 +2,24 @@ const ora = require('ora');
 const executeMultipleShellCommand = require('../utils/executeMultipleShellCommand');
 const ethers = require('ethers');
 const { ethToHelios } = require("@helios-chain-labs/address-converter");
+const defineCommand = require('../utils/defineCommand');
 
-function cmds() {
+function cmds(options, result) {
     var array = [
         {
             cmd: (success, failure) => {
                 const wallet = ethers.Wallet.createRandom();
                 const heliosAddress = ethToHelios(wallet.address);
 
-                console.log(`Private Key    : ${wallet.privateKey}`);
-                console.log(`Address        : ${wallet.address}`);
-                console.log(`Cosmos Address : ${heliosAddress}`);
+                result.privateKey = wallet.privateKey;
+                result.address = wallet.address;
+                result.cosmosAddress = heliosAddress;
+
+                if (!options.argv.json) {
+                    console.log(`Private Key    : ${wallet.privateKey}`);
+                    console.log(`Address        : ${wallet.address}`);
+                    console.log(`Cosmos Address : ${heliosAddress}`);
+                }
                 success();
             }
         },
@@ -23,12 +30,16 @@ function cmds() {
 
 function generateWallet(options) {
     return new Promise((resolve, reject) => {
-        const exeCmds = cmds();
+        const result = {};
+        const exeCmds = cmds(options, result);
         executeMultipleShellCommand(exeCmds, 0, executeMultipleShellCommand, () => {
             ora("Wallet generated successfully").succeed();
-            resolve(undefined);
+            resolve(result);
         });
     });
 };
 
-module.exports = generateWallet;
\ No newline at end of file
+module.exports = defineCommand({
+    name: 'generate-wallet',
+    description: 'Generate Wallet'
+}, generateWallet);
@@ -0,0 +1,11 @@
+const defineCommand = require('../utils/defineCommand');
+
+module.exports = defineCommand({
+    name: 'genesis',
+    description: 'Work on genesis files offline',
+    subcommands: [
+        require('./genesis/migrate'),
+        require('./genesis/validate'),
+        require('./genesis/diff')
+    ]
+});
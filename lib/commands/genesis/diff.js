@@ -0,0 +1,42 @@
+const fs = require("fs");
+const path = require("path");
+const defineCommand = require("../../utils/defineCommand");
+const genesisDiff = require("../../genesis-diff");
+const { CliError } = require("../../errors");
+
+function diff(options) {
+    return new Promise(async (resolve, reject) => {
+        try {
+            const { a, b } = options.argv.args;
+
+            for (const file of [a, b]) {
+                if (!fs.existsSync(file)) {
+                    reject(new CliError('FILE_NOT_FOUND', `${file} not found`));
+                    return;
+                }
+            }
+            const modules = options.argv.module ? String(options.argv.module).split(',').map(x => x.trim()).filter(x => x) : undefined;
+            const result = await genesisDiff.diffGenesisFiles(a, b, { modules, top: options.argv.top });
+
+            if (!options.argv.json) {
+                genesisDiff.printDiff(result);
+            }
+            resolve({ a: path.resolve(a), b: path.resolve(b), modules: result });
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+module.exports = defineCommand({
+    name: 'diff',
+    description: 'Summarise per module what changed between two genesis files',
+    args: [
+        { name: 'a', type: 'string', description: 'Genesis before, e.g. the exported genesis', required: true },
+        { name: 'b', type: 'string', description: 'Genesis after, e.g. the migrated genesis', required: true }
+    ],
+    options: {
+        module: { type: 'string', description: 'Only these modules, comma separated (genesis for chain_id, initial_height and consensus params)' },
+        top: { type: 'number', description: 'Biggest balance changes listed per denom', default: 5 }
+    }
+}, diff);
@@ -0,0 +1,71 @@
+const fs = require("fs");
+const path = require("path");
+const defineCommand = require("../../utils/defineCommand");
+const genesis = require("../../genesis");
+const formatBytes = require("../../utils/formatBytes");
+const trackPeakMemory = require("../../utils/trackPeakMemory");
+const { CliError } = require("../../errors");
+
+function migrate(options) {
+    return new Promise(async (resolve, reject) => {
+        try {
+            const input = options.argv.args.genesis;
+            const template = options.argv.template;
+            const out = options.argv.out;
+
+            if (!out) {
+                reject(new CliError('MISSING_OPTION', 'Please specify the migrated genesis file with --out <file>'));
+                return;
+            }
+            for (const file of [input, template]) {
+                if (!fs.existsSync(file)) {
+                    reject(new CliError('FILE_NOT_FOUND', `${file} not found`));
+                    return;
+                }
+            }
+            const recipe = genesis.loadRecipe(options.argv.recipe);
+            const context = { initializer: options.argv.initializer };
+            const stopTracking = trackPeakMemory();
+            let summary, refunds;
+
+            if (options.argv['in-memory']) {
+                const result = genesis.migrateGenesis(
+                    JSON.parse(fs.readFileSync(input, 'utf8')),
+                    JSON.parse(fs.readFileSync(template, 'utf8')),
+                    recipe,
+                    context
+                );
+                fs.writeFileSync(out, JSON.stringify(result.genesis, null, 2));
+                ({ summary, refunds } = result);
+            } else {
+                ({ summary, refunds } = await genesis.migrateGenesisFile(input, template, out, recipe, context));
+            }
+            const peakMemory = stopTracking();
+
+            if (!options.argv.json) {
+                genesis.printSummary(summary);
+                genesis.printRefunds(refunds);
+                console.log(`Migrated genesis written to ${out}`);
+                console.log(`Peak memory: ${formatBytes(peakMemory.rss)} RSS, ${formatBytes(peakMemory.heapUsed)} heap`);
+            }
+            resolve({ input: path.resolve(input), template: path.resolve(template), out: path.resolve(out), summary, refunds, peakMemory });
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+module.exports = defineCommand({
+    name: 'migrate',
+    description: 'Turn an exported genesis into a new one following a recipe',
+    args: [
+        { name: 'genesis', type: 'string', description: 'Exported genesis, e.g. from helios node export-genesis', required: true }
+    ],
+    options: {
+        template: { type: 'string', description: 'Genesis template the kept parts are copied into', default: './tiny_genesis.json' },
+        recipe: { type: 'string', description: 'YAML or JSON recipe (default: the testnet-reset recipe)' },
+        initializer: { type: 'string', description: 'Address whose sequence is reset with resetSequences: initializer' },
+        out: { type: 'string', description: 'Migrated genesis file to write' },
+        'in-memory': { type: 'boolean', description: 'Load the whole export in memory instead of streaming it (faster on small exports)' }
+    }
+}, migrate);
@@ -0,0 +1,41 @@
+const fs = require("fs");
+const path = require("path");
+const defineCommand = require("../../utils/defineCommand");
+const validation = require("../../genesis-validation");
+const { CliError } = require("../../errors");
+
+function validate(options) {
+    return new Promise(async (resolve, reject) => {
+        try {
+            const file = options.argv.args.file;
+
+            if (!fs.existsSync(file)) {
+                reject(new CliError('FILE_NOT_FOUND', `${file} not found`));
+                return;
+            }
+            const report = { file: path.resolve(file), ...await validation.validateGenesisFile(file) };
+
+            if (!options.argv.json) {
+                validation.printReport(report);
+            }
+            if (!report.ok) {
+                reject(new CliError('GENESIS_INVALID', `${file} has ${report.errors} error(s), heliades would refuse it`, report));
+                return;
+            }
+            if (!options.argv.json) {
+                console.log(`${file} is valid`);
+            }
+            resolve(report);
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+module.exports = defineCommand({
+    name: 'validate',
+    description: 'Check a genesis file offline: coins, supply, duplicates, accounts, denom metadata, height and chain-id',
+    args: [
+        { name: 'file', type: 'string', description: 'Genesis file to check', required: true }
+    ]
+}, validate);
@@ -2,6 +2,9 @@ const ora = require('ora');
 const path = require("path");
 const executeMultipleShellCommand = require('../utils/executeMultipleShellCommand');
 const executeShellCommand = require('../utils/executeShellCommandLine');
+const defineCommand = require('../utils/defineCommand');
+const profiles = require('../profiles');
+const { CliError } = require('../errors');
 
 function installCmds(options) {
     
@@ -12,7 +15,7 @@ function installCmds(options) {
                     executeShellCommand("docker --version", (stdout) => {
                         success();
                     }, () => {
-                        failure("Docker is not installed");
+                        failure(new CliError('DOCKER_NOT_INSTALLED', "Docker is not installed"));
                     }, false, console.log);
                 } catch(e) { failure(e) }
             }
@@ -24,17 +27,17 @@ function installCmds(options) {
                         executeShellCommand(`docker tag heliosfoundation/docker-helios-nodemanager:${options.argv["_"][1]} heliosfoundation/docker-helios-nodemanager:latest`, (stdout) => {
                             success();
                         }, () => {
-                            failure("Docker tag failed");
+                            failure(new CliError('DOCKER_FAILED', "Docker tag failed"));
                         }, false, console.log);
                     }, () => {
-                        failure("Docker pull failed");
+                        failure(new CliError('DOCKER_FAILED', "Docker pull failed"));
                     }, false, console.log);
                     return ;
                 }
-                executeShellCommand("docker pull heliosfoundation/docker-helios-nodemanager:latest", (stdout) => {
+                executeShellCommand(`docker pull ${profiles.getActiveProfile(options).image}`, (stdout) => {
                     success();
                 }, () => {
-                    failure("Docker pull failed");
+                    failure(new CliError('DOCKER_FAILED', "Docker pull failed"));
                 }, false, console.log);
              } catch(e) { failure(e) } }
         },
@@ -43,7 +46,7 @@ function installCmds(options) {
                 executeShellCommand("docker image prune -f", (stdout) => {
                     success();
                 }, () => {
-                    failure("Docker image prune failed");
+                    failure(new CliError('DOCKER_FAILED', "Docker image prune failed"));
                 }, false, console.log);
             } catch(e) { failure(e) } }
         }
@@ -66,4 +69,10 @@ function install(options) {
     });
 };
 
-module.exports = install;
\ No newline at end of file
+module.exports = defineCommand({
+    name: 'install',
+    description: 'Install NodeManager',
+    args: [
+        { name: 'version', type: 'string', description: 'Image version to install, e.g. v0.0.35 (default: the profile image)' }
+    ]
+}, install);
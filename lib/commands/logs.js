@@ -0,0 +1,152 @@
+const defineCommand = require('../utils/defineCommand');
+const containerInspect = require('../container/container-inspect');
+const containerLogs = require('../container/container-logs');
+const parseSince = require('../utils/parseSince');
+const parseLogLevel = require('../utils/parseLogLevel');
+const mergeSorted = require('../utils/mergeSorted');
+const nodes = require('../nodes');
+const { CliError } = require('../errors');
+
+const colors = [36, 35, 33, 32, 34, 31];
+
+const useColors = () => process.stdout.isTTY && process.env.NO_COLOR == undefined;
+
+function prefix(node, width) {
+    const text = `${node.name.padEnd(width)} |`;
+    return useColors() ? `\u001b[${colors[node.index % colors.length]}m${text}\u001b[0m ` : `${text} `;
+}
+
+// docker adds "<RFC3339Nano> " in front of every line with timestamps: true
+function splitTimestamp(line) {
+    const space = line.indexOf(' ');
+    const time = space > 0 ? line.slice(0, space) : '';
+    if (!/^\d{4}-\d{2}-\d{2}T/.test(time)) {
+        return { time: null, message: line };
+    }
+    return { time, message: line.slice(space + 1) };
+}
+
+// RFC3339Nano drops trailing zeros, pad the fraction so timestamps sort as strings
+function sortKey(time) {
+    if (time == null) return '';
+    const [seconds, fraction = ''] = time.replace(/Z$/, '').split('.');
+    return `${seconds}.${fraction.padEnd(9, '0')}`;
+}
+
+function checkOptions(argv) {
+    const filters = {};
+
+    if (argv.since != undefined) {
+        filters.since = parseSince(argv.since);
+        if (filters.since == undefined) {
+            throw new CliError('INVALID_OPTION', `--since ${argv.since} is not a duration (10m, 2h, 1d...) or a date`);
+        }
+    }
+    if (argv.tail != undefined && (argv.tail < 0 || !Number.isInteger(argv.tail))) {
+        throw new CliError('INVALID_OPTION', '--tail need a positive integer value.');
+    }
+    if (argv.grep != undefined) {
+        try {
+            filters.grep = new RegExp(argv.grep);
+        } catch (e) {
+            throw new CliError('INVALID_OPTION', `--grep ${argv.grep} is not a valid regular expression`);
+        }
+    }
+    if (argv.level != undefined) {
+        filters.level = parseLogLevel.normalize(argv.level);
+        if (filters.level == undefined) {
+            throw new CliError('INVALID_OPTION', `--level need one of ${parseLogLevel.LEVELS.join(', ')}.`);
+        }
+    }
+    if (argv.follow && argv.json) {
+        throw new CliError('INVALID_OPTION', '--follow cannot be combined with --json');
+    }
+    return filters;
+}
+
+// Returns a function telling whether a line of the node is kept.
+// Lines without a level (stack traces, wrapped messages) follow the
+// decision taken for the last line that had one.
+function lineFilter(filters) {
+    const minimum = filters.level ? parseLogLevel.LEVELS.indexOf(filters.level) : -1;
+    let previous = minimum < 0;
+
+    return (entry) => {
+        if (minimum >= 0) {
+            if (entry.level != undefined) {
+                previous = parseLogLevel.LEVELS.indexOf(entry.level) >= minimum;
+            }
+            if (!previous) return false;
+        }
+        return filters.grep == undefined || filters.grep.test(entry.message);
+    };
+}
+
+function logs(options) {
+    return new Promise(async (resolve, reject) => {
+        try {
+            const argv = options.argv;
+            const filters = checkOptions(argv);
+            const selected = nodes.selectNodes(options);
+            const width = Math.max(...selected.map(x => x.name.length));
+
+            for (const node of selected) {
+                if (await containerInspect(node.container) == null) {
+                    throw new CliError('CONTAINER_NOT_FOUND', `Container ${node.container} not found, start it with helios start`);
+                }
+            }
+
+            const print = (node, entry) => {
+                const line = (selected.length > 1 ? prefix(node, width) : '') + entry.message;
+                entry.stream === 'stderr' ? process.stderr.write(line + '\n') : process.stdout.write(line + '\n');
+            };
+            const entries = [];
+            // each node sends its lines in time order, they are merged as they arrive
+            const merge = mergeSorted(selected.map(x => x.name), (entry) => sortKey(entry.time), (entry) => {
+                if (argv.json) entries.push(entry);
+                else print(entry.node, entry);
+            });
+
+            await Promise.all(selected.map(async (node) => {
+                const keep = lineFilter(filters);
+                try {
+                    await containerLogs(node.container, {
+                        follow: argv.follow === true,
+                        since: filters.since,
+                        tail: argv.tail,
+                        timestamps: true
+                    }, (line, stream) => {
+                        const { time, message } = splitTimestamp(line);
+                        const entry = { node, stream, time, level: parseLogLevel(message), message };
+
+                        if (!keep(entry)) return;
+                        // with --follow lines are printed as they arrive, which interleaves the nodes
+                        argv.follow ? print(node, entry) : merge.push(node.name, entry);
+                    });
+                } finally {
+                    merge.end(node.name);
+                }
+            }));
+
+            resolve({
+                lines: entries.map(x => ({ ...x, node: x.node.name, level: x.level || null }))
+            });
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+module.exports = defineCommand({
+    name: 'logs',
+    description: 'Show the logs of the node containers',
+    options: {
+        node: { type: 'string', description: 'Node to read, e.g. node2 or 2 (default: node1)' },
+        all: { type: 'boolean', description: 'Read every node of the deployment, lines are prefixed with the node name' },
+        follow: { type: 'boolean', alias: 'f', description: 'Keep streaming new lines until interrupted' },
+        since: { type: 'string', description: 'Only lines newer than a duration (30s, 10m, 2h, 1d) or a date' },
+        tail: { type: 'number', description: 'Number of lines to read from the end of the logs of each node', default: 500 },
+        grep: { type: 'string', description: 'Only lines matching this regular expression' },
+        level: { type: 'string', description: 'Minimum level of heliades / CometBFT lines: trace, debug, info, warn, error' }
+    }
+}, logs);
@@ -1,36 +1,33 @@
-const containerExec = require('../container/container-exec');
-const path = require('path');
-const fs = require('fs');
+const defineCommand = require('../utils/defineCommand');
 
-function node(options) {
-    return new Promise(async (resolve, reject) => {
-        try {
-            const command = options.argv._[1];
-            if (command == undefined) {
-                reject('Please specify a command.');
-                return;
-            }
-            // const output = await containerExec(['bash', '-c', 'echo "Hello from inside the container"']);
-            // console.log(output);
-
-            const commandsPath = path.join(options.npmNodeModulesGlobalDir, 'lib/commands/node');
-            const commands = [... fs.readdirSync(commandsPath)]
-                .filter(x => !['example.js'].includes(x)  && x.endsWith('.js'))
-                .map(x => [x, require(path.join(commandsPath, x))])
-                .map(x => ({ name: x[0].replace('.js', ''), use: x[1], type: 'normal' }));
-            const selectedCommand = commands.find(x => x.name === command);
-
-            if (selectedCommand != undefined) {
-                selectedCommand.use({ command: `${options.command} ${command}`, ...options })
-                    .then(() => resolve())
-                    .catch(error => reject(error))
-            } else {
-                reject(`Command node ${command} not found.`);
-            }
-        } catch (err) {
-            reject(err);
-        }
-    });
-}
-
-module.exports = node;
\ No newline at end of file
+module.exports = defineCommand({
+    name: 'node',
+    description: 'Manage the Helios node running inside the container',
+    options: {
+        node: { type: 'string', description: 'Node to target, e.g. node2 or 2 (default: node1)' },
+        'manager-url': { type: 'string', description: 'Node Manager URL of the targeted node (default: http://localhost:<port>)' },
+        'manager-timeout': { type: 'number', description: 'Node Manager request timeout in ms', default: 10000 },
+        'manager-retries': { type: 'number', description: 'Node Manager retries while it is booting', default: 3 },
+        'wait-timeout': { type: 'number', description: 'Seconds to wait for the node to stop, run or reach a height', default: 120 },
+        reference: { type: 'string', description: 'CometBFT RPC of a synced node of the network (default: $HELIOS_REFERENCE_RPC)' },
+        'check-servers': { type: 'boolean', description: 'Before a validator signs again, look for its consensus key on the registered servers' },
+        'ignore-double-sign-risk': { type: 'boolean', description: 'Start the validator even when the double-sign checks find a risk' }
+    },
+    subcommands: [
+        require('./node/start'),
+        require('./node/stop'),
+        require('./node/heliades'),
+        require('./node/metadata'),
+        require('./node/sync-status'),
+        require('./node/config'),
+        require('./node/peers'),
+        require('./node/priv_key'),
+        require('./node/pub_key'),
+        require('./node/keys'),
+        require('./node/export-genesis'),
+        require('./node/testnet-reset'),
+        require('./node/prune'),
+        require('./node/rollback'),
+        require('./node/snapshot')
+    ]
+});
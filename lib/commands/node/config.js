@@ -0,0 +1,12 @@
+const defineCommand = require('../../utils/defineCommand');
+
+module.exports = defineCommand({
+    name: 'config',
+    description: 'Read and edit config.toml, app.toml and client.toml of the node, keeping comments',
+    subcommands: [
+        require('./config/get'),
+        require('./config/set'),
+        require('./config/diff'),
+        require('./config/restore')
+    ]
+});
@@ -0,0 +1,39 @@
+const fs = require("fs");
+const defineCommand = require("../../../utils/defineCommand");
+const toml = require("../../../toml");
+const nodeConfig = require("../../../node-config");
+const nodes = require("../../../nodes");
+
+function diff(options) {
+    return new Promise(async (resolve, reject) => {
+        try {
+            const node = nodes.getNode(options);
+            const config = nodeConfig.configFile(node, options.argv.args.file);
+            const backup = nodeConfig.findBackup(node, config.file, options.argv.backup);
+            const changes = nodeConfig.diff(fs.readFileSync(backup.path, 'utf8'), fs.readFileSync(config.path, 'utf8'));
+
+            if (!options.argv.json) {
+                console.log(`${config.file} of ${node.name} since ${backup.name}:`);
+                changes.forEach(change => {
+                    if ('before' in change) console.log(`- ${change.key} = ${toml.formatValue(change.before)}`);
+                    if ('after' in change) console.log(`+ ${change.key} = ${toml.formatValue(change.after)}`);
+                });
+                if (changes.length == 0) console.log('No changes');
+            }
+            resolve({ file: config.path, backup: backup.path, changes });
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+module.exports = defineCommand({
+    name: 'diff',
+    description: 'Show the keys changed since a backup of a config file',
+    args: [
+        { name: 'file', type: 'string', description: 'config, app or client (.toml)', required: true }
+    ],
+    options: {
+        backup: { type: 'string', description: 'Backup to compare with (default: the latest one)' }
+    }
+}, diff);
@@ -0,0 +1,37 @@
+const fs = require("fs");
+const defineCommand = require("../../../utils/defineCommand");
+const toml = require("../../../toml");
+const nodeConfig = require("../../../node-config");
+const nodes = require("../../../nodes");
+
+function get(options) {
+    return new Promise(async (resolve, reject) => {
+        try {
+            const node = nodes.getNode(options);
+            const config = nodeConfig.configFile(node, options.argv.args.file);
+            const text = fs.readFileSync(config.path, 'utf8');
+            const key = options.argv.args.key;
+
+            if (!key) {
+                const values = toml.toObject(text);
+                Object.entries(values).forEach(([k, v]) => console.log(`${k} = ${toml.formatValue(v)}`));
+                resolve({ file: config.path, values });
+                return;
+            }
+            const entry = nodeConfig.findEntry(text, key);
+            console.log(toml.formatValue(entry.value));
+            resolve({ file: config.path, key, value: entry.value });
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+module.exports = defineCommand({
+    name: 'get',
+    description: 'Print a value of a config file, or all of them',
+    args: [
+        { name: 'file', type: 'string', description: 'config, app or client (.toml)', required: true },
+        { name: 'key', type: 'string', description: 'Dotted key, e.g. p2p.persistent_peers or api.enable' }
+    ]
+}, get);
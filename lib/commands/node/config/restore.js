@@ -0,0 +1,36 @@
+const fs = require("fs");
+const defineCommand = require("../../../utils/defineCommand");
+const nodeConfig = require("../../../node-config");
+const nodes = require("../../../nodes");
+
+function restore(options) {
+    return new Promise(async (resolve, reject) => {
+        try {
+            const node = nodes.getNode(options);
+            const config = nodeConfig.configFile(node, options.argv.args.file);
+            const backup = nodeConfig.findBackup(node, config.file, options.argv.backup);
+
+            // the current file is backed up too, so a restore can be undone
+            const current = nodeConfig.backup(node, config);
+            fs.copyFileSync(backup.path, config.path);
+            console.log(`${config.file} of ${node.name} restored from ${backup.name}, previous version saved as ${current.name}`);
+
+            const restarted = await nodeConfig.applyChanges(options);
+            resolve({ file: config.path, restoredFrom: backup.path, backup: current.path, restarted });
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+module.exports = defineCommand({
+    name: 'restore',
+    description: 'Put back a backup of a config file',
+    args: [
+        { name: 'file', type: 'string', description: 'config, app or client (.toml)', required: true }
+    ],
+    options: {
+        backup: { type: 'string', description: 'Backup to restore (default: the latest one)' },
+        restart: { type: 'boolean', description: 'Restart the node so the change applies' }
+    }
+}, restore);
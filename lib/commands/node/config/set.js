@@ -0,0 +1,45 @@
+const fs = require("fs");
+const defineCommand = require("../../../utils/defineCommand");
+const toml = require("../../../toml");
+const nodeConfig = require("../../../node-config");
+const nodes = require("../../../nodes");
+
+function set(options) {
+    return new Promise(async (resolve, reject) => {
+        try {
+            const node = nodes.getNode(options);
+            const config = nodeConfig.configFile(node, options.argv.args.file);
+            const text = fs.readFileSync(config.path, 'utf8');
+            const { key, value: input } = options.argv.args;
+            const entry = nodeConfig.findEntry(text, key);
+            const value = nodeConfig.coerce(entry, input);
+
+            if (JSON.stringify(value) === JSON.stringify(entry.value)) {
+                console.log(`${key} is already ${toml.formatValue(value)} in ${config.file} of ${node.name}`);
+                resolve({ file: config.path, key, value, changed: false, backup: null, restarted: false });
+                return;
+            }
+            const backup = nodeConfig.backup(node, config);
+            fs.writeFileSync(config.path, toml.set(text, key, value, { raw: entry.type === 'raw' }));
+            console.log(`${key} = ${toml.formatValue(value)} in ${config.file} of ${node.name} (was ${toml.formatValue(entry.value)}, backup ${backup.name})`);
+
+            const restarted = await nodeConfig.applyChanges(options);
+            resolve({ file: config.path, key, value, previous: entry.value, changed: true, backup: backup.path, restarted });
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+module.exports = defineCommand({
+    name: 'set',
+    description: 'Change a value of a config file, backing the file up first',
+    args: [
+        { name: 'file', type: 'string', description: 'config, app or client (.toml)', required: true },
+        { name: 'key', type: 'string', description: 'Dotted key, e.g. p2p.persistent_peers or api.enable', required: true },
+        { name: 'value', type: 'string', description: 'New value; arrays take a JSON array or a comma separated list', required: true }
+    ],
+    options: {
+        restart: { type: 'boolean', description: 'Restart the node so the change applies' }
+    }
+}, set);
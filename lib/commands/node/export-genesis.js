@@ -6,29 +6,47 @@ const getContainer = require("../../container/get-container");
 const getPathHelios = require("../../utils/getPathHelios");
 const fs = require("fs");
 const path = require("path");
+const defineCommand = require("../../utils/defineCommand");
+const nodes = require("../../nodes");
+const wait = require("../../wait");
+const { CliError } = require("../../errors");
 
 function exportGenesis(options) {
     return new Promise(async (resolve, reject) => {
-        if (fs.existsSync(options.argv['output-document'] || './genesis.json') && !options.argv.force == "true") {
-            console.log('Genesis file already exists - skipping');
-            resolve();
-            return;
+        try {
+            const outputDocument = options.argv['output-document'] || './genesis.json';
+            if (fs.existsSync(outputDocument) && !options.argv.force) {
+                console.log('Genesis file already exists - skipping');
+                resolve({ path: outputDocument, skipped: true });
+                return;
+            }
+            const pathHelios = getPathHelios(options);
+            if (!pathHelios) {
+                reject(new CliError('NO_DEPLOYMENT', "No path found, please start a node first"));
+                return;
+            }
+            const node = nodes.getNode(options);
+            const isRunning = await containerIsRunning(node.container);
+            if (isRunning) {
+                await stopNode({...options, disabledLogs: true});
+            }
+            fs.rmSync(path.join(node.dataPath, 'genesis.json'), { force: true });
+            await containerExec(['heliades', 'export', '--output-document=/root/.heliades/genesis.json', '--modules-to-export=bank,erc20,auth,hyperion,staking'], node.container);
+            await wait.waitForFile(path.join(node.dataPath, 'genesis.json'), { timeout: wait.waitTimeout(options) });
+            fs.copyFileSync(path.join(node.dataPath, 'genesis.json'), outputDocument);
+            // await containerDownloadFile(await getContainer(node.container), '/root/.heliades/genesis.json', outputDocument);
+            resolve({ path: outputDocument, skipped: false });
+        } catch (error) {
+            reject(error);
         }
-        const isRunning = await containerIsRunning();
-        if (isRunning) {
-            await stopNode({...options, disabledLogs: true});
-            await new Promise(resolve => setTimeout(resolve, 5000));
-        }
-        const pathHelios = getPathHelios();
-        if (!pathHelios) {
-            reject("No path found, please start a node first");
-            return;
-        }
-        await containerExec(['heliades', 'export', '--output-document=/root/.heliades/genesis.json', '--modules-to-export=bank,erc20,auth,hyperion,staking']);
-        fs.copyFileSync(path.join(pathHelios, './data/node1/.heliades/genesis.json'), options.argv['output-document'] || './genesis.json');
-        // await containerDownloadFile(await getContainer(), '/root/.heliades/genesis.json', options.argv['output-document'] || './genesis.json');
-        resolve();
     });
 };
 
-module.exports = exportGenesis;
\ No newline at end of file
+module.exports = defineCommand({
+    name: 'export-genesis',
+    description: 'Export the current state as a genesis file',
+    options: {
+        'output-document': { type: 'string', description: 'Where to write the exported genesis', default: './genesis.json' },
+        force: { type: 'boolean', description: 'Overwrite an existing genesis file' }
+    }
+}, exportGenesis);
@@ -1,20 +1,36 @@
 const containerIsRunning = require("../../container/container-is-running");
 const containerExec = require("../../container/container-exec");
+const defineCommand = require("../../utils/defineCommand");
+const nodes = require("../../nodes");
+const { CliError } = require("../../errors");
 
 function heliades(options) {
-    return new Promise(async (resolve, reject) => {
-        const isRunning = await containerIsRunning();
+    return nodes.forEachNode(options, async (node) => {
+        const isRunning = await containerIsRunning(node.container);
         if (!isRunning) {
-            reject('Container is not running');
-            return;
+            throw new CliError('CONTAINER_NOT_RUNNING', `Container ${node.container} is not running`);
         }
 
-        const output = await containerExec(['heliades', ... options.argv._.slice(2)]);
+        const args = options.argv._.slice(2);
+        const output = await containerExec(['heliades', ... args], node.container);
 
-        console.log(output);
+        if (!options.argv.json) {
+            if (options.argv.all) console.log(`[${node.name}]`);
+            console.log(output);
+        }
 
-        resolve();
+        return { args, output };
     });
 };
 
-module.exports = heliades;
\ No newline at end of file
+module.exports = defineCommand({
+    name: 'heliades',
+    description: 'Run a heliades command inside the container',
+    args: [
+        { name: 'args', description: 'Arguments passed to heliades', variadic: true }
+    ],
+    options: {
+        all: { type: 'boolean', description: 'Run on every node of the deployment' }
+    },
+    passthrough: true
+}, heliades);
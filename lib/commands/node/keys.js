@@ -0,0 +1,13 @@
+const defineCommand = require('../../utils/defineCommand');
+
+module.exports = defineCommand({
+    name: 'keys',
+    description: 'Back up and restore the validator key, node key, signing state and keyring',
+    options: {
+        'password-file': { type: 'string', description: 'File holding the backup password (default: $HELIOS_KEYS_PASSWORD or a prompt)' }
+    },
+    subcommands: [
+        require('./keys/backup'),
+        require('./keys/restore')
+    ]
+});
@@ -0,0 +1,43 @@
+const fs = require("fs");
+const path = require("path");
+const defineCommand = require("../../../utils/defineCommand");
+const keys = require("../../../keys");
+const nodes = require("../../../nodes");
+const { CliError } = require("../../../errors");
+
+function backup(options) {
+    return new Promise(async (resolve, reject) => {
+        try {
+            const out = options.argv.out;
+            if (!out) {
+                reject(new CliError('MISSING_OPTION', 'Please specify the backup file with --out <file>'));
+                return;
+            }
+            if (fs.existsSync(out) && !options.argv.force) {
+                reject(new CliError('FILE_EXISTS', `${out} already exists, use --force to overwrite it`));
+                return;
+            }
+            const node = nodes.getNode(options);
+            const password = keys.readPassword(options, { create: true });
+            const backup = await keys.backupKeys(node, password);
+
+            fs.mkdirSync(path.dirname(path.resolve(out)), { recursive: true });
+            fs.writeFileSync(out, JSON.stringify(backup, null, 2), { mode: 0o600 });
+            fs.chmodSync(out, 0o600);
+
+            console.log(`Keys of ${node.name} encrypted to ${out}: ${backup.files.join(', ')}`);
+            resolve({ node: node.name, file: path.resolve(out), files: backup.files });
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+module.exports = defineCommand({
+    name: 'backup',
+    description: 'Write a password-encrypted archive of the key material of the node',
+    options: {
+        out: { type: 'string', description: 'Backup file to write' },
+        force: { type: 'boolean', description: 'Overwrite the backup file if it exists' }
+    }
+}, backup);
@@ -0,0 +1,63 @@
+const defineCommand = require("../../../utils/defineCommand");
+const isNodeRunning = require("../../../node-manager/is-node-running");
+const whileStopped = require("../../../node-manager/while-stopped");
+const doubleSign = require("../../../double-sign");
+const keys = require("../../../keys");
+const nodes = require("../../../nodes");
+const { CliError } = require("../../../errors");
+
+function restore(options) {
+    return new Promise(async (resolve, reject) => {
+        try {
+            const node = nodes.getNode(options);
+            const backup = keys.readBackup(options.argv.args.file);
+            const password = keys.readPassword(options);
+            const entries = await keys.unpack(keys.decrypt(backup, password));
+
+            // a local signing state ahead of the backup is kept, it is no conflict
+            const signingState = keys.signingStateToKeep(node, entries);
+            const different = keys.conflicts(node, entries).filter(x => !(signingState.local && x === 'data/priv_validator_state.json'));
+            if (different.length && !options.argv.force) {
+                throw new CliError('KEYS_EXIST', `${node.name} already has other keys (${different.join(', ')}), use --force to overwrite them`);
+            }
+
+            // checked with the keys of the backup, before they replace the current ones
+            const restored = (file) => {
+                const entry = entries.find(x => x.path === file);
+                return entry ? JSON.parse(entry.content.toString()) : undefined;
+            };
+            await doubleSign.guardDoubleSign(options, node, {
+                validatorKey: restored('config/priv_validator_key.json'),
+                signingState: signingState.state || undefined
+            });
+
+            const write = () => {
+                keys.writeKeys(node, entries);
+                console.log(`Keys of ${backup.node} restored to ${node.name}: ${entries.map(x => x.path).join(', ')}`);
+                if (signingState.local && restored('data/priv_validator_state.json')) {
+                    console.log(`The signing state of ${node.name} (height ${signingState.state.height}) is ahead of the one of the backup and was kept`);
+                }
+            };
+            // heliades must not sign with the old keys while they are replaced
+            if (await isNodeRunning(options, node)) {
+                await whileStopped(options, node, async () => write(), { doubleSignChecked: true });
+            } else {
+                write();
+            }
+            resolve({ node: node.name, from: backup.node, createdAt: backup.createdAt, files: entries.map(x => x.path), overwritten: different, signingStateKept: signingState.local });
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+module.exports = defineCommand({
+    name: 'restore',
+    description: 'Put the keys of a backup back into the node volume, owner-only',
+    args: [
+        { name: 'file', type: 'string', description: 'Backup written by helios node keys backup', required: true }
+    ],
+    options: {
+        force: { type: 'boolean', description: 'Overwrite keys that differ from the backup' }
+    }
+}, restore);
@@ -7,18 +7,27 @@ const generateGenesisFromExistGenesis = require("../../utils/generateGenesisFrom
 const startNode = require("./start");
 const stopNode = require("./stop");
 const path = require("path");
+const defineCommand = require("../../utils/defineCommand");
+const nodes = require("../../nodes");
+const { CliError } = require("../../errors");
 
 const testnetReset = (options) => {
     return new Promise(async (resolve, reject) => {
         try {
-            const pathHelios = getPathHelios();
+            const pathHelios = getPathHelios(options);
             if (!pathHelios) {
-                reject("No path found, please start a node first");
+                reject(new CliError('NO_DEPLOYMENT', "No path found, please start a node first"));
                 return;
             }
-            const metadata = JSON.parse(fs.readFileSync(path.join(pathHelios, 'data/node1/.heliades/data/metadata.json')).toString());
-            console.log(metadata);
-            resolve();
+            const result = await nodes.forEachNode(options, async (node) => {
+                const metadata = JSON.parse(fs.readFileSync(path.join(node.dataPath, 'data/metadata.json')).toString());
+                if (!options.argv.json) {
+                    if (options.argv.all) console.log(`[${node.name}]`);
+                    console.log(metadata);
+                }
+                return metadata;
+            });
+            resolve(result);
         } catch (error) {
             console.error(error);
             reject(error);
@@ -26,4 +35,10 @@ const testnetReset = (options) => {
     });
 }
 
-module.exports = testnetReset;
\ No newline at end of file
+module.exports = defineCommand({
+    name: 'metadata',
+    description: 'Show the node metadata.json',
+    options: {
+        all: { type: 'boolean', description: 'Show the metadata of every node' }
+    }
+}, testnetReset);
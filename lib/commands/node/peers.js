@@ -0,0 +1,16 @@
+const defineCommand = require('../../utils/defineCommand');
+
+module.exports = defineCommand({
+    name: 'peers',
+    description: 'Show the connected peers and edit the peers of config.toml',
+    options: {
+        all: { type: 'boolean', description: 'Target every node of the deployment' }
+    },
+    subcommands: [
+        require('./peers/list'),
+        require('./peers/add'),
+        require('./peers/remove'),
+        require('./peers/forget'),
+        require('./peers/ban')
+    ]
+});
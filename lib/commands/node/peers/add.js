@@ -0,0 +1,46 @@
+const defineCommand = require("../../../utils/defineCommand");
+const nodeConfig = require("../../../node-config");
+const nodes = require("../../../nodes");
+
+function add(options) {
+    return new Promise(async (resolve, reject) => {
+        try {
+            const peer = nodeConfig.parsePeer(options.argv.args.peer);
+            const key = options.argv.seed ? 'p2p.seeds' : 'p2p.persistent_peers';
+            let changed = false;
+
+            const result = await nodes.forEachNode(options, async (node) => {
+                const edit = nodeConfig.editConfig(node, 'config', (values) => {
+                    // a known id gets its new address
+                    const list = nodeConfig.splitList(values[key] || '').filter(x => !x.startsWith(`${peer.id}@`));
+                    values[key] = [...list, peer.address].join(',');
+                    if (options.argv.unconditional) {
+                        const ids = nodeConfig.splitList(values['p2p.unconditional_peer_ids'] || '').filter(x => x !== peer.id);
+                        values['p2p.unconditional_peer_ids'] = [...ids, peer.id].join(',');
+                    }
+                    return values;
+                });
+                changed = changed || edit.changed.length > 0;
+                console.log(edit.changed.length ? `${peer.address} added to ${key} of ${node.name}` : `${peer.address} is already in ${key} of ${node.name}`);
+                return edit;
+            });
+            const restarted = changed ? await nodeConfig.applyChanges(options) : false;
+            resolve({ peer: peer.address, key, nodes: result, restarted });
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+module.exports = defineCommand({
+    name: 'add',
+    description: 'Add a persistent peer (or seed) to config.toml',
+    args: [
+        { name: 'peer', type: 'string', description: '<node id>@<host>:<port>', required: true }
+    ],
+    options: {
+        seed: { type: 'boolean', description: 'Add it to seeds instead of persistent_peers' },
+        unconditional: { type: 'boolean', description: 'Also add its id to unconditional_peer_ids' },
+        restart: { type: 'boolean', description: 'Restart the node so the change applies' }
+    }
+}, add);
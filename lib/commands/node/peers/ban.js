@@ -0,0 +1,12 @@
+const defineCommand = require("../../../utils/defineCommand");
+const forget = require("./forget");
+
+// Kept for `helios node peers ban`. CometBFT has no ban list, so this is
+// `forget`: nothing stops the peer from connecting inbound or from being
+// learned again through PEX. To refuse it for good, run the node with
+// p2p.pex = false and only known persistent peers.
+module.exports = defineCommand({
+    name: 'ban',
+    description: 'Same as forget, CometBFT has no ban list: the peer can still connect inbound or be found again through PEX',
+    args: forget.definition.args
+}, (options) => forget(options));
@@ -0,0 +1,45 @@
+const defineCommand = require("../../../utils/defineCommand");
+const whileStopped = require("../../../node-manager/while-stopped");
+const isNodeRunning = require("../../../node-manager/is-node-running");
+const nodeConfig = require("../../../node-config");
+const nodes = require("../../../nodes");
+const { CliError } = require("../../../errors");
+
+// CometBFT has no ban list: the peer is dropped from every peer list and from
+// the address book, so the node no longer dials it. It can still connect
+// inbound or be learned again through PEX.
+function forget(options) {
+    return new Promise(async (resolve, reject) => {
+        try {
+            const id = options.argv.args.peer.split('@')[0];
+            if (!/^[0-9a-f]{40}$/.test(id)) {
+                throw new CliError('INVALID_ARGUMENT', `${id} is not a node id`);
+            }
+            const result = await nodes.forEachNode(options, async (node) => {
+                const target = { ...options, argv: { ...options.argv, node: node.name, all: false }, disabledLogs: true };
+                const forgetOnNode = () => {
+                    const edit = nodeConfig.removePeer(node, id);
+                    const forgotten = nodeConfig.forgetPeer(node, id);
+                    console.log(`${id} forgotten by ${node.name}: ` + (edit.changed.length ? `removed from ${edit.changed.join(', ')}, ` : '') + `${forgotten} address book entr${forgotten == 1 ? 'y' : 'ies'} removed`);
+                    return { ...edit, forgotten };
+                };
+                // a running node writes its address book back from memory
+                if (await isNodeRunning(options, node)) {
+                    return { ...await whileStopped(target, node, async () => forgetOnNode()), restarted: true };
+                }
+                return { ...forgetOnNode(), restarted: false };
+            });
+            resolve({ peer: id, nodes: result });
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+module.exports = defineCommand({
+    name: 'forget',
+    description: 'Remove a peer from config.toml and the address book, restarting a running node. Not a ban: the peer can still connect inbound or be found again through PEX',
+    args: [
+        { name: 'peer', type: 'string', description: '<node id> or <node id>@<host>:<port>', required: true }
+    ]
+}, forget);
@@ -0,0 +1,35 @@
+const defineCommand = require("../../../utils/defineCommand");
+const formatDuration = require("../../../utils/formatDuration");
+const tcpLatency = require("../../../utils/tcpLatency");
+const cometbft = require("../../../cometbft");
+const nodes = require("../../../nodes");
+
+function list(options) {
+    return nodes.forEachNode(options, async (node) => {
+        const rpcUrl = cometbft.nodeRpcUrl(options, node);
+        const peers = await cometbft.createCometClient(rpcUrl).netInfo();
+
+        // the RPC has no round trip time, time a TCP connect to the p2p port instead
+        await Promise.all(peers.map(async (peer) => {
+            peer.latency = peer.host && peer.port ? await tcpLatency(peer.host, peer.port) : null;
+        }));
+
+        if (!options.argv.json) {
+            console.log(`${node.name}: ${peers.length} peer(s)`);
+            for (const peer of peers) {
+                const latency = peer.latency == null ? 'unreachable' : `${peer.latency}ms`;
+                const connectedFor = peer.connectedFor == null ? '' : ` - connected for ${formatDuration(peer.connectedFor)}`;
+                console.log(`  ${peer.id}@${peer.host}:${peer.port} - ${peer.direction} - ${peer.moniker} - ${latency}${connectedFor}`);
+            }
+        }
+        return { rpcUrl, peers };
+    });
+}
+
+module.exports = defineCommand({
+    name: 'list',
+    description: 'List the peers the node is connected to, from the CometBFT RPC /net_info',
+    options: {
+        'rpc-url': { type: 'string', description: 'CometBFT RPC of the node (default: the published 26657 port)' }
+    }
+}, list);
@@ -0,0 +1,38 @@
+const defineCommand = require("../../../utils/defineCommand");
+const nodeConfig = require("../../../node-config");
+const nodes = require("../../../nodes");
+const { CliError } = require("../../../errors");
+
+function remove(options) {
+    return new Promise(async (resolve, reject) => {
+        try {
+            const id = options.argv.args.peer.split('@')[0];
+            let changed = false;
+
+            const result = await nodes.forEachNode(options, async (node) => {
+                const edit = nodeConfig.removePeer(node, id);
+                changed = changed || edit.changed.length > 0;
+                if (edit.changed.length) console.log(`${id} removed from ${edit.changed.join(', ')} of ${node.name}`);
+                return edit;
+            });
+            if (!changed) {
+                throw new CliError('PEER_NOT_FOUND', `${id} is not in the peers of config.toml`);
+            }
+            const restarted = await nodeConfig.applyChanges(options);
+            resolve({ peer: id, nodes: result, restarted });
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+module.exports = defineCommand({
+    name: 'remove',
+    description: 'Remove a peer from persistent_peers, seeds and the peer id lists of config.toml',
+    args: [
+        { name: 'peer', type: 'string', description: '<node id> or <node id>@<host>:<port>', required: true }
+    ],
+    options: {
+        restart: { type: 'boolean', description: 'Restart the node so the change applies' }
+    }
+}, remove);
@@ -1,31 +1,40 @@
 const containerIsRunning = require("../../container/container-is-running");
 const containerExec = require("../../container/container-exec");
+const defineCommand = require("../../utils/defineCommand");
+const nodes = require("../../nodes");
+const { CliError } = require("../../errors");
 
 function start(options) {
-    return new Promise(async (resolve, reject) => {
-        const isRunning = await containerIsRunning();
+    return nodes.forEachNode(options, async (node) => {
+        const isRunning = await containerIsRunning(node.container);
         if (!isRunning) {
-            reject('Container is not running');
-            return;
+            throw new CliError('CONTAINER_NOT_RUNNING', `Container ${node.container} is not running`);
         }
 
-        const output = await containerExec(['cat', '/root/.heliades/config/priv_validator_key.json']);
+        const output = await containerExec(['cat', '/root/.heliades/config/priv_validator_key.json'], node.container);
 
         if (output.includes('No such file or directory')) {
-            reject('Helios node not configured');
-            return;
+            throw new CliError('NODE_NOT_CONFIGURED', 'Helios node not configured');
         }
         const privKey = output.trim();
 
         if (privKey == '') {
-            reject('Helios node not configured - Login failed');
-            return;
+            throw new CliError('NODE_NOT_CONFIGURED', 'Helios node not configured - Login failed');
         }
 
-        console.log(privKey);
+        if (!options.argv.json) {
+            if (options.argv.all) console.log(`[${node.name}]`);
+            console.log(privKey);
+        }
 
-        resolve();
+        return JSON.parse(privKey);
     });
 };
 
-module.exports = start;
\ No newline at end of file
+module.exports = defineCommand({
+    name: 'priv_key',
+    description: 'Show the validator private key',
+    options: {
+        all: { type: 'boolean', description: 'Show the key of every node' }
+    }
+}, start);
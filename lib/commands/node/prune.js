@@ -1,42 +1,117 @@
 const getPathHelios = require("../../utils/getPathHelios");
 const containerIsRunning = require("../../container/container-is-running");
-const exportGenesis = require("./export-genesis");
-const fs = require("fs");
-const generateGenesisFromExistGenesis = require("../../utils/generateGenesisFromExistGenesis");
-const startNode = require("./start");
-const stopNode = require("./stop");
+const path = require("path");
+const whileStopped = require("../../node-manager/while-stopped");
 const containerExecStream = require("../../container/container-exec-stream");
+const directorySize = require("../../utils/directorySize");
+const formatBytes = require("../../utils/formatBytes");
+const nodeConfig = require("../../node-config");
 const Stream = require("stream");
+const defineCommand = require("../../utils/defineCommand");
+const nodes = require("../../nodes");
+const { CliError } = require("../../errors");
 
+const STRATEGIES = ['default', 'everything', 'nothing', 'custom'];
+
+// Same keys as the [base] pruning settings of app.toml, written like
+// `helios node config set` does: unknown keys throw, the file is backed up.
+function updateAppToml(node, settings) {
+    return nodeConfig.editConfig(node, 'app', (values) => {
+        values['pruning'] = settings.strategy;
+        if (settings.strategy === 'custom') {
+            values['pruning-keep-recent'] = String(settings.keepRecent);
+            values['pruning-interval'] = String(settings.interval);
+        }
+        return values;
+    });
+}
+
+function pruneSettings(options) {
+    const strategy = options.argv.args.strategy;
+    const keepRecent = options.argv['keep-recent'];
+    const interval = options.argv.interval;
+
+    if (!STRATEGIES.includes(strategy)) {
+        throw new CliError('INVALID_ARGUMENT', `Unknown pruning strategy ${strategy}, available strategies: ${STRATEGIES.join(', ')}`);
+    }
+    if (strategy !== 'custom') {
+        if (keepRecent !== undefined || interval !== undefined) {
+            throw new CliError('INVALID_OPTION', '--keep-recent and --interval only apply to the custom strategy');
+        }
+        return { strategy };
+    }
+    // what helios node prune always did before strategies could be chosen
+    const settings = { strategy, keepRecent: keepRecent !== undefined ? keepRecent : 10, interval: interval !== undefined ? interval : 10 };
+    if (!Number.isInteger(settings.keepRecent) || settings.keepRecent < 2) {
+        throw new CliError('INVALID_OPTION', '--keep-recent need an integer value of at least 2.');
+    }
+    if (!Number.isInteger(settings.interval) || settings.interval < 10) {
+        throw new CliError('INVALID_OPTION', '--interval need an integer value of at least 10.');
+    }
+    return settings;
+}
 
 const prune = (options) => {
     return new Promise(async (resolve, reject) => {
         try {
-            const pathHelios = getPathHelios();
+            const pathHelios = getPathHelios(options);
             if (!pathHelios) {
-                reject("No path found, please start a node first");
+                reject(new CliError('NO_DEPLOYMENT', "No path found, please start a node first"));
                 return;
             }
-            const isRunning = await containerIsRunning();
+            const settings = pruneSettings(options);
+            const node = nodes.getNode(options);
+            const isRunning = await containerIsRunning(node.container);
             if (!isRunning) {
-                reject('Container is not running');
+                reject(new CliError('CONTAINER_NOT_RUNNING', `Container ${node.container} is not running`));
                 return;
             }
-            await stopNode({...options, disabledLogs: true});
-            await new Promise(resolve => setTimeout(resolve, 5000));
-            const std = new Stream.PassThrough();
-            std.on('data', (data) => {
-                process.stdout.write(data.toString());
+            const sizes = await whileStopped(options, node, async () => {
+                const std = new Stream.PassThrough();
+                std.on('data', (data) => {
+                    process.stdout.write(data.toString());
+                });
+                const dataDirectory = path.join(node.dataPath, 'data');
+                const sizeBefore = await directorySize(dataDirectory);
+
+                const args = ['heliades', 'prune', settings.strategy];
+                if (settings.strategy === 'custom') {
+                    args.push('--pruning-keep-recent', String(settings.keepRecent), '--pruning-interval', String(settings.interval));
+                }
+                try {
+                    await containerExecStream(args, std, node.container);
+                } catch (error) {
+                    if (error.code !== 'EXEC_FAILED') throw error;
+                    throw new CliError('PRUNE_FAILED', `heliades prune failed: ${error.message}`, error.data);
+                }
+
+                if (options.argv['app-toml']) {
+                    const edit = updateAppToml(node, settings);
+                    console.log(edit.changed.length
+                        ? `app.toml of ${node.name} now uses the ${settings.strategy} pruning strategy (backup ${path.basename(edit.backup)})`
+                        : `app.toml of ${node.name} already uses the ${settings.strategy} pruning strategy`);
+                }
+                const sizeAfter = await directorySize(dataDirectory);
+                console.log(`Data size: ${formatBytes(sizeBefore)} before, ${formatBytes(sizeAfter)} after, ${formatBytes(Math.max(sizeBefore - sizeAfter, 0))} reclaimed`);
+                return { sizeBefore, sizeAfter };
             });
-            await containerExecStream(['heliades', 'prune', 'custom', '--pruning-keep-recent', '10', '--pruning-interval', '10'], std);
-            await new Promise(resolve => setTimeout(resolve, 5000));
-            await startNode(options);
-            resolve();
+
+            resolve({ ...settings, appToml: options.argv['app-toml'] === true, ...sizes, reclaimed: sizes.sizeBefore - sizes.sizeAfter });
         } catch (error) {
-            console.error(error);
             reject(error);
         }
     });
 }
 
-module.exports = prune;
\ No newline at end of file
+module.exports = defineCommand({
+    name: 'prune',
+    description: 'Prune the node application state',
+    args: [
+        { name: 'strategy', type: 'string', description: `Pruning strategy: ${STRATEGIES.join(', ')}`, default: 'custom' }
+    ],
+    options: {
+        'keep-recent': { type: 'number', description: 'custom strategy: number of recent heights kept (default: 10)' },
+        interval: { type: 'number', description: 'custom strategy: pruning interval in blocks (default: 10)' },
+        'app-toml': { type: 'boolean', description: 'Also write the strategy to app.toml so the node keeps pruning that way' }
+    }
+}, prune);
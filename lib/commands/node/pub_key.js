@@ -0,0 +1,40 @@
+const containerIsRunning = require("../../container/container-is-running");
+const containerExec = require("../../container/container-exec");
+const defineCommand = require("../../utils/defineCommand");
+const nodes = require("../../nodes");
+const { CliError } = require("../../errors");
+
+function pubKey(options) {
+    return nodes.forEachNode(options, async (node) => {
+        const isRunning = await containerIsRunning(node.container);
+        if (!isRunning) {
+            throw new CliError('CONTAINER_NOT_RUNNING', `Container ${node.container} is not running`);
+        }
+
+        // {"@type":"/cosmos.crypto.ed25519.PubKey","key":"..."}
+        const output = await containerExec(['heliades', 'tendermint', 'show-validator'], node.container);
+        const line = output.split('\n').map(x => x.trim()).find(x => x.startsWith('{'));
+        let key;
+        try {
+            key = JSON.parse(line);
+        } catch (e) {
+        }
+        if (!key || !key.key) {
+            throw new CliError('NODE_NOT_CONFIGURED', `No consensus key found for ${node.name}: ${output}`);
+        }
+
+        if (!options.argv.json) {
+            if (options.argv.all) console.log(`[${node.name}]`);
+            console.log(JSON.stringify(key));
+        }
+        return { type: key['@type'], key: key.key };
+    });
+};
+
+module.exports = defineCommand({
+    name: 'pub_key',
+    description: 'Show the validator consensus public key',
+    options: {
+        all: { type: 'boolean', description: 'Show the key of every node' }
+    }
+}, pubKey);
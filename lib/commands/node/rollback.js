@@ -1,56 +1,122 @@
 const getPathHelios = require("../../utils/getPathHelios");
 const containerIsRunning = require("../../container/container-is-running");
-const exportGenesis = require("./export-genesis");
 const fs = require("fs");
-const generateGenesisFromExistGenesis = require("../../utils/generateGenesisFromExistGenesis");
-const startNode = require("./start");
-const stopNode = require("./stop");
+const ora = require("ora");
+const whileStopped = require("../../node-manager/while-stopped");
 const containerExecStream = require("../../container/container-exec-stream");
 const containerExec = require("../../container/container-exec");
+const copyFolderSync = require("../../utils/copyFolderSync");
 const Stream = require("stream");
 const path = require("path");
+const defineCommand = require("../../utils/defineCommand");
+const nodes = require("../../nodes");
+const { CliError } = require("../../errors");
 
+// <path>/incidents/rollback-node1-20250101T120000 - diagnostics, logs and the data backup
+function createIncidentDirectory(pathHelios, node) {
+    const date = new Date().toISOString().replace(/[-:]/g, '').replace(/\..*$/, '');
+    const incidentDirectory = path.join(pathHelios, 'incidents', `rollback-${node.name}-${date}`);
+    fs.mkdirSync(incidentDirectory, { recursive: true });
+    return incidentDirectory;
+}
+
+function restoreBackup(node, backupDirectory) {
+    const dataDirectory = path.join(node.dataPath, 'data');
+    fs.rmSync(dataDirectory, { force: true, recursive: true });
+    copyFolderSync(backupDirectory, dataDirectory);
+}
 
-const prune = (options) => {
+const rollback = (options) => {
     return new Promise(async (resolve, reject) => {
         try {
-            const pathHelios = getPathHelios();
+            const pathHelios = getPathHelios(options);
             if (!pathHelios) {
-                reject("No path found, please start a node first");
+                reject(new CliError('NO_DEPLOYMENT', "No path found, please start a node first"));
+                return;
+            }
+            const blocks = options.argv.blocks;
+            if (!Number.isInteger(blocks) || blocks < 1) {
+                reject(new CliError('INVALID_OPTION', '--blocks need a positive integer value.'));
+                return;
+            }
+            const node = nodes.getNode(options);
+            const metadata = fs.readFileSync(path.join(node.dataPath, 'data/metadata.json'), 'utf8');
+            const height = Number(JSON.parse(metadata).height);
+            const target = height - blocks;
+
+            if (target < 1) {
+                reject(new CliError('INVALID_OPTION', `Cannot roll back ${blocks} block(s) from height ${height}`));
+                return;
+            }
+            if (options.argv['dry-run']) {
+                console.log(`${node.name} is at height ${height}, rolling back ${blocks} block(s) would bring it to ${target}`);
+                resolve({ node: node.name, height, target, blocks, dryRun: true });
                 return;
             }
-            const isRunning = await containerIsRunning();
+
+            const isRunning = await containerIsRunning(node.container);
             if (!isRunning) {
-                reject('Container is not running');
+                reject(new CliError('CONTAINER_NOT_RUNNING', `Container ${node.container} is not running`));
                 return;
             }
-            await stopNode({...options, disabledLogs: true});
-            await new Promise(resolve => setTimeout(resolve, 5000));
-            const std = new Stream.PassThrough();
-            std.on('data', (data) => {
-                process.stdout.write(data.toString());
+            const report = await whileStopped(options, node, async () => {
+                const incidentDirectory = createIncidentDirectory(pathHelios, node);
+                const log = fs.createWriteStream(path.join(incidentDirectory, 'rollback.log'));
+                const std = new Stream.PassThrough();
+                std.on('data', (data) => {
+                    process.stdout.write(data.toString());
+                    log.write(data.toString());
+                });
+
+                try {
+                    const info = await containerExec(['heliades', 'application-db', 'info', `--height=${height}`], node.container);
+                    fs.writeFileSync(path.join(incidentDirectory, `info-${height}.json`), info);
+                    const trace = await containerExec(['heliades', 'application-db', 'trace', `--height=${height}`], node.container);
+                    fs.writeFileSync(path.join(incidentDirectory, `trace-${height}.json`), trace);
+                    console.log(`Diagnostics saved in ${incidentDirectory}`);
+
+                    const backupDirectory = path.join(incidentDirectory, 'data');
+                    const spinner = ora(`Backing up ${node.name} data to ${backupDirectory}`).start();
+                    copyFolderSync(path.join(node.dataPath, 'data'), backupDirectory);
+                    spinner.succeed(`${node.name} data backed up to ${backupDirectory}`);
+
+                    const report = { node: node.name, height, target, blocks, incident: incidentDirectory, backup: backupDirectory };
+                    try {
+                        // heliades rollback removes one block per run
+                        for (let i = 0; i < blocks; i++) {
+                            try {
+                                await containerExecStream(['heliades', 'rollback', '--hard', '--delete-latest-state'], std, node.container);
+                            } catch (error) {
+                                if (error.code !== 'EXEC_FAILED') throw error;
+                                throw new CliError('ROLLBACK_FAILED', `heliades rollback failed at block ${i + 1}/${blocks}: ${error.message}`, error.data);
+                            }
+                        }
+                    } catch (error) {
+                        const restoring = ora(`Rollback failed, restoring ${node.name} data from ${backupDirectory}`).start();
+                        restoreBackup(node, backupDirectory);
+                        restoring.succeed(`${node.name} data restored to height ${height}`);
+                        fs.writeFileSync(path.join(incidentDirectory, 'report.json'), JSON.stringify({ ...report, ok: false, error: error.message }, null, 2));
+                        throw error;
+                    }
+                    fs.writeFileSync(path.join(incidentDirectory, 'report.json'), JSON.stringify({ ...report, ok: true }, null, 2));
+                    return report;
+                } finally {
+                    log.end();
+                }
             });
-            const metadata = fs.readFileSync(path.join(pathHelios, 'data/node1/.heliades/data/metadata.json'), 'utf8');
-            const metadataJson = JSON.parse(metadata);
-            const height = metadataJson.height;
-
-            const info = await containerExec(['heliades', 'application-db', 'info', `--height=${height}`]);
-            fs.writeFileSync(path.join(pathHelios, `info-${height}.json`), info);
-            console.log(`info-${height}.json saved in ${pathHelios}`);
-
-            const trace = await containerExec(['heliades', 'application-db', 'trace', `--height=${height}`]);
-            fs.writeFileSync(path.join(pathHelios, `trace-${height}.json`), trace);
-            console.log(`trace-${height}.json saved in ${pathHelios}`);
-
-            await containerExecStream(['heliades', 'rollback', '--hard', '--delete-latest-state'], std);
-            await new Promise(resolve => setTimeout(resolve, 5000));
-            await startNode(options);
-            resolve();
+            console.log(`${node.name} rolled back from height ${height} to ${target}, backup kept in ${report.backup}`);
+            resolve(report);
         } catch (error) {
-            console.error(error);
             reject(error);
         }
     });
 }
 
-module.exports = prune;
\ No newline at end of file
+module.exports = defineCommand({
+    name: 'rollback',
+    description: 'Roll back the node state, backing up its data first',
+    options: {
+        blocks: { type: 'number', description: 'Number of blocks to roll back', default: 1 },
+        'dry-run': { type: 'boolean', description: 'Only show the current and target heights' }
+    }
+}, rollback);
@@ -0,0 +1,56 @@
+const ora = require("ora");
+const getPathHelios = require("../../../utils/getPathHelios");
+const containerIsRunning = require("../../../container/container-is-running");
+const containerInspect = require("../../../container/container-inspect");
+const formatBytes = require("../../../utils/formatBytes");
+const whileStopped = require("../../../node-manager/while-stopped");
+const defineCommand = require("../../../utils/defineCommand");
+const snapshots = require("../../../snapshots");
+const nodes = require("../../../nodes");
+const { CliError } = require("../../../errors");
+
+function create(options) {
+    return new Promise(async (resolve, reject) => {
+        try {
+            const pathHelios = getPathHelios(options);
+            if (!pathHelios) {
+                reject(new CliError('NO_DEPLOYMENT', "No path found, please start a node first"));
+                return;
+            }
+            const node = nodes.getNode(options);
+            const isRunning = await containerIsRunning(node.container);
+            if (!isRunning) {
+                reject(new CliError('CONTAINER_NOT_RUNNING', `Container ${node.container} is not running`));
+                return;
+            }
+            const dir = snapshots.getSnapshotDir(options);
+            const inspect = await containerInspect(node.container);
+            const imageVersion = inspect && inspect.Config.Labels ? inspect.Config.Labels.version || null : null;
+
+            // the node was running and signing just before, no need to run the double-sign guard again
+            const snapshot = await whileStopped(options, node, async () => {
+                const spinner = ora(`Writing ${options.argv.compression} snapshot of ${node.name} to ${dir}`).start();
+                try {
+                    const created = await snapshots.createSnapshot(node, { dir, compression: options.argv.compression, imageVersion });
+                    spinner.succeed(`Snapshot ${created.file} created (height ${created.height}, ${formatBytes(created.size)})`);
+                    return created;
+                } catch (error) {
+                    spinner.fail();
+                    throw error;
+                }
+            }, { doubleSignChecked: true });
+
+            resolve(snapshot);
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+module.exports = defineCommand({
+    name: 'create',
+    description: 'Stop the node, archive its data with a manifest and restart it',
+    options: {
+        compression: { type: 'string', description: `Archive compression: ${Object.keys(snapshots.COMPRESSIONS).join(', ')}`, default: snapshots.DEFAULT_COMPRESSION }
+    }
+}, create);
@@ -0,0 +1,24 @@
+const defineCommand = require("../../../utils/defineCommand");
+const snapshots = require("../../../snapshots");
+
+function remove(options) {
+    return new Promise(async (resolve, reject) => {
+        try {
+            const dir = snapshots.getSnapshotDir(options);
+            const snapshot = snapshots.deleteSnapshot(dir, options.argv.args.name);
+
+            console.log(`Snapshot ${snapshot.file} deleted`);
+            resolve(snapshot);
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+module.exports = defineCommand({
+    name: 'delete',
+    description: 'Delete a snapshot and its manifest',
+    args: [
+        { name: 'name', type: 'string', description: 'Snapshot name or file, see helios node snapshot list', required: true }
+    ]
+}, remove);
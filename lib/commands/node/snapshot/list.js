@@ -0,0 +1,29 @@
+const defineCommand = require("../../../utils/defineCommand");
+const formatBytes = require("../../../utils/formatBytes");
+const snapshots = require("../../../snapshots");
+
+function list(options) {
+    return new Promise(async (resolve, reject) => {
+        try {
+            const dir = snapshots.getSnapshotDir(options);
+            const list = snapshots.listSnapshots(dir);
+
+            if (!options.argv.json) {
+                if (list.length == 0) {
+                    console.log(`No snapshot in ${dir}`);
+                }
+                for (const snapshot of list) {
+                    console.log(`${snapshot.name} - ${snapshot.node} - height ${snapshot.height} - ${snapshot.chainId || '?'} - ${snapshot.compression} - ${formatBytes(snapshot.size)} - ${snapshot.createdAt}`);
+                }
+            }
+            resolve({ dir, snapshots: list });
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+module.exports = defineCommand({
+    name: 'list',
+    description: 'List the snapshots of the snapshot directory, newest first'
+}, list);
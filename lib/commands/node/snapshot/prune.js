@@ -0,0 +1,37 @@
+const defineCommand = require("../../../utils/defineCommand");
+const snapshots = require("../../../snapshots");
+const { CliError } = require("../../../errors");
+
+function prune(options) {
+    return new Promise(async (resolve, reject) => {
+        try {
+            const keep = options.argv.keep;
+            if (keep === undefined) {
+                reject(new CliError('MISSING_OPTION', 'Please specify how many snapshots to keep with --keep N'));
+                return;
+            }
+            if (!Number.isInteger(keep) || keep < 0) {
+                reject(new CliError('INVALID_OPTION', '--keep need a positive integer value.'));
+                return;
+            }
+            const dir = snapshots.getSnapshotDir(options);
+            const deleted = snapshots.pruneSnapshots(dir, keep);
+
+            if (!options.argv.json) {
+                deleted.forEach(snapshot => console.log(`Snapshot ${snapshot.file} deleted`));
+                console.log(`${deleted.length} snapshot(s) deleted, ${keep} kept per node`);
+            }
+            resolve({ dir, keep, deleted });
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+module.exports = defineCommand({
+    name: 'prune',
+    description: 'Delete the oldest snapshots, keeping the N newest of each node',
+    options: {
+        keep: { type: 'number', description: 'Number of snapshots kept per node' }
+    }
+}, prune);
@@ -0,0 +1,161 @@
+const fs = require("fs");
+const path = require("path");
+const ora = require("ora");
+const getPathHelios = require("../../../utils/getPathHelios");
+const containerIsRunning = require("../../../container/container-is-running");
+const downloadFile = require("../../../utils/downloadFile");
+const formatBytes = require("../../../utils/formatBytes");
+const whileStopped = require("../../../node-manager/while-stopped");
+const defineCommand = require("../../../utils/defineCommand");
+const snapshots = require("../../../snapshots");
+const nodes = require("../../../nodes");
+const { CliError } = require("../../../errors");
+
+const isUrl = (source) => /^https?:\/\//.test(source);
+
+async function fetchManifest(url) {
+    try {
+        const response = await fetch(`${url}.json`);
+        return response.status == 200 ? await response.json() : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Local archive (path or name in the snapshot directory) or download of a
+// remote one into the snapshot directory, with its manifest when there is one.
+async function resolveSource(options, source) {
+    if (isUrl(source)) {
+        const dir = snapshots.getSnapshotDir(options);
+        const file = path.join(dir, path.basename(new URL(source).pathname));
+        const manifest = await fetchManifest(source);
+
+        fs.mkdirSync(dir, { recursive: true });
+        if (!fs.existsSync(file)) {
+            const spinner = ora(`Downloading ${source}`).start();
+            try {
+                const result = await downloadFile(source, file, (received, total) => {
+                    spinner.text = `Downloading ${source} ${formatBytes(received)}` + (total ? ` / ${formatBytes(total)}` : '');
+                });
+                spinner.succeed(`Downloaded ${path.basename(file)} (${formatBytes(result.size)}${result.resumed ? ', resumed' : ''})`);
+            } catch (error) {
+                spinner.fail();
+                throw error;
+            }
+        }
+        if (manifest) {
+            fs.writeFileSync(`${file}.json`, JSON.stringify(manifest, null, 2));
+        }
+        return { file, manifest, downloaded: true };
+    }
+    if (fs.existsSync(source) && fs.statSync(source).isFile()) {
+        const manifestFile = `${source}.json`;
+        return { file: path.resolve(source), manifest: fs.existsSync(manifestFile) ? JSON.parse(fs.readFileSync(manifestFile, 'utf8')) : null };
+    }
+    const snapshot = snapshots.findSnapshot(snapshots.getSnapshotDir(options), source);
+    return { file: snapshot.path, manifest: snapshot };
+}
+
+function restore(options) {
+    return new Promise(async (resolve, reject) => {
+        try {
+            const pathHelios = getPathHelios(options);
+            if (!pathHelios) {
+                reject(new CliError('NO_DEPLOYMENT', "No path found, please start a node first"));
+                return;
+            }
+            const node = nodes.getNode(options);
+            const isRunning = await containerIsRunning(node.container);
+            if (!isRunning) {
+                reject(new CliError('CONTAINER_NOT_RUNNING', `Container ${node.container} is not running`));
+                return;
+            }
+
+            const source = options.argv.args.source;
+            const { file, manifest, downloaded } = await resolveSource(options, source);
+            const compression = snapshots.compressionOf(file, manifest);
+
+            const snapshotChainId = (manifest && manifest.chainId) || options.argv['chain-id'];
+            const nodeChainId = snapshots.readChainId(node.dataPath);
+            if (!snapshotChainId) {
+                throw new CliError('CHAIN_ID_UNKNOWN', `No manifest gives the chain-id of ${path.basename(file)}, pass it with --chain-id`);
+            }
+            if (!nodeChainId) {
+                throw new CliError('NODE_NOT_CONFIGURED', `No genesis found for ${node.name}, cannot check the chain-id`);
+            }
+            if (snapshotChainId !== nodeChainId) {
+                throw new CliError('CHAIN_ID_MISMATCH', `Snapshot is for chain ${snapshotChainId} but ${node.name} runs ${nodeChainId}`);
+            }
+
+            const expected = (manifest && manifest.sha256) || options.argv.sha256;
+            if (!expected) {
+                throw new CliError('CHECKSUM_MISSING', `No manifest gives the sha256 of ${path.basename(file)}, pass it with --sha256`);
+            }
+            const spinner = ora(`Verifying ${path.basename(file)}`).start();
+            const actual = await snapshots.sha256File(file);
+            if (actual !== expected.toLowerCase()) {
+                spinner.fail();
+                if (downloaded) {
+                    // a corrupted download must not be reused by the next run
+                    fs.rmSync(file, { force: true });
+                }
+                throw new CliError('CHECKSUM_MISMATCH', `sha256 of ${path.basename(file)} is ${actual}, expected ${expected}`);
+            }
+            spinner.succeed(`Checksum of ${path.basename(file)} verified`);
+
+            const dataDirectory = path.join(node.dataPath, 'data');
+            const previousData = path.join(node.dataPath, `data.before-restore-${new Date().toISOString().replace(/[-:]/g, '').replace(/\..*$/, '')}`);
+
+            await whileStopped(options, node, async () => {
+                const extracting = ora(`Extracting ${path.basename(file)} into ${dataDirectory}`).start();
+                // the data directory is only dropped once it was moved aside, or when there was none
+                let replaceable = !fs.existsSync(dataDirectory);
+                try {
+                    if (!replaceable) {
+                        fs.renameSync(dataDirectory, previousData);
+                        replaceable = true;
+                    }
+                    await snapshots.extractSnapshot(file, compression, node.dataPath);
+
+                    // the signing state stays the one of this validator
+                    const signingState = path.join(dataDirectory, 'priv_validator_state.json');
+                    if (fs.existsSync(path.join(previousData, 'priv_validator_state.json'))) {
+                        fs.copyFileSync(path.join(previousData, 'priv_validator_state.json'), signingState);
+                    } else if (!fs.existsSync(signingState)) {
+                        fs.writeFileSync(signingState, JSON.stringify({ height: '0', round: 0, step: 0 }, null, 2));
+                    }
+                } catch (error) {
+                    extracting.fail();
+                    if (replaceable) {
+                        fs.rmSync(dataDirectory, { force: true, recursive: true });
+                        if (fs.existsSync(previousData)) fs.renameSync(previousData, dataDirectory);
+                    }
+                    throw error;
+                }
+                extracting.succeed(`Snapshot extracted, previous data kept in ${previousData}`);
+            });
+
+            resolve({
+                source,
+                file,
+                height: manifest ? manifest.height : snapshots.readHeight(node.dataPath),
+                chainId: snapshotChainId,
+                previousData: fs.existsSync(previousData) ? previousData : null
+            });
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+module.exports = defineCommand({
+    name: 'restore',
+    description: 'Replace the node data with a snapshot (local file, snapshot name or http(s) URL)',
+    args: [
+        { name: 'source', type: 'string', description: 'Archive path, snapshot name or URL (downloads resume where they stopped)', required: true }
+    ],
+    options: {
+        sha256: { type: 'string', description: 'Expected sha256 of the archive when it has no manifest' },
+        'chain-id': { type: 'string', description: 'Chain-id of the archive when it has no manifest' }
+    }
+}, restore);
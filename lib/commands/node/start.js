@@ -1,70 +1,34 @@
-const containerIsRunning = require("../../container/container-is-running");
-const containerExec = require("../../container/container-exec");
+const defineCommand = require("../../utils/defineCommand");
+const getNodeManagerClient = require("../../node-manager/get-node-manager-client");
+const doubleSign = require("../../double-sign");
+const nodes = require("../../nodes");
+const wait = require("../../wait");
 
 function start(options) {
-    return new Promise(async (resolve, reject) => {
-        const isRunning = await containerIsRunning();
-        if (!isRunning) {
-            reject('Container is not running');
-            return;
-        }
-
-        const output = await containerExec(['cat', '/root/.heliades/.password']);
-
-        if (output.includes('No such file or directory')) {
-            reject('Helios node not configured');
-            return;
-        }
-        const password = output.trim();
-
-        if (password == '') {
-            reject('Helios node not configured - Login failed');
-            return;
-        }
+    return nodes.forEachNode(options, async (node) => {
+        const client = await getNodeManagerClient(options, node);
+        const testData = await client.test();
 
-        let isRunningResult = await fetch('http://localhost:8080/test', {
-            method: 'POST',
-            headers: {
-                'Access-Code': password,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({})
-        });
-
-        if (isRunningResult.status != 200) {
-            reject('Helios node not configured - Is setup failed');
-            return;
-        }
-
-        const testData = await isRunningResult.json();
-        if (!testData) {
-            reject('Helios node not configured - Is setup failed');
-            return;
+        if (testData && testData.node && testData.node.status == '1') {
+            console.log(`Node ${node.name} is already running`);
+            return { status: 'already-running' };
         }
 
-        if (testData.node.status == '1') {
-            console.log('Node is already running');
-            resolve();
-            return;
-        }
-
-        let result = await fetch('http://localhost:8080/run-miner-node', {
-            method: 'POST',
-            headers: {
-                'Access-Code': password,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({})
-        });
-
-        if (result.status != 200) {
-            reject('Failed to start node 1 status=' + result.status);
-            return;
+        if (!options.doubleSignChecked) {
+            await doubleSign.guardDoubleSign(options, node);
         }
+        await client.runMinerNode();
+        await wait.waitUntilRunning(client, node, { timeout: wait.waitTimeout(options) });
 
-        console.log('Node started');
-        resolve();
+        console.log(`Node ${node.name} started`);
+        return { status: 'started' };
     });
 };
 
-module.exports = start;
\ No newline at end of file
+module.exports = defineCommand({
+    name: 'start',
+    description: 'Start the node through the Node Manager',
+    options: {
+        all: { type: 'boolean', description: 'Start every node of the deployment' }
+    }
+}, start);
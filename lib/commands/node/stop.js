@@ -1,72 +1,26 @@
-const containerIsRunning = require("../../container/container-is-running");
-const containerExec = require("../../container/container-exec");
+const defineCommand = require("../../utils/defineCommand");
+const getNodeManagerClient = require("../../node-manager/get-node-manager-client");
+const nodes = require("../../nodes");
+const wait = require("../../wait");
 
 function stop(options) {
-    return new Promise(async (resolve, reject) => {
-        const isRunning = await containerIsRunning();
-        if (!isRunning) {
-            reject('Container is not running');
-            return;
-        }
-
-        const output = await containerExec(['cat', '/root/.heliades/.password']);
-
-        if (output.includes('No such file or directory')) {
-            reject('Helios node not configured');
-            return;
-        }
-        const password = output.trim();
-
-        if (password == '') {
-            reject('Helios node not configured - Login failed');
-            return;
-        }
-
-        let result = await fetch('http://localhost:8080/stop-node', {
-            method: 'POST',
-            headers: {
-                'Access-Code': password,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({})
-        });
+    return nodes.forEachNode(options, async (node) => {
+        const client = await getNodeManagerClient(options, node);
 
-        if (result.status != 200) {
-            reject('Failed to stop node 1 status=' + result.status);
-            return;
-        }
-
-        await new Promise(resolve => setTimeout(resolve, 2000));
-
-        let isRunningResult = await fetch('http://localhost:8080/test', {
-            method: 'POST',
-            headers: {
-                'Access-Code': password,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({})
-        });
-
-        if (isRunningResult.status != 200) {
-            reject('Helios node not configured - Is setup failed');
-            return;
-        }
-
-        const testData = await isRunningResult.json();
-        if (!testData) {
-            reject('Helios node not configured - Is setup failed');
-            return;
-        }
+        await client.stopNode();
+        await wait.waitUntilStopped(client, node, { timeout: wait.waitTimeout(options) });
 
-        if (testData.node.status == '0') {
-            if (!options.disabledLogs) {
-                console.log('Node is already stopped');
-            }
-            resolve();
-            return;
+        if (!options.disabledLogs) {
+            console.log(`Node ${node.name} is stopped`);
         }
-        reject('Failed to stop node 2 - ' + JSON.stringify(testData));
+        return { status: 'stopped' };
     });
 };
 
-module.exports = stop;
\ No newline at end of file
+module.exports = defineCommand({
+    name: 'stop',
+    description: 'Stop the node through the Node Manager',
+    options: {
+        all: { type: 'boolean', description: 'Stop every node of the deployment' }
+    }
+}, stop);
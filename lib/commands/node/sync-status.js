@@ -0,0 +1,124 @@
+const defineCommand = require("../../utils/defineCommand");
+const formatDuration = require("../../utils/formatDuration");
+const cometbft = require("../../cometbft");
+const nodes = require("../../nodes");
+const wait = require("../../wait");
+const { CliError } = require("../../errors");
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Two /status samples `sample` seconds apart give the block rate of the node
+// and, with a reference RPC, how fast it closes the gap.
+async function measure(client, reference, sample) {
+    const first = await client.status();
+    const firstReference = reference ? await reference.status() : null;
+    const startedAt = Date.now();
+
+    await sleep(sample * 1000);
+
+    const status = await client.status();
+    const referenceStatus = reference ? await reference.status() : null;
+    const elapsed = (Date.now() - startedAt) / 1000;
+    const blocksPerSecond = (status.latestBlockHeight - first.latestBlockHeight) / elapsed;
+    const result = {
+        network: status.network,
+        catchingUp: status.catchingUp,
+        latestBlockHeight: status.latestBlockHeight,
+        latestBlockTime: status.latestBlockTime,
+        peers: await client.peers(),
+        blocksPerSecond: Math.round(blocksPerSecond * 100) / 100,
+        reference: null
+    };
+
+    if (referenceStatus) {
+        if (referenceStatus.network && status.network && referenceStatus.network !== status.network) {
+            throw new CliError('CHAIN_ID_MISMATCH', `Reference RPC ${reference.baseUrl} runs ${referenceStatus.network}, the node runs ${status.network}`);
+        }
+        const behind = Math.max(referenceStatus.latestBlockHeight - status.latestBlockHeight, 0);
+        const closing = blocksPerSecond - (referenceStatus.latestBlockHeight - firstReference.latestBlockHeight) / elapsed;
+        result.reference = {
+            url: reference.baseUrl,
+            latestBlockHeight: referenceStatus.latestBlockHeight,
+            behind,
+            eta: behind == 0 ? 0 : (closing > 0 ? Math.round(behind / closing) : null)
+        };
+    }
+    return result;
+}
+
+function print(node, rpcUrl, result) {
+    const reference = result.reference;
+    console.log(`${node.name} (${rpcUrl})` + (result.network ? ` - ${result.network}` : ''));
+    console.log(`  Catching up   : ${result.catchingUp}`);
+    console.log(`  Latest block  : ${result.latestBlockHeight} (${result.latestBlockTime})`);
+    console.log(`  Peers         : ${result.peers}`);
+    console.log(`  Blocks/sec    : ${result.blocksPerSecond}`);
+    if (reference) {
+        console.log(`  Reference     : ${reference.latestBlockHeight} (${reference.url}), ${reference.behind} block(s) behind`);
+        console.log(`  ETA           : ${reference.eta == null ? 'unknown, the node is not closing the gap' : formatDuration(reference.eta)}`);
+    }
+}
+
+const synced = (result) => !result.catchingUp && (result.reference == null || result.reference.behind <= 2);
+
+// The RPC is down while the node boots and may drop a request during a long
+// sync: under --wait that only means "not synced yet".
+const isTransient = (error) => ['RPC_UNREACHABLE', 'RPC_ERROR'].includes(error.code);
+
+function progress(node, result) {
+    return `${node.name} at ${result.latestBlockHeight}` + (result.reference ? `, ${result.reference.behind} behind, ETA ${result.reference.eta == null ? 'unknown' : formatDuration(result.reference.eta)}` : '') + `, ${result.blocksPerSecond} blocks/sec`;
+}
+
+function syncStatus(options) {
+    const sample = options.argv.sample;
+    if (!(Number.isFinite(sample) && sample > 0)) {
+        return Promise.reject(new CliError('INVALID_OPTION', '--sample need a positive number of seconds.'));
+    }
+    return nodes.forEachNode(options, async (node) => {
+        const rpcUrl = cometbft.nodeRpcUrl(options, node);
+        const client = cometbft.createCometClient(rpcUrl);
+        const referenceUrl = options.argv.reference || process.env.HELIOS_REFERENCE_RPC;
+        const reference = referenceUrl ? cometbft.createCometClient(referenceUrl) : null;
+
+        if (!options.argv.wait) {
+            const result = await measure(client, reference, sample);
+            if (!options.argv.json) print(node, rpcUrl, result);
+            return { rpcUrl, ...result, synced: synced(result) };
+        }
+
+        let result;
+        let lastError;
+        await wait.waitUntil(async () => {
+            try {
+                const first = result === undefined;
+                result = await measure(client, reference, sample);
+                lastError = undefined;
+                if (!options.argv.json) {
+                    if (first) print(node, rpcUrl, result);
+                    else console.log(progress(node, result));
+                }
+                return synced(result);
+            } catch (error) {
+                if (!isTransient(error)) throw error;
+                lastError = error;
+                if (!options.argv.json) console.log(`${node.name} not reachable yet: ${error.message}`);
+                await sleep(sample * 1000);
+                return false;
+            }
+        }, { timeout: wait.waitTimeout(options), interval: 0, description: () => `${node.name} to be synced` + (lastError ? ` (${lastError.message})` : '') });
+        if (!options.argv.json) console.log(`${node.name} is synced at height ${result.latestBlockHeight}`);
+        return { rpcUrl, ...result, synced: true };
+    });
+}
+
+module.exports = defineCommand({
+    name: 'sync-status',
+    description: 'Show whether the node is catching up, from the CometBFT RPC',
+    options: {
+        all: { type: 'boolean', description: 'Show every node of the deployment' },
+        'rpc-url': { type: 'string', description: 'CometBFT RPC of the node (default: the published 26657 port)' },
+        sample: { type: 'number', description: 'Seconds between the two samples used for blocks/sec', default: 5 },
+        wait: { type: 'boolean', description: 'Block until the node is synced' },
+        'wait-timeout': { type: 'number', description: 'Seconds --wait waits for, 0 for no limit', default: 0 }
+    }
+}, syncStatus);
@@ -3,46 +3,59 @@ const containerIsRunning = require("../../container/container-is-running");
 const exportGenesis = require("./export-genesis");
 const fs = require("fs");
 const containerExec = require("../../container/container-exec");
-const generateGenesisFromExistGenesis = require("../../utils/generateGenesisFromExistGenesis");
 const startNode = require("./start");
 const stopNode = require("./stop");
 const path = require("path");
+const defineCommand = require("../../utils/defineCommand");
+const formatBytes = require("../../utils/formatBytes");
+const trackPeakMemory = require("../../utils/trackPeakMemory");
+const doubleSign = require("../../double-sign");
+const genesisRecipe = require("../../genesis");
+const nodes = require("../../nodes");
+const wait = require("../../wait");
+const { CliError } = require("../../errors");
 
 const testnetReset = (options) => {
     return new Promise(async (resolve, reject) => {
         try {
-            const pathHelios = getPathHelios();
+            const pathHelios = getPathHelios(options);
             if (!pathHelios) {
-                reject("No path found, please start a node first");
+                reject(new CliError('NO_DEPLOYMENT', "No path found, please start a node first"));
                 return;
             }
-            const isRunning = await containerIsRunning();
+            const recipe = genesisRecipe.loadRecipe(options.argv.recipe);
+            const node = nodes.getNode(options);
+            const isRunning = await containerIsRunning(node.container);
             if (!isRunning) {
-                reject('Container is not running');
+                reject(new CliError('CONTAINER_NOT_RUNNING', `Container ${node.container} is not running`));
                 return;
             }
+            // the checks also run before the reset, while the chain is still the old one
+            await doubleSign.guardDoubleSign(options, node);
             await stopNode({...options, disabledLogs: true});
         
             if (!fs.existsSync('./genesis.json')) {
-                reject('Genesis file not found');
+                reject(new CliError('FILE_NOT_FOUND', 'Genesis file not found'));
                 return;
             }
             if (!fs.existsSync('./tiny_genesis.json')) {
-                reject('Tiny genesis file not found');
+                reject(new CliError('FILE_NOT_FOUND', 'Tiny genesis file not found'));
                 return;
             }
 
-            const initializerAddress = await containerExec(['heliades','keys', 'show', 'user0', '-a', '--bech=acc', '--keyring-backend=local']);
+            const initializerAddress = await containerExec(['heliades','keys', 'show', 'user0', '-a', '--bech=acc', '--keyring-backend=local'], node.container);
 
             console.log('initializerAddress:', initializerAddress);
 
-            const genesis = fs.readFileSync('./genesis.json').toString();
-            const tinyGenesis = fs.readFileSync('./tiny_genesis.json').toString();
-            const newGenesisJson = await generateGenesisFromExistGenesis(genesis, tinyGenesis, initializerAddress);
+            const heliadesDirectory = node.dataPath;
+            const stopTracking = trackPeakMemory();
+            const newGenesis = await genesisRecipe.migrateGenesisFile('./genesis.json', './tiny_genesis.json', path.join(heliadesDirectory, 'config/genesis.json'), recipe, { initializer: initializerAddress.trim() });
+            const peakMemory = stopTracking();
 
-            const heliadesDirectory = path.join(pathHelios,'data/node1/.heliades');
+            genesisRecipe.printSummary(newGenesis.summary);
+            genesisRecipe.printRefunds(newGenesis.refunds);
+            console.log(`Genesis generated (peak memory: ${formatBytes(peakMemory.rss)} RSS, ${formatBytes(peakMemory.heapUsed)} heap)`);
 
-            fs.writeFileSync(path.join(heliadesDirectory, 'config/genesis.json'), JSON.stringify(newGenesisJson, null, 2));
             ['application.db', 'blockstore.db', 'state.db', 'tx_index.db', 'snapshots', 'cs.wal', 'evidence.db'].forEach(file => {
                 fs.rmSync(path.join(heliadesDirectory, 'data', file), { force: true, recursive: true });
             });
@@ -50,16 +63,16 @@ const testnetReset = (options) => {
                 fs.rmSync(path.join(heliadesDirectory, 'config', file), { force: true, recursive: true });
             });
             fs.writeFileSync(path.join(heliadesDirectory, 'data/priv_validator_state.json'), JSON.stringify({
-                height: newGenesisJson.initial_height.toFixed(0),
+                height: Number(newGenesis.initialHeight).toFixed(0),
                 round: 0,
                 step: 0
             }, null, 2));
 
-            console.log(await containerExec(['heliades', 'gentx', 'user0', '1000000000000000000ahelios', '--chain-id', '42000', '--keyring-backend=local', '--gas-prices', '1000000000ahelios', '--gas', '300000']));
-            console.log(await containerExec(['heliades', 'collect-gentxs']));
-            await startNode(options);
-            await new Promise(resolve => setTimeout(resolve, 5000));
-            console.log(await containerExec(['cat', '/root/.heliades/data/metadata.json']));
+            console.log(await containerExec(['heliades', 'gentx', 'user0', '1000000000000000000ahelios', '--chain-id', '42000', '--keyring-backend=local', '--gas-prices', '1000000000ahelios', '--gas', '300000'], node.container));
+            console.log(await containerExec(['heliades', 'collect-gentxs'], node.container));
+            await startNode({ ...options, doubleSignChecked: true });
+            const height = await wait.waitForHeight(node, Number(newGenesis.initialHeight), { timeout: wait.waitTimeout(options) });
+            console.log(`${node.name} produced block ${height}`);
             resolve();
         } catch (error) {
             console.error(error);
@@ -68,4 +81,10 @@ const testnetReset = (options) => {
     });
 }
 
-module.exports = testnetReset;
\ No newline at end of file
+module.exports = defineCommand({
+    name: 'testnet-reset',
+    description: 'Relaunch the chain from ./genesis.json merged with ./tiny_genesis.json',
+    options: {
+        recipe: { type: 'string', description: 'YAML or JSON recipe of the migration, see helios genesis migrate' }
+    }
+}, testnetReset);
@@ -0,0 +1,12 @@
+const defineCommand = require('../utils/defineCommand');
+
+module.exports = defineCommand({
+    name: 'profile',
+    description: 'Manage named Helios deployments',
+    subcommands: [
+        require('./profile/create'),
+        require('./profile/use'),
+        require('./profile/list'),
+        require('./profile/remove')
+    ]
+});
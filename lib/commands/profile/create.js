@@ -0,0 +1,46 @@
+const path = require("path");
+const profiles = require("../../profiles");
+const defineCommand = require("../../utils/defineCommand");
+const { CliError } = require("../../errors");
+
+function create(options) {
+    return new Promise(async (resolve, reject) => {
+        const name = options.argv.args.name;
+
+        if (!/^[a-z0-9][a-z0-9_.-]*$/.test(name)) {
+            reject(new CliError('INVALID_ARGUMENT', `Invalid profile name ${name}: use lowercase letters, digits, ".", "_" or "-"`));
+            return;
+        }
+        if (profiles.getProfile(name)) {
+            reject(new CliError('PROFILE_EXISTS', `Profile ${name} already exists`));
+            return;
+        }
+
+        const values = {
+            path: path.resolve(options.argv.path || process.cwd())
+        };
+        if (options.argv.port !== undefined) values.port = options.argv.port;
+        if (options.argv.nodes !== undefined) values.nodes = options.argv.nodes;
+        if (options.argv.image !== undefined) values.image = options.argv.image;
+        if (options.argv['snapshot-dir'] !== undefined) values.snapshotDir = path.resolve(options.argv['snapshot-dir']);
+
+        const profile = profiles.updateProfile(name, values);
+
+        console.log(`Profile ${name} created (${profile.path})`);
+        resolve(profile);
+    });
+};
+
+module.exports = defineCommand({
+    name: 'create',
+    description: 'Create a profile',
+    args: [
+        { name: 'name', type: 'string', description: 'Profile name', required: true }
+    ],
+    options: {
+        path: { type: 'string', description: 'Directory holding the docker-compose.yml and node data (default: current directory)' },
+        nodes: { type: 'number', description: 'Number of nodes started by helios start (default: 1)' },
+        image: { type: 'string', description: `NodeManager image (default: ${profiles.DEFAULT_IMAGE})` },
+        'snapshot-dir': { type: 'string', description: 'Directory of helios node snapshot (default: <path>/snapshots)' }
+    }
+}, create);
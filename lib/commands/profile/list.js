@@ -0,0 +1,23 @@
+const profiles = require("../../profiles");
+const defineCommand = require("../../utils/defineCommand");
+
+function list(options) {
+    return new Promise(async (resolve, reject) => {
+        const config = profiles.loadProfiles();
+        const active = profiles.getActiveProfileName(options);
+        const list = Object.keys(config.profiles).map(name => ({ ...profiles.getProfile(name), active: name === active }));
+
+        if (!options.argv.json) {
+            for (const profile of list) {
+                console.log(`${profile.active ? '*' : ' '} ${profile.name} - ${profile.path || '(not started)'} - port ${profile.port} - ${profile.nodes} node(s) - ${profile.image}`);
+            }
+        }
+
+        resolve({ current: active, profiles: list });
+    });
+};
+
+module.exports = defineCommand({
+    name: 'list',
+    description: 'List profiles'
+}, list);
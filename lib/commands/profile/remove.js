@@ -0,0 +1,31 @@
+const profiles = require("../../profiles");
+const defineCommand = require("../../utils/defineCommand");
+const { CliError } = require("../../errors");
+
+function remove(options) {
+    return new Promise(async (resolve, reject) => {
+        const name = options.argv.args.name;
+
+        if (name === profiles.DEFAULT_PROFILE) {
+            reject(new CliError('INVALID_ARGUMENT', `The ${profiles.DEFAULT_PROFILE} profile cannot be removed`));
+            return;
+        }
+        if (!profiles.getProfile(name)) {
+            reject(new CliError('PROFILE_NOT_FOUND', `Profile ${name} not found`));
+            return;
+        }
+        profiles.removeProfile(name);
+
+        // the compose directory and node data are left untouched
+        console.log(`Profile ${name} removed`);
+        resolve({ name });
+    });
+};
+
+module.exports = defineCommand({
+    name: 'remove',
+    description: 'Forget a profile (its directory and node data are kept)',
+    args: [
+        { name: 'name', type: 'string', description: 'Profile name', required: true }
+    ]
+}, remove);
@@ -0,0 +1,27 @@
+const profiles = require("../../profiles");
+const defineCommand = require("../../utils/defineCommand");
+const { CliError } = require("../../errors");
+
+function use(options) {
+    return new Promise(async (resolve, reject) => {
+        const name = options.argv.args.name;
+        const profile = profiles.getProfile(name);
+
+        if (!profile) {
+            reject(new CliError('PROFILE_NOT_FOUND', `Profile ${name} not found`));
+            return;
+        }
+        profiles.useProfile(name);
+
+        console.log(`Now using profile ${name}`);
+        resolve(profile);
+    });
+};
+
+module.exports = defineCommand({
+    name: 'use',
+    description: 'Select the profile used when --profile is not given',
+    args: [
+        { name: 'name', type: 'string', description: 'Profile name', required: true }
+    ]
+}, use);
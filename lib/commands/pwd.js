@@ -1,15 +1,20 @@
 const getPathHelios = require('../utils/getPathHelios');
+const defineCommand = require('../utils/defineCommand');
+const { CliError } = require('../errors');
 
-const pwd = () => {
+const pwd = (options) => {
     return new Promise((resolve, reject) => {
-        const pathHelios = getPathHelios();
+        const pathHelios = getPathHelios(options);
         if (!pathHelios) {
-            reject("No path found, please start a node first");
+            reject(new CliError('NO_DEPLOYMENT', "No path found, please start a node first"));
             return;
         }
-        console.log(pathHelios);
-        resolve();
+        if (!options.argv.json) console.log(pathHelios);
+        resolve({ path: pathHelios });
     });
 }
 
-module.exports = pwd;
\ No newline at end of file
+module.exports = defineCommand({
+    name: 'pwd',
+    description: 'Show the directory of the Helios deployment'
+}, pwd);
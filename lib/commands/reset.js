@@ -7,14 +7,16 @@ const executeShellCommand = require('../utils/executeShellCommandLine');
 const generateDockerCompose = require('../utils/generateDockerCompose');
 const getPathHelios = require('../utils/getPathHelios');
 const stop = require('./stop');
+const defineCommand = require('../utils/defineCommand');
+const { CliError } = require('../errors');
 
-function cmds() {
+function cmds(options) {
 
     let failed = false;
 
-    const heliosPath = getPathHelios();
+    const heliosPath = getPathHelios(options);
     if (!heliosPath) {
-        failure("No path found, please start a node first");
+        failure(new CliError('NO_DEPLOYMENT', "No path found, please start a node first"));
         return;
     }
 
@@ -35,7 +37,7 @@ function cmds() {
         {
             cmd: (success, failure) => {
                 try {
-                    options.argv.remove = "true";
+                    options.argv.remove = true;
                     stop(options).then(() => {
                         success();
                     }).catch((e) => {
@@ -51,12 +53,19 @@ function cmds() {
 
 function start(options) {
     return new Promise((resolve, reject) => {
-        const exeCmds = cmds();
-        executeMultipleShellCommand(exeCmds, 0, executeMultipleShellCommand, () => {
+        const exeCmds = cmds(options);
+        executeMultipleShellCommand(exeCmds, 0, executeMultipleShellCommand, (error) => {
+            if (error != undefined) {
+                reject(error);
+                return;
+            }
             ora("NodeManager reset successfully").succeed();
             resolve(undefined);
         });
     });
 };
 
-module.exports = start;
\ No newline at end of file
+module.exports = defineCommand({
+    name: 'reset',
+    description: 'Reset NodeManager'
+}, start);
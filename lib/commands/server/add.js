@@ -3,6 +3,8 @@ const containerExec = require("../../container/container-exec");
 const os = require("os");
 const path = require("path");
 const fs = require("fs");
+const defineCommand = require("../../utils/defineCommand");
+const { CliError } = require("../../errors");
 
 function add(options) {
     return new Promise(async (resolve, reject) => {
@@ -11,10 +13,10 @@ function add(options) {
         const serverName = options.argv.name;
         const serverUser = options.argv.user;
         const serverPassword = options.argv.password || '';
-        const useSshKey = options.argv.useSSHKey === 'true' || false;
+        const useSshKey = options.argv.useSSHKey === true;
 
         if (serverIp == undefined || serverName == undefined || serverUser == undefined || (serverPassword == undefined && !useSshKey)) {
-            reject('Please specify a server --ip, --name, --user and --password or --useSSHKey');
+            reject(new CliError('MISSING_OPTION', 'Please specify a server --ip, --name, --user and --password or --useSSHKey'));
             return;
         }
 
@@ -34,7 +36,7 @@ function add(options) {
         const serverConfig = JSON.parse(fs.readFileSync(serverConfigPath, 'utf8'));
 
         if (serverConfig.find(x => x.ip == serverIp)) {
-            reject(`Server ${serverIp} already exists`);
+            reject(new CliError('SERVER_EXISTS', `Server ${serverIp} already exists`));
             return;
         }
 
@@ -48,8 +50,18 @@ function add(options) {
         fs.writeFileSync(serverConfigPath, JSON.stringify(serverConfig, null, 2));
 
         console.log(`Server ${serverIp} added`);
-        resolve();
+        resolve({ ip: serverIp, name: serverName, user: serverUser, auth: useSshKey ? 'ssh-key' : 'password' });
     });
 };
 
-module.exports = add;
\ No newline at end of file
+module.exports = defineCommand({
+    name: 'add',
+    description: 'Register a remote server',
+    options: {
+        ip: { type: 'string', description: 'Server IP address' },
+        name: { type: 'string', description: 'Server name' },
+        user: { type: 'string', description: 'SSH user' },
+        password: { type: 'string', description: 'SSH password' },
+        useSSHKey: { type: 'boolean', description: 'Authenticate with ~/.ssh/id_rsa instead of a password' }
+    }
+}, add);
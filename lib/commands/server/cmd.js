@@ -4,17 +4,19 @@ const os = require("os");
 const path = require("path");
 const fs = require("fs");
 const execCommandOnServer = require("../../utils/execCommandOnServer");
+const defineCommand = require("../../utils/defineCommand");
+const { CliError } = require("../../errors");
 
 function add(options) {
     return new Promise(async (resolve, reject) => {
 
         if (options.argv.name == undefined && options.argv.all == undefined) {
-            reject('Please specify a server name or --all');
+            reject(new CliError('MISSING_OPTION', 'Please specify a server name or --all'));
             return;
         }
 
-        const isAll = options.argv.all === "true";
-        const command = options.command || options.argv._.slice(2);
+        const isAll = options.argv.all === true;
+        const command = options.remoteCommand || options.argv._.slice(2);
 
         const homeDir = os.homedir();
         const cliConfigPath = path.join(homeDir, '.helios-cli');
@@ -36,7 +38,7 @@ function add(options) {
         } else {
             const server = serverConfig.find(x => x.name == options.argv.name);
             if (!server) {
-                reject(`Server ${options.argv.name} not found`);
+                reject(new CliError('SERVER_NOT_FOUND', `Server ${options.argv.name} not found`));
                 return;
             }
             await execCommandOnServer(server, command);
@@ -46,4 +48,15 @@ function add(options) {
     });
 };
 
-module.exports = add;
\ No newline at end of file
+module.exports = defineCommand({
+    name: 'cmd',
+    description: 'Run a shell command on one or all registered servers',
+    args: [
+        { name: 'command', description: 'Command to run on the server', variadic: true }
+    ],
+    options: {
+        name: { type: 'string', description: 'Server name' },
+        all: { type: 'boolean', description: 'Run on every registered server' }
+    },
+    passthrough: true
+}, add);
@@ -5,12 +5,19 @@ const path = require("path");
 const fs = require("fs");
 const execCommandOnServer = require("../../utils/execCommandOnServer");
 const downloadFileOnServer = require("../../utils/downloadFileOnServer");
+const defineCommand = require("../../utils/defineCommand");
+const { CliError } = require("../../errors");
 
 const downloadExportGenesis = async (server) => {
     return new Promise(async (resolve, reject) => {
-        await execCommandOnServer(server, ['helios', 'node', 'export-genesis', '--output-document=genesis.json']);
-        await new Promise(resolve => setTimeout(resolve, 5000));
-        await downloadFileOnServer(server, 'genesis.json', './genesis.json');
+        try {
+            // the remote export-genesis only returns once the file is written
+            await execCommandOnServer(server, ['helios', 'node', 'export-genesis', '--output-document=genesis.json']);
+            await downloadFileOnServer(server, 'genesis.json', './genesis.json');
+            resolve();
+        } catch (error) {
+            reject(error);
+        }
     });
 };
 
@@ -18,11 +25,11 @@ function downloadExport(options) {
     return new Promise(async (resolve, reject) => {
 
         if (options.argv.name == undefined && options.argv.all == undefined) {
-            reject('Please specify a server name or --all');
+            reject(new CliError('MISSING_OPTION', 'Please specify a server name or --all'));
             return;
         }
 
-        const isAll = options.argv.all === "true";
+        const isAll = options.argv.all === true;
         const command = options.argv._.slice(2);
 
         const homeDir = os.homedir();
@@ -45,7 +52,7 @@ function downloadExport(options) {
         } else {
             const server = serverConfig.find(x => x.name == options.argv.name);
             if (!server) {
-                reject(`Server ${options.argv.name} not found`);
+                reject(new CliError('SERVER_NOT_FOUND', `Server ${options.argv.name} not found`));
                 return;
             }
             await downloadExportGenesis(server, command);
@@ -55,4 +62,11 @@ function downloadExport(options) {
     });
 };
 
-module.exports = downloadExport;
\ No newline at end of file
+module.exports = defineCommand({
+    name: 'download-export',
+    description: 'Export the genesis on a server and download it to ./genesis.json',
+    options: {
+        name: { type: 'string', description: 'Server name' },
+        all: { type: 'boolean', description: 'Download from every registered server' }
+    }
+}, downloadExport);
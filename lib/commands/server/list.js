@@ -3,6 +3,7 @@ const containerExec = require("../../container/container-exec");
 const os = require("os");
 const path = require("path");
 const fs = require("fs");
+const defineCommand = require("../../utils/defineCommand");
 
 function add(options) {
     return new Promise(async (resolve, reject) => {
@@ -22,12 +23,24 @@ function add(options) {
 
         const serverConfig = JSON.parse(fs.readFileSync(serverConfigPath, 'utf8'));
 
-        for (const server of serverConfig) {
-            console.log(`${server.ip} - ${server.name} - ${server.user} - ${server.useSshKey ? 'SSH Key' : server.password.replace(/./g, '*')}`);
+        if (!options.argv.json) {
+            for (const server of serverConfig) {
+                console.log(`${server.ip} - ${server.name} - ${server.user} - ${server.useSshKey ? 'SSH Key' : server.password.replace(/./g, '*')}`);
+            }
         }
 
-        resolve();
+        resolve({
+            servers: serverConfig.map(server => ({
+                ip: server.ip,
+                name: server.name,
+                user: server.user,
+                auth: server.useSshKey ? 'ssh-key' : 'password'
+            }))
+        });
     });
 };
 
-module.exports = add;
\ No newline at end of file
+module.exports = defineCommand({
+    name: 'list',
+    description: 'List registered servers'
+}, add);
@@ -5,9 +5,17 @@ const path = require("path");
 const fs = require("fs");
 const execCommandOnServer = require("../../utils/execCommandOnServer");
 const cmd = require("./cmd");
+const defineCommand = require("../../utils/defineCommand");
 
 function updateHeliosCmd(options) {
-    return cmd({...options, command: ['bash', '-c', 'npm install -g @helios-chain-labs/helios-cli']});
+    return cmd({...options, remoteCommand: ['bash', '-c', 'npm install -g @helios-chain-labs/helios-cli']});
 };
 
-module.exports = updateHeliosCmd;
\ No newline at end of file
+module.exports = defineCommand({
+    name: 'update-helios-cmd',
+    description: 'Update helios-cli on one or all registered servers',
+    options: {
+        name: { type: 'string', description: 'Server name' },
+        all: { type: 'boolean', description: 'Update every registered server' }
+    }
+}, updateHeliosCmd);
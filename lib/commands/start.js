@@ -1,13 +1,23 @@
 const ora = require('ora');
 const path = require("path");
 const fs = require('fs');
+const net = require('net');
 const executeMultipleShellCommand = require('../utils/executeMultipleShellCommand');
 const executeShellCommand = require('../utils/executeShellCommandLine');
 const generateDockerCompose = require('../utils/generateDockerCompose');
 const savePathHelios = require('../utils/savePathHelios');
 const getPathHelios = require('../utils/getPathHelios');
+const profiles = require('../profiles');
+const network = require('../network');
+const runtime = require('../runtime');
+const { setupDevnet } = require('../devnet');
+const containerInspect = require('../container/container-inspect');
+const nodes = require('../nodes');
+const wait = require('../wait');
+const defineCommand = require('../utils/defineCommand');
+const { CliError } = require('../errors');
 
-function cmds(options) {
+function cmds(options, profile, pathHelios, deployment) {
 
     let failed = false;
 
@@ -15,10 +25,6 @@ function cmds(options) {
         { // generate docker compose
             cmd: (success, failure) => {
                 try {
-                    let pathHelios = getPathHelios();
-                    if (!pathHelios) {
-                        pathHelios = process.cwd();
-                    }
                     const dockerComposeFileContent = generateDockerCompose(options);
                     fs.writeFileSync(path.join(pathHelios, `docker-compose.yml`), dockerComposeFileContent);
                     ora(`docker-compose.yml generated successfully`).succeed();
@@ -34,45 +40,132 @@ function cmds(options) {
             cond: () => !failed,
             cmd: (success, failure) => {
                 try {
-                    const pathHelios = getPathHelios();
-                    if (!pathHelios) {
-                        executeShellCommand("docker compose up -d", async (stdout) => {
-                            savePathHelios(process.cwd());
-                            success();
-                        }, () => {
-                            failure("Docker compose up failed");
-                        }, false, console.log);
-                    } else {
-                        executeShellCommand("docker compose --project-directory=\"" + pathHelios + "\" up -d", async (stdout) => {
-                            success();
-                        }, () => {
-                            failure("Docker compose up failed");
-                        }, false, console.log);
-                    }
-                    
+                    executeShellCommand("docker compose --project-directory=\"" + pathHelios + "\" up -d", async (stdout) => {
+                        if (profile.path != pathHelios) {
+                            savePathHelios(options, pathHelios);
+                        }
+                        // the next helios start keeps the same settings
+                        profiles.updateProfile(profile.name, {
+                            nodes: deployment.numberOfNodes,
+                            port: deployment.port,
+                            role: deployment.settings.role,
+                            bind: deployment.settings.bind,
+                            portOffset: deployment.settings.portOffset,
+                            subnet: deployment.settings.subnet,
+                            ...deployment.runtime
+                        });
+                        success();
+                    }, () => {
+                        failure(new CliError('DOCKER_COMPOSE_FAILED', "Docker compose up failed"));
+                    }, false, console.log);
                 } catch(e) { failure(e) }
             }
         },
+        { // shared genesis and peering between the nodes
+            cond: () => options.argv.devnet === true,
+            cmd: (success, failure) => {
+                setupDevnet(options).then((devnet) => {
+                    deployment.devnet = devnet;
+                    success();
+                }).catch(failure);
+            }
+        },
+        { // wait for the docker healthchecks
+            cond: () => options.argv.wait === true,
+            cmd: (success, failure) => {
+                waitUntilHealthy(options).then(success).catch(failure);
+            }
+        },
     ]
 
     return array;
 }
 
+// Resolves when every container reports healthy, rejects as soon as one is
+// unhealthy or after --wait-timeout seconds.
+async function waitUntilHealthy(options) {
+    const list = nodes.getNodes(options);
+    const spinner = ora(`Waiting for ${list.length} node(s) to be healthy`).start();
+    let states = [];
+
+    try {
+        await wait.waitUntil(async () => {
+            states = [];
+            for (const node of list) {
+                states.push({ node, health: runtime.healthStatus(await containerInspect(node.container)) });
+            }
+            const unhealthy = states.find(x => x.health === 'unhealthy');
+            if (unhealthy) {
+                throw new CliError('CONTAINER_UNHEALTHY', `Container ${unhealthy.node.container} is unhealthy, see helios logs --node ${unhealthy.node.name}`);
+            }
+            return states.every(x => x.health === 'healthy' || x.health === 'none');
+        }, {
+            timeout: wait.waitTimeout(options),
+            interval: 2000,
+            description: () => states.filter(x => x.health !== 'healthy').map(x => `${x.node.name} (${x.health || 'not running'})`).join(', ') + ' to be healthy'
+        });
+    } catch (error) {
+        spinner.fail();
+        throw error;
+    }
+    spinner.succeed(`${list.length} node(s) healthy`);
+}
+
 function start(options) {
     return new Promise((resolve, reject) => {
-        let numberOfNodes = Number(options.argv["_"][1]) || 1;
+        const profile = profiles.getActiveProfile(options);
+        const pathHelios = getPathHelios(options) || process.cwd();
+        let numberOfNodes = Number(options.argv["_"][1]) || profile.nodes;
+        let port = options.argv.port || profile.port;
+        let settings;
+        let runtimeSettings;
 
-        if (numberOfNodes > 5) {
-            reject("Number of nodes must be less than 5");
+        try {
+            settings = network.getNetworkSettings(options, profile, numberOfNodes);
+            network.checkPublishedPorts(settings, port, numberOfNodes);
+            runtimeSettings = runtime.getRuntimeSettings(options, profile);
+        } catch (e) {
+            reject(e);
             return;
         }
 
-        const exeCmds = cmds(options);
-        executeMultipleShellCommand(exeCmds, 0, executeMultipleShellCommand, () => {
-            ora(`NodeManager started successfully you can access it at http://0.0.0.0:${options.argv.port || 8080}`).succeed();
-            resolve(undefined);
+        ora(`Using profile ${profile.name} (${pathHelios})`).info();
+        ora(`Role ${settings.role}, bind ${network.formatBind(settings.bind)}, subnet ${settings.subnet}` + (settings.portOffset > 0 ? `, port offset ${settings.portOffset}` : '')).info();
+
+        const deployment = { numberOfNodes, port, settings, runtime: runtimeSettings };
+        const exeCmds = cmds(options, profile, pathHelios, deployment);
+        executeMultipleShellCommand(exeCmds, 0, executeMultipleShellCommand, (error) => {
+            if (error != undefined) {
+                reject(error);
+                return;
+            }
+            const managerAddress = settings.bind.manager || settings.bind.default;
+            const url = `http://${net.isIPv6(managerAddress) ? `[${managerAddress}]` : managerAddress}:${port}`;
+            ora(`NodeManager started successfully you can access it at ${url}`).succeed();
+            resolve({ profile: profile.name, path: pathHelios, nodes: numberOfNodes, url, network: settings, runtime: runtimeSettings, devnet: deployment.devnet });
         });
     });
 };
 
-module.exports = start;
\ No newline at end of file
+module.exports = defineCommand({
+    name: 'start',
+    description: 'Start NodeManager',
+    args: [
+        { name: 'nodes', type: 'number', description: 'Number of nodes to start (default: the profile node count)' }
+    ],
+    options: {
+        role: { type: 'string', description: `Ports to publish: ${Object.keys(network.ROLES).join(', ')} (default: ${network.DEFAULT_ROLE})` },
+        bind: { type: 'string', description: 'Address the ports are published on, with per port overrides, e.g. 0.0.0.0,json-rpc=127.0.0.1 (default: 0.0.0.0)' },
+        'port-offset': { type: 'number', description: 'Publish the ports of every node, shifted by offset * node index (default: 0, only node1)' },
+        subnet: { type: 'string', description: `Subnet of the heliosnet docker network (default: ${network.DEFAULT_SUBNET})` },
+        devnet: { type: 'boolean', description: 'Join the nodes into one local chain: shared genesis with a gentx per node and persistent peers' },
+        restart: { type: 'string', description: `Restart policy of the containers: ${runtime.RESTART_POLICIES.join(', ')} (default: ${runtime.DEFAULTS.restart})` },
+        healthcheck: { type: 'string', description: `What the docker healthcheck calls: manager (Node Manager) or rpc (CometBFT RPC) (default: ${runtime.DEFAULTS.healthcheck})` },
+        memory: { type: 'string', description: 'Memory limit of each container, e.g. 4g (none to remove it)' },
+        cpus: { type: 'number', description: 'CPU limit of each container, e.g. 2 (0 to remove it)' },
+        'log-max-size': { type: 'string', description: `Size of a container log file before rotation (default: ${runtime.DEFAULTS.logMaxSize})` },
+        'log-max-file': { type: 'number', description: `Number of rotated log files kept (default: ${runtime.DEFAULTS.logMaxFile})` },
+        wait: { type: 'boolean', description: 'Wait until every container reports healthy' },
+        'wait-timeout': { type: 'number', description: 'Seconds --wait waits for', default: 300 }
+    }
+}, start);
@@ -0,0 +1,146 @@
+const fs = require('fs');
+const path = require('path');
+const ora = require('ora');
+const defineCommand = require('../utils/defineCommand');
+const containerInspect = require('../container/container-inspect');
+const getNodeManagerClient = require('../node-manager/get-node-manager-client');
+const directorySize = require('../utils/directorySize');
+const formatBytes = require('../utils/formatBytes');
+const formatDuration = require('../utils/formatDuration');
+const getPathHelios = require('../utils/getPathHelios');
+const profiles = require('../profiles');
+const nodes = require('../nodes');
+const runtime = require('../runtime');
+const { CliError, toErrorObject } = require('../errors');
+
+function publishedPorts(inspect) {
+    const ports = (inspect.NetworkSettings && inspect.NetworkSettings.Ports) || {};
+    const list = [];
+    for (const [containerPort, bindings] of Object.entries(ports)) {
+        for (const binding of bindings || []) {
+            list.push({ hostIp: binding.HostIp, hostPort: Number(binding.HostPort), containerPort: containerPort });
+        }
+    }
+    return list.sort((a, b) => a.hostPort - b.hostPort);
+}
+
+async function nodeManagerStatus(options, node) {
+    try {
+        const client = await getNodeManagerClient(options, node, { timeout: 3000, retries: 0 });
+        const testData = await client.test();
+        const status = testData && testData.node ? testData.node.status : undefined;
+        return { status: status == '1' ? 'running' : status == '0' ? 'stopped' : 'unknown' };
+    } catch (error) {
+        return { status: 'unreachable', error: toErrorObject(error) };
+    }
+}
+
+function blockHeight(node) {
+    try {
+        return Number(JSON.parse(fs.readFileSync(path.join(node.dataPath, 'data/metadata.json'), 'utf8')).height);
+    } catch (e) {
+        return null;
+    }
+}
+
+function lastHealthOutput(inspect) {
+    const log = inspect.State.Health.Log || [];
+    return log.length > 0 ? String(log[log.length - 1].Output).trim() : null;
+}
+
+async function nodeStatus(options, node) {
+    const inspect = await containerInspect(node.container);
+    const running = inspect != null && inspect.State.Running === true;
+    const startedAt = inspect != null ? inspect.State.StartedAt : null;
+
+    return {
+        name: node.name,
+        container: node.container,
+        state: inspect != null ? inspect.State.Status : 'missing',
+        health: runtime.healthStatus(inspect),
+        healthLog: inspect != null && inspect.State.Health && inspect.State.Health.Status === 'unhealthy' ? lastHealthOutput(inspect) : null,
+        restartCount: inspect != null ? inspect.RestartCount : null,
+        startedAt: running ? startedAt : null,
+        uptime: running ? Math.floor((Date.now() - new Date(startedAt).getTime()) / 1000) : null,
+        image: inspect != null ? inspect.Config.Image : null,
+        imageVersion: inspect != null && inspect.Config.Labels ? inspect.Config.Labels.version || null : null,
+        nodeManager: running ? await nodeManagerStatus(options, node) : { status: 'unreachable' },
+        height: node.dataPath ? blockHeight(node) : null,
+        ports: inspect != null ? publishedPorts(inspect) : [],
+        dataSize: node.dataPath ? await directorySize(node.dataPath) : null
+    };
+}
+
+async function collect(options) {
+    const profile = profiles.getActiveProfile(options);
+    const packageJson = require(path.join(__dirname, '..', '..', 'package.json'));
+    const list = [];
+
+    for (const node of nodes.getNodes(options)) {
+        list.push(await nodeStatus(options, node));
+    }
+    return {
+        profile: profile.name,
+        path: getPathHelios(options),
+        cliVersion: `v${packageJson.version}`,
+        nodes: list
+    };
+}
+
+function print(status) {
+    console.log(`Profile      : ${status.profile} (${status.path || 'not started'})`);
+    console.log(`CLI version  : ${status.cliVersion}`);
+    for (const node of status.nodes) {
+        console.log('');
+        console.log(`${node.name} (container ${node.container})`);
+        console.log(`  State        : ${node.state}` + (node.uptime != null ? ` (up ${formatDuration(node.uptime)})` : '') + (node.restartCount > 0 ? `, restarted ${node.restartCount} time(s)` : ''));
+        console.log(`  Health       : ${node.health || '-'}` + (node.healthLog ? ` - ${node.healthLog}` : ''));
+        console.log(`  Image        : ${node.image || '-'}` + (node.imageVersion ? ` (version ${node.imageVersion})` : ''));
+        console.log(`  Node         : ${node.nodeManager.status}` + (node.nodeManager.error ? ` - ${node.nodeManager.error.message}` : ''));
+        console.log(`  Block height : ${node.height != null ? node.height : '-'}`);
+        console.log(`  Ports        : ${node.ports.length > 0 ? node.ports.map(x => `${x.hostIp && x.hostIp != '0.0.0.0' ? x.hostIp + ':' : ''}${x.hostPort}->${x.containerPort}`).join(', ') : '-'}`);
+        console.log(`  Data size    : ${node.dataSize != null ? formatBytes(node.dataSize) : '-'}`);
+    }
+}
+
+function status(options) {
+    return new Promise(async (resolve, reject) => {
+        try {
+            if (options.argv.watch && options.argv.json) {
+                reject(new CliError('INVALID_OPTION', '--watch cannot be combined with --json'));
+                return;
+            }
+            if (!(Number.isFinite(options.argv.interval) && options.argv.interval > 0)) {
+                reject(new CliError('INVALID_OPTION', '--interval need a positive number of seconds.'));
+                return;
+            }
+            if (!options.argv.watch) {
+                const result = await collect(options);
+                if (!options.argv.json) print(result);
+                resolve(result);
+                return;
+            }
+            // refresh until interrupted (Ctrl+C)
+            while (true) {
+                const spinner = ora('Refreshing status').start();
+                const result = await collect(options);
+                spinner.stop();
+                if (process.stdout.isTTY) console.clear();
+                print(result);
+                console.log(`\nRefreshed ${new Date().toLocaleTimeString()} - every ${options.argv.interval}s, Ctrl+C to quit`);
+                await new Promise(resolve => setTimeout(resolve, options.argv.interval * 1000));
+            }
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+module.exports = defineCommand({
+    name: 'status',
+    description: 'Show the state of every node of the deployment',
+    options: {
+        watch: { type: 'boolean', description: 'Refresh the status until interrupted' },
+        interval: { type: 'number', description: 'Refresh interval of --watch in seconds', default: 5 }
+    }
+}, status);
@@ -4,13 +4,15 @@ const executeMultipleShellCommand = require('../utils/executeMultipleShellComman
 const executeShellCommand = require('../utils/executeShellCommandLine');
 const stopNode = require('./node/stop');
 const getPathHelios = require('../utils/getPathHelios');
+const defineCommand = require('../utils/defineCommand');
+const { CliError } = require('../errors');
 
 function cmds(options) {
     var array = [
         {
             cmd: (success, failure) => {
                 try {
-                    stopNode({...options, disabledLogs: true}).then(() => {
+                    stopNode({...options, argv: {...options.argv, all: true}, disabledLogs: true}).then(() => {
                         success();
                     }).catch((e) => {
                         failure(e);
@@ -23,16 +25,16 @@ function cmds(options) {
         { // check docker
             cmd: (success, failure) => {
                 try {
-                    const path = getPathHelios();
+                    const path = getPathHelios(options);
                     if (!path) {
-                        failure("No path found, please start a node first");
+                        failure(new CliError('NO_DEPLOYMENT', "No path found, please start a node first"));
                         return;
                     }
 
-                    executeShellCommand("docker compose --project-directory=\"" + path + "\" down" + (options.argv.remove == "true" ? " -v" : ""), () => {
+                    executeShellCommand("docker compose --project-directory=\"" + path + "\" down" + (options.argv.remove ? " -v" : ""), () => {
                         success();
                     }, () => {
-                        failure("Docker compose down failed");
+                        failure(new CliError('DOCKER_COMPOSE_FAILED', "Docker compose down failed"));
                     }, false, console.log);
                 } catch(e) { failure(e) }
             }
@@ -57,4 +59,10 @@ function stop(options) {
     });
 };
 
-module.exports = stop;
\ No newline at end of file
+module.exports = defineCommand({
+    name: 'stop',
+    description: 'Stop NodeManager',
+    options: {
+        remove: { type: 'boolean', description: 'Also remove the container volumes' }
+    }
+}, stop);
@@ -8,6 +8,9 @@ const stop = require('./stop');
 const fs = require('fs');
 const getImageVersion = require('../utils/getImageVersion');
 const getPathHelios = require('../utils/getPathHelios');
+const defineCommand = require('../utils/defineCommand');
+const profiles = require('../profiles');
+const { CliError } = require('../errors');
 
 function updateCmds(options) {
     let currentVersion = null;
@@ -17,7 +20,7 @@ function updateCmds(options) {
         {
             cmd: (success, failure) => {
                 try {
-                    getImageVersion().then((version) => {
+                    getImageVersion(profiles.getActiveProfile(options).image).then((version) => {
                         currentVersion = version;
                         success();
                     }).catch((error) => {
@@ -29,15 +32,15 @@ function updateCmds(options) {
         {// check if docker-compose.yml exists
             cmd: (success, failure) => {
                 try {
-                    const pathHelios = getPathHelios();
+                    const pathHelios = getPathHelios(options);
                     if (!pathHelios) {
-                        failure("No path found, please start a node first");
+                        failure(new CliError('NO_DEPLOYMENT', "No path found, please start a node first"));
                         return;
                     }
                     if (fs.existsSync(path.join(pathHelios, 'docker-compose.yml'))) {
                         success();
                     } else {
-                        failure('docker-compose.yml not found');
+                        failure(new CliError('FILE_NOT_FOUND', 'docker-compose.yml not found'));
                     }
                 } catch(e) { failure(e) }
             }
@@ -58,7 +61,7 @@ function updateCmds(options) {
         {
             cmd: (success, failure) => {
                 try {
-                    getImageVersion().then((version) => {
+                    getImageVersion(profiles.getActiveProfile(options).image).then((version) => {
                         newVersion = version;
                         success();
                     }).catch((error) => {
@@ -124,4 +127,10 @@ function update(options) {
     });
 };
 
-module.exports = update;
\ No newline at end of file
+module.exports = defineCommand({
+    name: 'update',
+    description: 'Update NodeManager',
+    args: [
+        { name: 'version', type: 'string', description: 'Image version to install, e.g. v0.0.35 (default: the profile image)' }
+    ]
+}, update);
@@ -3,18 +3,21 @@ const path = require("path");
 const executeMultipleShellCommand = require('../utils/executeMultipleShellCommand');
 const executeShellCommand = require('../utils/executeShellCommandLine');
 const getImageVersion = require('../utils/getImageVersion');
+const defineCommand = require('../utils/defineCommand');
+const profiles = require('../profiles');
 
-function cmds() {
+function cmds(options, result) {
     var array = [
         { // check docker
             cmd: (success, failure) => {
                 try {
-                    getImageVersion().then((version) => {
-                        console.log(`Blockchain version: ${version}`);
+                    getImageVersion(profiles.getActiveProfile(options).image).then((version) => {
+                        result.blockchainVersion = version;
+                        if (!options.argv.json) console.log(`Blockchain version: ${version}`);
                         success();
                     }).catch((error) => {
                         console.log(error);
-                        failure();
+                        success();
                     });
                 } catch(e) { failure(e) }
             },
@@ -23,7 +26,8 @@ function cmds() {
             cmd: (success, failure) => {
                 try {
                     const packageJson = require(path.join(__dirname, '..', '..', 'package.json'));
-                    console.log(`CLI version       : v${packageJson.version}`);
+                    result.cliVersion = `v${packageJson.version}`;
+                    if (!options.argv.json) console.log(`CLI version       : v${packageJson.version}`);
                     success();
                 } catch(e) { failure(e) }
             }
@@ -35,12 +39,16 @@ function cmds() {
 
 function version(options) {
     return new Promise((resolve, reject) => {
-        const exeCmds = cmds();
+        const result = { blockchainVersion: null, cliVersion: null };
+        const exeCmds = cmds(options, result);
         executeMultipleShellCommand(exeCmds, 0, executeMultipleShellCommand, () => {
             // ora("NodeManager stopped successfully").succeed();
-            resolve(undefined);
+            resolve(result);
         });
     });
 };
 
-module.exports = version;
\ No newline at end of file
+module.exports = defineCommand({
+    name: 'version',
+    description: 'Show blockchain and CLI versions'
+}, version);
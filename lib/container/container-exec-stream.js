@@ -2,15 +2,18 @@ const containerIsRunning = require('./container-is-running');
 const getContainer = require('./get-container');
 const Stream = require('stream');
 const Docker = require('dockerode');
+const { CliError } = require('../errors');
 
-function containerExecStream(commandLine = [], std = null) {
+// Resolves with the output of the command, rejects with EXEC_FAILED when it
+// exits with a non-zero code.
+function containerExecStream(commandLine = [], std = null, name = 'node1') {
     return new Promise(async (resolve, reject) => {
         try {
-            const isRunning = await containerIsRunning('node1');
-            if (!isRunning) return reject('Container is not running');
+            const isRunning = await containerIsRunning(name);
+            if (!isRunning) return reject(new CliError('CONTAINER_NOT_RUNNING', `Container ${name} is not running`));
 
             const { demuxStream } = (new Docker()).modem;
-            const container = await getContainer();
+            const container = await getContainer(name);
 
             const exec = await container.exec({
                 Cmd: commandLine,
@@ -36,8 +39,20 @@ function containerExecStream(commandLine = [], std = null) {
                     // console.error('stderr:', data.toString());
                 });
 
-                stream.on('end', () => {
-                    resolve(output.trim());
+                // the exit code tells whether the command failed, not its output
+                stream.on('end', async () => {
+                    try {
+                        const info = await exec.inspect();
+                        const text = output.trim();
+                        if (info.ExitCode !== 0) {
+                            const lastLine = text.split('\n').pop();
+                            reject(new CliError('EXEC_FAILED', `${commandLine.join(' ')} exited with code ${info.ExitCode}` + (lastLine ? `: ${lastLine}` : ''), { exitCode: info.ExitCode }));
+                            return;
+                        }
+                        resolve(text);
+                    } catch (err) {
+                        reject(err);
+                    }
                 });
 
                 // Démultiplexe stdout/stderr depuis le stream Docker brut
@@ -2,15 +2,16 @@ const containerIsRunning = require('./container-is-running');
 const getContainer = require('./get-container');
 const Stream = require('stream');
 const Docker = require('dockerode');
+const { CliError } = require('../errors');
 
-function containerExec(commandLine = []) {
+function containerExec(commandLine = [], name = 'node1') {
     return new Promise(async (resolve, reject) => {
         try {
-            const isRunning = await containerIsRunning('node1');
-            if (!isRunning) return reject('Container is not running');
+            const isRunning = await containerIsRunning(name);
+            if (!isRunning) return reject(new CliError('CONTAINER_NOT_RUNNING', `Container ${name} is not running`));
 
             const { demuxStream } = (new Docker()).modem;
-            const container = await getContainer();
+            const container = await getContainer(name);
 
             const exec = await container.exec({
                 Cmd: commandLine,
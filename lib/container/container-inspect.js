@@ -0,0 +1,11 @@
+const getContainer = require('./get-container');
+
+// docker inspect of a container, or null when it does not exist.
+module.exports = async (name = 'node1') => {
+    try {
+        const container = await getContainer(name);
+        return await container.inspect();
+    } catch (err) {
+        return null;
+    }
+};
@@ -1,8 +1,8 @@
 const getContainer = require('./get-container');
 
-module.exports = async () => {
+module.exports = async (name = 'node1') => {
     try {
-        const container = await getContainer();
+        const container = await getContainer(name);
 
         return new Promise((resolve, reject) => {
             container.inspect(function (err, data) {
@@ -10,10 +10,10 @@ module.exports = async () => {
                     resolve(false);
                     return;
                 }
-                resolve(true);
+                resolve(data.State == undefined || data.State.Running === true);
             });
         });
     } catch (err) {
         return false;
     }
-};
\ No newline at end of file
+};
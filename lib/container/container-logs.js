@@ -0,0 +1,86 @@
+const Stream = require('stream');
+const getContainer = require('./get-container');
+
+// Split the raw multiplexed docker log payload (8 bytes header per frame:
+// stream type, 3 zero bytes, big endian size) into { stream, text } chunks.
+function demuxBuffer(buffer) {
+    const chunks = [];
+    let offset = 0;
+    while (offset + 8 <= buffer.length) {
+        const type = buffer[offset];
+        const size = buffer.readUInt32BE(offset + 4);
+        chunks.push({ stream: type === 2 ? 'stderr' : 'stdout', text: buffer.slice(offset + 8, offset + 8 + size).toString() });
+        offset += 8 + size;
+    }
+    return chunks;
+}
+
+function lineSplitter(stream, onLine) {
+    let pending = '';
+    return {
+        write: (text) => {
+            const lines = (pending + text).split('\n');
+            pending = lines.pop();
+            lines.forEach(line => onLine(line.replace(/\r$/, ''), stream));
+        },
+        end: () => {
+            if (pending != '') onLine(pending, stream);
+            pending = '';
+        }
+    };
+}
+
+// Read the logs of a container line by line.
+// options = { follow, since (unix seconds), tail, timestamps }
+// Resolves once every line has been passed to onLine(line, stream); with
+// follow, that is when the container stops.
+function containerLogs(name, options, onLine) {
+    return new Promise(async (resolve, reject) => {
+        try {
+            const container = await getContainer(name);
+            const inspect = await container.inspect();
+            const tty = inspect.Config.Tty === true;
+            const stdout = lineSplitter('stdout', onLine);
+            const stderr = lineSplitter('stderr', onLine);
+
+            const result = await container.logs({
+                stdout: true,
+                stderr: true,
+                follow: options.follow === true,
+                since: options.since || 0,
+                tail: options.tail != undefined ? options.tail : 'all',
+                timestamps: options.timestamps === true
+            });
+
+            if (Buffer.isBuffer(result) || typeof result === 'string') {
+                const buffer = Buffer.isBuffer(result) ? result : Buffer.from(result);
+                const chunks = tty ? [{ stream: 'stdout', text: buffer.toString() }] : demuxBuffer(buffer);
+                chunks.forEach(x => (x.stream === 'stderr' ? stderr : stdout).write(x.text));
+                stdout.end();
+                stderr.end();
+                resolve();
+                return;
+            }
+
+            const out = new Stream.PassThrough();
+            const err = new Stream.PassThrough();
+            out.on('data', (data) => stdout.write(data.toString()));
+            err.on('data', (data) => stderr.write(data.toString()));
+            result.on('end', () => {
+                stdout.end();
+                stderr.end();
+                resolve();
+            });
+            result.on('error', reject);
+            if (tty) {
+                result.pipe(out);
+            } else {
+                container.modem.demuxStream(result, out, err);
+            }
+        } catch (err) {
+            reject(err);
+        }
+    });
+}
+
+module.exports = containerLogs;
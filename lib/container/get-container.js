@@ -1,12 +1,12 @@
 const Docker = require('dockerode');
 
-module.exports = async () => {
+module.exports = async (name = 'node1') => {
     try {
         const docker = new Docker();
-        const container = docker.getContainer('node1');
+        const container = docker.getContainer(name);
 
         return container;
     } catch (err) {
         throw new Error('Container not found');
     }
-};
\ No newline at end of file
+};
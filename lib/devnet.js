@@ -0,0 +1,169 @@
+const fs = require('fs');
+const path = require('path');
+const ora = require('ora');
+const containerExec = require('./container/container-exec');
+const getNodeManagerClient = require('./node-manager/get-node-manager-client');
+const replaceStringToFile = require('./utils/replaceStringToFile');
+const startNode = require('./commands/node/start');
+const stopNode = require('./commands/node/stop');
+const network = require('./network');
+const nodes = require('./nodes');
+const wait = require('./wait');
+const profiles = require('./profiles');
+const { CliError } = require('./errors');
+
+const ACCOUNT_AMOUNT = '1000000000000000000000ahelios';
+const SELF_DELEGATION = '1000000000000000000ahelios';
+
+// heliades prints "Error: ..." and exits non zero, containerExec only gives the output
+async function heliades(node, args) {
+    const output = await containerExec(['heliades', ...args], node.container);
+    if (/^Error:/m.test(output)) {
+        throw new CliError('DEVNET_FAILED', `${node.name}: heliades ${args[0]} failed - ${output}`);
+    }
+    return output;
+}
+
+const readJson = (file) => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+// The Node Manager creates the access code, the key user0 and the node home
+// on its first boot; wait for it, running the node once when it is not done yet.
+function waitUntilConfigured(options, node) {
+    const keyFile = path.join(node.dataPath, 'config/priv_validator_key.json');
+    let started = false;
+
+    return wait.waitUntil(async () => {
+        try {
+            const client = await getNodeManagerClient(options, node, { retries: 0, timeout: 3000 });
+            const testData = await client.test();
+            if (fs.existsSync(keyFile)) {
+                return true;
+            }
+            if (!started && testData && testData.node && testData.node.status != '1') {
+                await client.runMinerNode();
+                started = true;
+            }
+        } catch (error) {
+            if (!['NODE_NOT_CONFIGURED', 'NODE_MANAGER_UNREACHABLE', 'NODE_MANAGER_TIMEOUT', 'NODE_MANAGER_UNAVAILABLE', 'CONTAINER_NOT_RUNNING'].includes(error.code)) {
+                throw error;
+            }
+        }
+        return false;
+    }, { timeout: wait.waitTimeout(options), interval: 2000, description: `the Node Manager to configure ${node.name}` });
+}
+
+const genesisFile = (node) => path.join(node.dataPath, 'config/genesis.json');
+
+// Validators missing from the balances of the genesis.
+function unfundedValidators(genesis, validators) {
+    const funded = genesis.app_state.bank.balances.map(x => x.address);
+    return validators.filter(x => !funded.includes(x.address));
+}
+
+// The funded genesis of the first node, without the gentxs of a previous run,
+// given to every node.
+function shareGenesis(list, genesis) {
+    genesis.app_state.genutil.gen_txs = [];
+    for (const node of list) {
+        fs.writeFileSync(genesisFile(node), JSON.stringify(genesis, null, 2));
+        fs.rmSync(path.join(node.dataPath, 'config/gentx'), { force: true, recursive: true });
+    }
+}
+
+// Copies the gentx of every other node to the first one, where they are collected.
+function gatherGentxs(first, node) {
+    const gentxDirectory = path.join(node.dataPath, 'config/gentx');
+    fs.mkdirSync(path.join(first.dataPath, 'config/gentx'), { recursive: true });
+    fs.readdirSync(gentxDirectory).forEach(file => {
+        fs.copyFileSync(path.join(gentxDirectory, file), path.join(first.dataPath, 'config/gentx', file));
+    });
+}
+
+// Every validator but the node itself, on its heliosnet address.
+function persistentPeers(validators, node) {
+    return validators.filter(x => x.node !== node.name).map(x => `${x.nodeId}@${x.ip}:26656`).join(',');
+}
+
+// Final genesis, fresh state and peers of a node before the devnet starts.
+function configureNode(node, genesis, peers) {
+    const heliadesDirectory = node.dataPath;
+    const configFile = path.join(heliadesDirectory, 'config/config.toml');
+
+    fs.writeFileSync(genesisFile(node), genesis);
+    ['application.db', 'blockstore.db', 'state.db', 'tx_index.db', 'snapshots', 'cs.wal', 'evidence.db'].forEach(file => {
+        fs.rmSync(path.join(heliadesDirectory, 'data', file), { force: true, recursive: true });
+    });
+    fs.writeFileSync(path.join(heliadesDirectory, 'data/priv_validator_state.json'), JSON.stringify({
+        height: '0',
+        round: 0,
+        step: 0
+    }, null, 2));
+    replaceStringToFile(configFile, /^persistent_peers = ".*"$/m, `persistent_peers = "${peers}"`);
+    // every peer lives on the private heliosnet subnet
+    replaceStringToFile(configFile, /^addr_book_strict = .*$/m, 'addr_book_strict = false');
+    replaceStringToFile(configFile, /^allow_duplicate_ip = .*$/m, 'allow_duplicate_ip = true');
+}
+
+// Turn the N freshly started nodes of the profile into a single chain:
+// one genesis funding every node, one gentx per node collected on node1,
+// and persistent_peers built from the heliosnet static addresses.
+async function setupDevnet(options) {
+    const profile = profiles.getActiveProfile(options);
+    const settings = network.getNetworkSettings(options, profile);
+    const list = nodes.getNodes(options);
+    const allOptions = { ...options, disabledLogs: true, argv: { ...options.argv, all: true, node: undefined } };
+    const [first] = list;
+    let spinner = ora(`Waiting for the Node Manager of ${list.length} nodes`).start();
+
+    for (const node of list) {
+        await waitUntilConfigured(options, node);
+    }
+    await stopNode(allOptions);
+    spinner.succeed(`${list.length} nodes configured`);
+
+    spinner = ora('Generating the devnet genesis').start();
+    const chainId = readJson(genesisFile(first)).chain_id;
+    const validators = [];
+
+    for (const node of list) {
+        validators.push({
+            node: node.name,
+            address: (await heliades(node, ['keys', 'show', 'user0', '-a', '--bech=acc', '--keyring-backend=local'])).trim(),
+            nodeId: (await heliades(node, ['tendermint', 'show-node-id'])).trim(),
+            ip: network.nodeAddress(settings.subnet, node.index)
+        });
+    }
+
+    for (const validator of unfundedValidators(readJson(genesisFile(first)), validators)) {
+        await heliades(first, ['add-genesis-account', validator.address, ACCOUNT_AMOUNT, '--keyring-backend=local']);
+    }
+    shareGenesis(list, readJson(genesisFile(first)));
+
+    for (const [i, node] of list.entries()) {
+        await heliades(node, ['gentx', 'user0', SELF_DELEGATION, '--chain-id', chainId, '--moniker', node.name, '--ip', validators[i].ip, '--keyring-backend=local', '--gas-prices', '1000000000ahelios', '--gas', '300000']);
+        if (node !== first) {
+            gatherGentxs(first, node);
+        }
+    }
+    await heliades(first, ['collect-gentxs']);
+    spinner.succeed(`Genesis of chain ${chainId} generated with ${list.length} validators`);
+
+    const finalGenesis = fs.readFileSync(genesisFile(first), 'utf8');
+    for (const node of list) {
+        configureNode(node, finalGenesis, persistentPeers(validators, node));
+    }
+
+    await startNode(allOptions);
+    ora(`Devnet ${chainId} started with ${list.length} validators`).succeed();
+
+    return { chainId, validators };
+}
+
+module.exports = {
+    setupDevnet,
+    unfundedValidators,
+    shareGenesis,
+    gatherGentxs,
+    persistentPeers,
+    configureNode
+};
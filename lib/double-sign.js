@@ -0,0 +1,168 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const cometbft = require('./cometbft');
+const snapshots = require('./snapshots');
+const toml = require('./toml');
+const execCommandOnServer = require('./utils/execCommandOnServer');
+const { CliError } = require('./errors');
+
+// A validator that misses a block still shows up in one of the last commits.
+const RECENT_COMMITS = 3;
+
+// Peers of config.toml are asked on the default CometBFT RPC port when no
+// reference is given.
+const PEER_HOST = /^[0-9a-f]{40}@([^\s,@]+):\d+$/;
+const PEER_RPC_PORT = 26657;
+const PEER_RPC_TIMEOUT = 3000;
+
+function readJson(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        return null;
+    }
+}
+
+function readServers() {
+    const file = path.join(os.homedir(), '.helios-cli', 'servers.json');
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : [];
+}
+
+function peerRpcUrls(node) {
+    let config;
+    try {
+        config = toml.toObject(fs.readFileSync(path.join(node.dataPath, 'config/config.toml'), 'utf8'));
+    } catch (e) {
+        return [];
+    }
+    const hosts = ['p2p.persistent_peers', 'p2p.seeds']
+        .flatMap(key => String(config[key] || '').split(','))
+        .map(x => PEER_HOST.exec(x.trim()))
+        .filter(x => x)
+        .map(x => x[1]);
+    return [...new Set(hosts)].map(host => `http://${host}:${PEER_RPC_PORT}`);
+}
+
+// The key signed one of the last blocks of the network above the local signing
+// state: another machine signs with it, or the state was restored from the past.
+// The network is read from --reference, $HELIOS_REFERENCE_RPC, or else the
+// first persistent peer or seed that answers.
+async function checkSigningState(options, node, address, localHeight) {
+    const referenceUrl = options.argv.reference || process.env.HELIOS_REFERENCE_RPC;
+    const urls = referenceUrl ? [referenceUrl] : peerRpcUrls(node);
+    const unreachable = [];
+
+    if (urls.length == 0) {
+        return { name: 'signing-state', status: 'skipped', message: `no network to compare the signing state of ${node.name} with, pass --reference <rpc>, set $HELIOS_REFERENCE_RPC or configure persistent peers` };
+    }
+    for (const url of urls) {
+        try {
+            return await checkSigningStateOn(url, node, address, localHeight, referenceUrl ? {} : { timeout: PEER_RPC_TIMEOUT });
+        } catch (error) {
+            if (!['RPC_UNREACHABLE', 'RPC_ERROR'].includes(error.code)) throw error;
+            unreachable.push(error.message);
+        }
+    }
+    return { name: 'signing-state', status: 'skipped', message: `no reference RPC answered: ${unreachable.join('; ')}` };
+}
+
+async function checkSigningStateOn(referenceUrl, node, address, localHeight, clientOptions) {
+    const client = cometbft.createCometClient(referenceUrl, clientOptions);
+    const status = await client.status();
+    const chainId = snapshots.readChainId(node.dataPath);
+
+    if (chainId && status.network !== chainId) {
+        return { name: 'signing-state', status: 'skipped', message: `${referenceUrl} runs ${status.network}, ${node.name} runs ${chainId}` };
+    }
+    for (let height = status.latestBlockHeight; height > Math.max(status.latestBlockHeight - RECENT_COMMITS, 0); height--) {
+        if (height > localHeight && (await client.commitSigners(height)).includes(address)) {
+            return {
+                name: 'signing-state',
+                status: 'risk',
+                message: `validator ${address} signed block ${height} of ${status.network} but the signing state of ${node.name} is at height ${localHeight}, the key is in use elsewhere`
+            };
+        }
+    }
+    return { name: 'signing-state', status: 'ok', message: `signing state at height ${localHeight}, ${referenceUrl} at ${status.latestBlockHeight}, no recent signature of ${address}` };
+}
+
+// Consensus public keys in the output of `helios node pub_key --all --json`.
+function serverConsensusKeys(output) {
+    let document;
+    try {
+        document = JSON.parse(output);
+    } catch (e) {
+        return [];
+    }
+    if (!document || !document.ok || !document.data) {
+        return [];
+    }
+    return Object.values(document.data).map(x => x && x.key).filter(x => x);
+}
+
+// Registered servers (helios server add) running a node with the same consensus
+// key. Only the public keys are read; a server that cannot tell is skipped.
+async function checkServers(pubKey) {
+    const checks = [];
+    for (const server of readServers()) {
+        try {
+            const output = await execCommandOnServer(server, ['helios', 'node', 'pub_key', '--all', '--json'], { silent: true, strict: true });
+            const keys = serverConsensusKeys(output);
+            if (keys.length == 0) {
+                checks.push({ name: 'servers', server: server.name, status: 'skipped', message: `no consensus key read on server ${server.name}` });
+            } else if (keys.includes(pubKey)) {
+                checks.push({ name: 'servers', server: server.name, status: 'risk', message: `server ${server.name} (${server.ip}) runs a node with the same consensus key` });
+            } else {
+                checks.push({ name: 'servers', server: server.name, status: 'ok', message: `server ${server.name} uses other keys` });
+            }
+        } catch (error) {
+            checks.push({ name: 'servers', server: server.name, status: 'skipped', message: error.message });
+        }
+    }
+    return checks;
+}
+
+// Checks run before a validator may sign again. `validatorKey` and
+// `signingState` default to the files of the node (key restore passes the
+// ones about to be written).
+async function checkDoubleSign(options, node, { validatorKey, signingState } = {}) {
+    validatorKey = validatorKey || readJson(path.join(node.dataPath, 'config/priv_validator_key.json'));
+    signingState = signingState || readJson(path.join(node.dataPath, 'data/priv_validator_state.json'));
+
+    // not configured yet: nothing to sign with
+    if (!validatorKey || !validatorKey.address) {
+        return [];
+    }
+    const checks = [];
+    const address = validatorKey.address.toUpperCase();
+    const localHeight = signingState ? Number(signingState.height) : 0;
+
+    checks.push(await checkSigningState(options, node, address, localHeight));
+    if (options.argv['check-servers']) {
+        checks.push(...await checkServers(validatorKey.pub_key.value));
+    }
+    return checks;
+}
+
+// Throws DOUBLE_SIGN_RISK when a check finds a risk, unless overridden.
+async function guardDoubleSign(options, node, overrides) {
+    const checks = await checkDoubleSign(options, node, overrides);
+    const risks = checks.filter(x => x.status === 'risk');
+
+    checks.filter(x => x.status === 'skipped').forEach(x => console.log(`Warning: double-sign check skipped for ${node.name}: ${x.message}`));
+    if (risks.length == 0) {
+        return checks;
+    }
+    if (options.argv['ignore-double-sign-risk']) {
+        risks.forEach(x => console.log(`Double-sign risk ignored for ${node.name}: ${x.message}`));
+        return checks;
+    }
+    throw new CliError('DOUBLE_SIGN_RISK', `Double-sign risk for ${node.name}: ${risks.map(x => x.message).join('; ')}. Pass --ignore-double-sign-risk to go on anyway`);
+}
+
+module.exports = {
+    serverConsensusKeys,
+    checkDoubleSign,
+    guardDoubleSign
+};
@@ -0,0 +1,36 @@
+const util = require('util');
+
+// Errors raised by commands. `code` is stable and is what --json consumers
+// should match on; `message` is meant for humans and may change. `data` is
+// added to the --json error document.
+class CliError extends Error {
+    constructor(code, message, data) {
+        super(message);
+        this.name = 'CliError';
+        this.code = code;
+        if (data !== undefined) this.data = data;
+    }
+
+    // expected failures: print the message, not the stack
+    [util.inspect.custom]() {
+        return this.message;
+    }
+}
+
+function toErrorObject(error) {
+    if (error instanceof CliError) {
+        return error.data === undefined ? { code: error.code, message: error.message } : { code: error.code, message: error.message, data: error.data };
+    }
+    if (error instanceof Error) {
+        return { code: typeof error.code === 'string' ? error.code : 'UNEXPECTED_ERROR', message: error.message };
+    }
+    if (error == undefined) {
+        return { code: 'COMMAND_FAILED', message: 'Command failed' };
+    }
+    return { code: 'COMMAND_FAILED', message: typeof error === 'string' ? error : JSON.stringify(error) };
+}
+
+module.exports = {
+    CliError,
+    toErrorObject
+};
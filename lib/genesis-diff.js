@@ -0,0 +1,222 @@
+const Decimal = require('decimal.js');
+const streamJson = require('./utils/streamJson');
+const didYouMean = require('./utils/didYouMean');
+const { accountAddress } = require('./genesis');
+const { CliError } = require('./errors');
+
+// Addresses listed per added or removed accounts, the others are only counted.
+const MAX_ADDRESSES = 20;
+
+// Everything but accounts and balances, which are streamed.
+const KEEP = ['chain_id', 'initial_height', 'genesis_time', 'consensus.params', 'consensus_params', 'app_state.*.params', 'app_state.hyperion.sub_states'];
+
+const isObject = (x) => x !== null && typeof x === 'object' && !Array.isArray(x);
+
+// { 'dotted.key': leaf } of an object, arrays are leaves.
+function flatten(value, prefix = '', result = {}) {
+    if (!isObject(value)) {
+        if (prefix) result[prefix] = value;
+        return result;
+    }
+    Object.keys(value).forEach(key => flatten(value[key], prefix ? `${prefix}.${key}` : key, result));
+    return result;
+}
+
+function diffValues(a, b) {
+    const from = flatten(a);
+    const to = flatten(b);
+    return [...new Set([...Object.keys(from), ...Object.keys(to)])]
+        .filter(key => JSON.stringify(from[key]) !== JSON.stringify(to[key]))
+        .map(key => ({ key, from: from[key], to: to[key] }));
+}
+
+// Fields of each sub_state that differ, matched on hyperion_id.
+function diffSubStates(a = [], b = []) {
+    const id = (x, i) => x.hyperion_id !== undefined ? String(x.hyperion_id) : `#${i}`;
+    const before = new Map(a.map((x, i) => [id(x, i), x]));
+    const after = new Map(b.map((x, i) => [id(x, i), x]));
+    const result = [];
+
+    for (const hyperionId of before.keys()) {
+        if (!after.has(hyperionId)) result.push({ hyperionId, status: 'removed' });
+    }
+    for (const [hyperionId, y] of after) {
+        const x = before.get(hyperionId);
+        if (!x) {
+            result.push({ hyperionId, status: 'added' });
+            continue;
+        }
+        const fields = [...new Set([...Object.keys(x), ...Object.keys(y)])]
+            .filter(field => JSON.stringify(x[field]) !== JSON.stringify(y[field]))
+            .map(field => Array.isArray(x[field]) || Array.isArray(y[field])
+                ? { field, items: true, from: (x[field] || []).length, to: (y[field] || []).length }
+                : { field, from: x[field], to: y[field] });
+        if (fields.length) result.push({ hyperionId, status: 'changed', fields });
+    }
+    return result;
+}
+
+function coinsOf(balance) {
+    const coins = {};
+    (balance.coins || []).forEach(x => coins[x.denom] = x.amount);
+    return coins;
+}
+
+function createBalanceDiff(top) {
+    const denoms = new Map();
+
+    // keeps the `top` biggest moves, by absolute change
+    function addMover(movers, mover) {
+        if (movers.length == top && mover.delta.abs().lte(movers[top - 1].delta.abs())) return;
+        movers.push(mover);
+        movers.sort((x, y) => y.delta.abs().comparedTo(x.delta.abs()));
+        movers.length = Math.min(movers.length, top);
+    }
+
+    function compare(address, before, after) {
+        for (const denom of new Set([...Object.keys(before), ...Object.keys(after)])) {
+            if (!denoms.has(denom)) denoms.set(denom, { from: new Decimal(0), to: new Decimal(0), changed: 0, movers: [] });
+            const entry = denoms.get(denom);
+            const from = new Decimal(before[denom] || 0);
+            const to = new Decimal(after[denom] || 0);
+
+            entry.from = entry.from.plus(from);
+            entry.to = entry.to.plus(to);
+            if (!from.eq(to)) {
+                entry.changed++;
+                if (top > 0) addMover(entry.movers, { address, from, to, delta: to.minus(from) });
+            }
+        }
+    }
+
+    function result() {
+        return [...denoms]
+            .filter(([denom, x]) => x.changed > 0)
+            .sort(([a], [b]) => a < b ? -1 : 1)
+            .map(([denom, x]) => ({
+                denom,
+                from: x.from.toFixed(0),
+                to: x.to.toFixed(0),
+                delta: x.to.minus(x.from).toFixed(0),
+                changed: x.changed,
+                topMovers: x.movers.map(m => ({ address: m.address, from: m.from.toFixed(0), to: m.to.toFixed(0), delta: m.delta.toFixed(0) }))
+            }));
+    }
+
+    return { compare, result };
+}
+
+// Per module differences between two genesis files. Accounts and balances
+// of `a` are held in memory, those of `b` are streamed against them.
+async function diffGenesisFiles(a, b, { modules, top = 5 } = {}) {
+    const accounts = new Set();
+    const balances = new Map();
+    const addresses = { added: 0, removed: 0, addedSample: [], removedSample: [] };
+    const sample = (kind, address) => {
+        addresses[kind]++;
+        if (addresses[`${kind}Sample`].length < MAX_ADDRESSES) addresses[`${kind}Sample`].push(address);
+    };
+    const balanceDiff = createBalanceDiff(top);
+
+    const before = await streamJson(a, {
+        each: {
+            'app_state.auth.accounts': (value) => accounts.add(accountAddress(value)),
+            'app_state.bank.balances': (value) => balances.set(value.address, coinsOf(value))
+        },
+        keep: KEEP
+    });
+    const after = await streamJson(b, {
+        each: {
+            'app_state.auth.accounts': (value) => {
+                const address = accountAddress(value);
+                if (!accounts.delete(address)) sample('added', address);
+            },
+            'app_state.bank.balances': (value) => {
+                balanceDiff.compare(value.address, balances.get(value.address) || {}, coinsOf(value));
+                balances.delete(value.address);
+            }
+        },
+        keep: KEEP
+    });
+    accounts.forEach(address => sample('removed', address));
+    balances.forEach((coins, address) => balanceDiff.compare(address, coins, {}));
+
+    const appBefore = before.app_state || {};
+    const appAfter = after.app_state || {};
+    const names = [...new Set([...Object.keys(appBefore), ...Object.keys(appAfter)])].sort();
+    const known = ['genesis', ...names];
+
+    (modules || []).forEach(name => {
+        if (!known.includes(name)) {
+            const suggestion = didYouMean(name, known);
+            throw new CliError('UNKNOWN_MODULE', `No module ${name} in these genesis files` + (suggestion ? `. Did you mean ${suggestion}?` : ''));
+        }
+    });
+
+    const result = [];
+    const add = (module, changes) => {
+        if ((!modules || modules.includes(module)) && Object.values(changes).some(x => Array.isArray(x) ? x.length : x)) {
+            result.push({ module, ...changes });
+        }
+    };
+    const header = (genesis) => ({
+        chain_id: genesis.chain_id,
+        initial_height: genesis.initial_height,
+        genesis_time: genesis.genesis_time,
+        consensus: (genesis.consensus && genesis.consensus.params) || genesis.consensus_params
+    });
+
+    add('genesis', { changes: diffValues(header(before), header(after)) });
+    for (const name of names) {
+        const params = diffValues((appBefore[name] || {}).params, (appAfter[name] || {}).params);
+        if (name === 'auth') {
+            add(name, { accounts: addresses.added || addresses.removed ? addresses : null, params });
+        } else if (name === 'bank') {
+            add(name, { balances: balanceDiff.result(), params });
+        } else if (name === 'hyperion') {
+            add(name, { subStates: diffSubStates((appBefore.hyperion || {}).sub_states, (appAfter.hyperion || {}).sub_states), params });
+        } else {
+            add(name, { params });
+        }
+    }
+    return result;
+}
+
+const show = (value) => value === undefined ? '(none)' : (typeof value === 'string' ? value : JSON.stringify(value));
+const signed = (delta) => delta.startsWith('-') ? delta : `+${delta}`;
+
+function printDiff(modules) {
+    if (modules.length == 0) {
+        console.log('No differences');
+        return;
+    }
+    modules.forEach(x => {
+        console.log(x.module);
+        (x.changes || []).forEach(c => console.log(`  ${c.key}: ${show(c.from)} -> ${show(c.to)}`));
+        if (x.accounts) {
+            console.log(`  accounts: ${x.accounts.added} added, ${x.accounts.removed} removed`);
+            x.accounts.addedSample.forEach(address => console.log(`    + ${address}`));
+            x.accounts.removedSample.forEach(address => console.log(`    - ${address}`));
+            if (x.accounts.added + x.accounts.removed > x.accounts.addedSample.length + x.accounts.removedSample.length) console.log('    ...');
+        }
+        (x.balances || []).forEach(b => {
+            console.log(`  ${b.denom}: ${b.from} -> ${b.to} (${signed(b.delta)}), ${b.changed} balances changed`);
+            b.topMovers.forEach(m => console.log(`    ${m.address} ${signed(m.delta)} (${m.from} -> ${m.to})`));
+        });
+        (x.subStates || []).forEach(s => {
+            if (s.status !== 'changed') {
+                console.log(`  sub_state ${s.hyperionId} ${s.status}`);
+                return;
+            }
+            console.log(`  sub_state ${s.hyperionId}: ` + s.fields.map(f => f.items
+                ? (f.from === f.to ? `${f.field} ${f.from} items changed` : `${f.field} ${f.from} -> ${f.to} items`)
+                : `${f.field} ${show(f.from)} -> ${show(f.to)}`).join(', '));
+        });
+        (x.params || []).forEach(c => console.log(`  params.${c.key}: ${show(c.from)} -> ${show(c.to)}`));
+    });
+}
+
+module.exports = {
+    diffGenesisFiles,
+    printDiff
+};
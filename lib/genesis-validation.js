@@ -0,0 +1,179 @@
+const Decimal = require('decimal.js');
+const streamJson = require('./utils/streamJson');
+const { accountAddress } = require('./genesis');
+
+// Messages reported per check, the others are only counted.
+const MAX_MESSAGES = 20;
+
+// cosmos-sdk denom and CometBFT chain-id rules
+const DENOM = /^[a-zA-Z][a-zA-Z0-9/:._-]{2,127}$/;
+const MAX_CHAIN_ID_LENGTH = 50;
+
+const CHECKS = ['coins', 'supply', 'duplicates', 'accounts', 'denom-metadata', 'initial-height', 'chain-id'];
+
+function createValidation() {
+    const checks = new Map(CHECKS.map(name => [name, { name, status: 'ok', problems: 0, messages: [] }]));
+    const report = (name, status, message) => {
+        const check = checks.get(name);
+        if (status === 'error' || check.status === 'ok') check.status = status;
+        check.problems++;
+        if (check.messages.length < MAX_MESSAGES) check.messages.push(message);
+    };
+    const error = (name, message) => report(name, 'error', message);
+
+    const accounts = new Set();
+    const balances = new Set();
+    const totals = new Map();
+    const stats = { accounts: 0, balances: 0 };
+
+    // Sorted by denom, no duplicate, no zero amount.
+    function coins(where, list) {
+        list.forEach((coin, i) => {
+            if (!DENOM.test(coin.denom)) {
+                error('coins', `${where}: invalid denom ${JSON.stringify(coin.denom)}`);
+            }
+            if (!/^\d+$/.test(coin.amount)) {
+                error('coins', `${where}: invalid amount ${JSON.stringify(coin.amount)} of ${coin.denom}`);
+            } else if (new Decimal(coin.amount).isZero()) {
+                error('coins', `${where}: zero amount of ${coin.denom}`);
+            }
+            if (i > 0 && list[i - 1].denom >= coin.denom) {
+                error('coins', list[i - 1].denom === coin.denom ? `${where}: ${coin.denom} listed twice` : `${where}: coins not sorted by denom (${list[i - 1].denom} before ${coin.denom})`);
+            }
+        });
+    }
+
+    function account(value) {
+        const address = accountAddress(value);
+        stats.accounts++;
+        if (!address) {
+            error('accounts', `account ${stats.accounts} has no address`);
+        } else if (accounts.has(address)) {
+            error('duplicates', `account ${address} listed twice in auth`);
+        } else {
+            accounts.add(address);
+        }
+    }
+
+    function balance(value) {
+        stats.balances++;
+        if (balances.has(value.address)) {
+            error('duplicates', `balance of ${value.address} listed twice in bank`);
+        }
+        balances.add(value.address);
+        coins(`balance of ${value.address}`, value.coins || []);
+        (value.coins || []).forEach(coin => {
+            if (/^\d+$/.test(coin.amount)) totals.set(coin.denom, (totals.get(coin.denom) || new Decimal(0)).plus(coin.amount));
+        });
+    }
+
+    function supply(list) {
+        if (list.length == 0) {
+            report('supply', 'warning', 'bank supply is empty, heliades will compute it from the balances');
+            return;
+        }
+        coins('bank supply', list);
+        const declared = new Map(list.map(x => [x.denom, x.amount]));
+        for (const [denom, total] of totals) {
+            if (!declared.has(denom)) {
+                error('supply', `${denom}: balances hold ${total.toFixed(0)} but it is not in the supply`);
+            } else if (!total.eq(declared.get(denom))) {
+                error('supply', `${denom}: supply is ${declared.get(denom)} but balances sum to ${total.toFixed(0)}`);
+            }
+        }
+        for (const [denom, amount] of declared) {
+            if (!totals.has(denom)) error('supply', `${denom}: supply is ${amount} but no balance holds it`);
+        }
+    }
+
+    // Every erc20 token pair needs the bank metadata of its denom.
+    function denomMetadata(metadata, pairs) {
+        const bases = new Set();
+        metadata.forEach(x => {
+            const units = (x.denom_units || []).map(unit => unit.denom);
+            if (bases.has(x.base)) error('denom-metadata', `metadata of ${x.base} listed twice`);
+            bases.add(x.base);
+            if (!units.includes(x.base)) error('denom-metadata', `metadata of ${x.base}: base is not one of its denom units`);
+            if (x.display && !units.includes(x.display)) error('denom-metadata', `metadata of ${x.base}: display ${x.display} is not one of its denom units`);
+        });
+        const denoms = new Set();
+        const contracts = new Set();
+        pairs.forEach(pair => {
+            if (denoms.has(pair.denom)) error('denom-metadata', `token pair of ${pair.denom} listed twice`);
+            if (contracts.has(pair.erc20_address)) error('denom-metadata', `token pairs share the contract ${pair.erc20_address}`);
+            denoms.add(pair.denom);
+            contracts.add(pair.erc20_address);
+            if (!bases.has(pair.denom)) error('denom-metadata', `token pair of ${pair.denom} has no bank metadata`);
+        });
+    }
+
+    // To call once every account and balance went through.
+    function finish(genesis) {
+        const bank = (genesis.app_state && genesis.app_state.bank) || {};
+        const erc20 = (genesis.app_state && genesis.app_state.erc20) || {};
+
+        for (const address of balances) {
+            if (!accounts.has(address)) error('accounts', `balance of ${address} has no account in auth`);
+        }
+        supply(bank.supply || []);
+        denomMetadata(bank.denom_metadata || [], erc20.token_pairs || []);
+
+        if (!/^[1-9]\d*$/.test(String(genesis.initial_height))) {
+            error('initial-height', `initial_height ${JSON.stringify(genesis.initial_height)} is not a positive integer`);
+        }
+        if (typeof genesis.chain_id !== 'string' || genesis.chain_id.trim() === '') {
+            error('chain-id', 'chain_id is missing');
+        } else if (genesis.chain_id.length > MAX_CHAIN_ID_LENGTH || /\s/.test(genesis.chain_id)) {
+            error('chain-id', `chain_id ${JSON.stringify(genesis.chain_id)} must be at most ${MAX_CHAIN_ID_LENGTH} characters without spaces`);
+        }
+
+        const list = [...checks.values()];
+        return {
+            ok: list.every(x => x.status !== 'error'),
+            errors: list.filter(x => x.status === 'error').reduce((sum, x) => sum + x.problems, 0),
+            stats: { ...stats, denoms: totals.size },
+            checks: list
+        };
+    }
+
+    return { account, balance, finish };
+}
+
+// Report of the checks heliades runs when it loads a genesis.
+function validateGenesis(genesis) {
+    const validation = createValidation();
+    const appState = genesis.app_state || {};
+
+    ((appState.auth || {}).accounts || []).forEach(validation.account);
+    ((appState.bank || {}).balances || []).forEach(validation.balance);
+    return validation.finish(genesis);
+}
+
+// Same as validateGenesis, streaming accounts and balances from the file.
+async function validateGenesisFile(file) {
+    const validation = createValidation();
+    const genesis = await streamJson(file, {
+        each: {
+            'app_state.auth.accounts': validation.account,
+            'app_state.bank.balances': validation.balance
+        },
+        keep: ['initial_height', 'chain_id', 'app_state.bank.supply', 'app_state.bank.denom_metadata', 'app_state.erc20.token_pairs']
+    });
+    return validation.finish(genesis);
+}
+
+function printReport(report) {
+    report.checks.forEach(check => {
+        console.log(`[${check.status}] ${check.name}` + (check.problems ? ` (${check.problems})` : ''));
+        check.messages.forEach(message => console.log(`  ${message}`));
+        if (check.problems > check.messages.length) console.log(`  ... and ${check.problems - check.messages.length} more`);
+    });
+    console.log(`${report.stats.accounts} accounts, ${report.stats.balances} balances, ${report.stats.denoms} denoms`);
+}
+
+module.exports = {
+    CHECKS,
+    validateGenesis,
+    validateGenesisFile,
+    printReport
+};
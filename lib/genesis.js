@@ -0,0 +1,538 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const yaml = require('yaml');
+const Decimal = require('decimal.js');
+const didYouMean = require('./utils/didYouMean');
+const streamJson = require('./utils/streamJson');
+const { CliError } = require('./errors');
+
+// What testnet-reset always did. A recipe file only needs the keys it changes.
+const DEFAULT_RECIPE = {
+    staking: {
+        // delegation boosts and delegated asset weights go back to the delegator
+        returnBoosts: true,
+        returnDelegations: true,
+        boostDenom: 'ahelios',
+        // validators, delegations, boosts and consensus validators are cleared
+        reset: true
+    },
+    zeroAccounts: [
+        { address: 'helios1jv65s3grqf6v6jl3dp4t6c9t9rk99cd8nte205', label: 'distribution module' },
+        { address: 'helios1fl48vsnmsdzcv85q5d2q4z5ajdha8yu3p05elu', label: 'staking pool' },
+        { address: 'helios13c59hc2zmcrzzxfgh0umpf077cz86pytvzxda6', label: 'boosted pool' }
+    ],
+    // module accounts holding all of these permissions get an empty balance
+    zeroModuleAccounts: [
+        { permissions: ['burner', 'staking'] }
+    ],
+    // pending outgoing transfers (batched or not) dropped, or credited back
+    // to their sender with refund
+    hyperion: {
+        pendingTransfers: 'drop'
+    },
+    // balances holding nothing but `denom`, at most `max` of it, are removed
+    dust: [
+        { denom: 'ahelios', max: '1000000000000000000' }
+    ],
+    // parts of the exported genesis copied into the template, the rest is the template
+    keep: ['initial_height', 'app_state.bank', 'app_state.erc20', 'app_state.auth.accounts', 'app_state.hyperion'],
+    // initializer, all or none
+    resetSequences: 'initializer'
+};
+
+const PENDING_TRANSFERS = ['drop', 'refund'];
+const RESET_SEQUENCES = ['initializer', 'all', 'none'];
+
+function invalidRecipe(message) {
+    return new CliError('RECIPE_INVALID', `Invalid recipe: ${message}`);
+}
+
+function validateRecipe(recipe) {
+    const isList = (value, check) => Array.isArray(value) && value.every(check);
+    const isAmount = (value) => /^\d+$/.test(String(value));
+
+    for (const key of Object.keys(recipe)) {
+        if (!(key in DEFAULT_RECIPE)) {
+            const suggestion = didYouMean(key, Object.keys(DEFAULT_RECIPE));
+            throw invalidRecipe(`unknown key ${key}` + (suggestion ? `, did you mean ${suggestion}?` : ''));
+        }
+    }
+    for (const key of Object.keys(recipe.staking)) {
+        if (!(key in DEFAULT_RECIPE.staking)) throw invalidRecipe(`unknown key staking.${key}`);
+    }
+    if (!isList(recipe.zeroAccounts, x => x && typeof x.address === 'string')) {
+        throw invalidRecipe('zeroAccounts must be a list of { address, label }');
+    }
+    if (!isList(recipe.zeroModuleAccounts, x => x && isList(x.permissions, p => typeof p === 'string'))) {
+        throw invalidRecipe('zeroModuleAccounts must be a list of { permissions: [...] }');
+    }
+    if (!PENDING_TRANSFERS.includes(recipe.hyperion.pendingTransfers)) {
+        throw invalidRecipe(`hyperion.pendingTransfers must be one of ${PENDING_TRANSFERS.join(', ')}`);
+    }
+    if (!isList(recipe.dust, x => x && typeof x.denom === 'string' && isAmount(x.max))) {
+        throw invalidRecipe('dust must be a list of { denom, max } with an integer max');
+    }
+    if (!isList(recipe.keep, x => typeof x === 'string' && /^[\w-]+(\.[\w-]+)*$/.test(x))) {
+        throw invalidRecipe('keep must be a list of dotted paths, e.g. app_state.bank');
+    }
+    if (!RESET_SEQUENCES.includes(recipe.resetSequences)) {
+        throw invalidRecipe(`resetSequences must be one of ${RESET_SEQUENCES.join(', ')}`);
+    }
+    return recipe;
+}
+
+// YAML or JSON (YAML reads both). Missing keys take their default.
+function loadRecipe(file) {
+    if (!file) {
+        return DEFAULT_RECIPE;
+    }
+    if (!fs.existsSync(file)) {
+        throw new CliError('FILE_NOT_FOUND', `Recipe ${file} not found`);
+    }
+    let recipe;
+    try {
+        recipe = yaml.parse(fs.readFileSync(file, 'utf8')) || {};
+    } catch (error) {
+        throw invalidRecipe(`${file}: ${error.message}`);
+    }
+    return validateRecipe({
+        ...DEFAULT_RECIPE,
+        ...recipe,
+        staking: { ...DEFAULT_RECIPE.staking, ...recipe.staking },
+        hyperion: { ...DEFAULT_RECIPE.hyperion, ...recipe.hyperion }
+    });
+}
+
+function getPath(object, dotted) {
+    return dotted.split('.').reduce((value, key) => value == undefined ? undefined : value[key], object);
+}
+
+function setPath(object, dotted, value) {
+    const keys = dotted.split('.');
+    const parent = keys.slice(0, -1).reduce((current, key) => {
+        if (current[key] == undefined) current[key] = {};
+        return current[key];
+    }, object);
+    parent[keys[keys.length - 1]] = value;
+}
+
+// Address of an auth account, whatever its type.
+function accountAddress(value) {
+    const base = value.base_account || (value.base_vesting_account && value.base_vesting_account.base_account) || value;
+    return base.address;
+}
+
+// Map(denom -> Decimal) to "12ahelios, 3uatom"
+function formatCoins(totals) {
+    const coins = [...totals.entries()].filter(([, amount]) => amount.gt(0)).map(([denom, amount]) => `${amount.toFixed(0)}${denom}`);
+    return coins.length ? coins.join(', ') : 'nothing';
+}
+
+function addCoin(totals, denom, amount) {
+    totals.set(denom, (totals.get(denom) || new Decimal(0)).plus(new Decimal(amount)));
+}
+
+// Bank denom of a token contract of a bridged chain, through the Helios
+// denom_metadata chains_metadatas. Any chain matches when chainId is unknown.
+// Tokens that do not originate on the bridged chain were locked in the
+// hyperion module when sent (escrowed), the others were burned.
+function resolveToken(denomMetadata, chainId, contract) {
+    const match = (x) => String(x.contract_address).toLowerCase() === String(contract).toLowerCase() && (chainId === undefined || String(x.chain_id) === chainId);
+    for (const metadata of denomMetadata) {
+        const chain = (metadata.chains_metadatas || []).find(match);
+        if (chain) return { denom: metadata.base, escrowed: !chain.is_origin_chain };
+    }
+    return undefined;
+}
+
+const byDenom = (a, b) => a.denom < b.denom ? -1 : (a.denom > b.denom ? 1 : 0);
+
+// Steps of a recipe. The bank balances and the auth accounts go through
+// balance() and account() one at a time so they can be streamed; everything
+// else (staking, hyperion...) is small and handled in place.
+function createMigration(recipe = DEFAULT_RECIPE, { initializer } = {}) {
+    const summary = [];
+    const note = (step, message, data = {}) => summary.push({ step, message, ...data });
+
+    // address -> Map(denom -> Decimal) still to add to its balance
+    const credits = new Map();
+    const credit = (address, denom, amount) => {
+        if (!credits.has(address)) credits.set(address, new Map());
+        addCoin(credits.get(address), denom, amount);
+    };
+    const zeroAccounts = new Map(recipe.zeroAccounts.map(x => [x.address, { label: x.label || x.address, coins: new Map() }]));
+    const moduleAccounts = new Map();
+    const dust = new Map(recipe.dust.map(x => [x.denom, { max: new Decimal(x.max), count: 0, coins: new Map() }]));
+    const counters = { zeroCoins: 0, sequences: 0 };
+    const refunds = [];
+    // denom -> Decimal held by the migrated balances
+    const totals = new Map();
+    // hyperion module account, holding the tokens locked by pending transfers
+    const escrow = { address: undefined, taken: new Map(), short: new Map() };
+
+    function staking(state, consensus) {
+        if (recipe.staking.returnBoosts) {
+            const totals = new Map();
+            const delegators = new Set();
+            state.delegation_boosts.forEach(boost => {
+                credit(boost.delegator_address, recipe.staking.boostDenom, boost.amount);
+                addCoin(totals, recipe.staking.boostDenom, boost.amount);
+                delegators.add(boost.delegator_address);
+            });
+            note('staking', `${state.delegation_boosts.length} delegation boosts credited back to ${delegators.size} delegators (${formatCoins(totals)})`);
+        }
+        if (recipe.staking.returnDelegations) {
+            const totals = new Map();
+            state.delegations.forEach(delegation => {
+                delegation.asset_weights.forEach(weight => {
+                    credit(delegation.delegator_address, weight.denom, weight.base_amount);
+                    addCoin(totals, weight.denom, weight.base_amount);
+                });
+            });
+            note('staking', `${state.delegations.length} delegations credited back to their delegators (${formatCoins(totals)})`);
+        }
+        if (recipe.staking.reset) {
+            note('staking', `${state.validators.length} validators, ${state.delegations.length} delegations and ${state.delegation_boosts.length} delegation boosts cleared`);
+            state.delegation_boosts = [];
+            state.validators = [];
+            state.delegations = [];
+            if (consensus) consensus.validators = [];
+        }
+    }
+
+    // Escrowed tokens are taken back from the hyperion module account, burned
+    // ones are minted again (the supply follows the balances).
+    function refund(transfer, hyperionId, chainId, denomMetadata) {
+        const token = transfer.token || {};
+        const amount = token.amount || '0';
+        const fee = transfer.fee && new Decimal(transfer.fee.amount || 0).gt(0) ? transfer.fee : undefined;
+        const resolved = token.contract ? resolveToken(denomMetadata, chainId, token.contract) : undefined;
+        const resolvedFee = fee ? resolveToken(denomMetadata, chainId, fee.contract) : resolved;
+        const row = {
+            hyperionId, id: transfer.id, sender: transfer.sender, contract: token.contract,
+            denom: resolved && resolved.denom, amount, fee: fee ? fee.amount : '0', feeDenom: resolvedFee && resolvedFee.denom,
+            escrowed: Boolean(resolved && resolved.escrowed)
+        };
+
+        row.refunded = resolved !== undefined && resolvedFee !== undefined;
+        if (row.refunded) {
+            const payments = [[resolved, amount]];
+            if (fee) payments.push([resolvedFee, fee.amount]);
+            payments.forEach(([x, value]) => {
+                credit(transfer.sender, x.denom, value);
+                if (x.escrowed) {
+                    addCoin(escrow.taken, x.denom, value);
+                    if (escrow.address) credit(escrow.address, x.denom, new Decimal(value).neg());
+                }
+            });
+        }
+        refunds.push(row);
+    }
+
+    function hyperion(state, denomMetadata = []) {
+        const chainIds = new Map(((state.params || {}).counterparty_chain_params || []).map(x => [String(x.hyperion_id), String(x.bridge_chain_id)]));
+        let batches = 0, transfers = 0, confirms = 0;
+        state.sub_states = state.sub_states.map(x => {
+            if (recipe.hyperion.pendingTransfers === 'refund') {
+                const chainId = chainIds.get(String(x.hyperion_id));
+                [...x.batches.flatMap(batch => batch.transactions || []), ...x.unbatched_transfers]
+                    .forEach(transfer => refund(transfer, x.hyperion_id, chainId, denomMetadata));
+            }
+            batches += x.batches.length;
+            transfers += x.unbatched_transfers.length;
+            confirms += x.batch_confirms.length;
+            return { ...x, batches: [], unbatched_transfers: [], batch_confirms: [] };
+        });
+        if (recipe.hyperion.pendingTransfers === 'refund') {
+            const refunded = refunds.filter(x => x.refunded);
+            const refundedCoins = new Map();
+            refunded.forEach(x => {
+                addCoin(refundedCoins, x.denom, x.amount);
+                addCoin(refundedCoins, x.feeDenom, x.fee);
+            });
+            note('hyperion', `${refunded.length} pending transfers refunded to ${new Set(refunded.map(x => x.sender)).size} senders (${formatCoins(refundedCoins)})`);
+            if (escrow.taken.size) {
+                note('hyperion', escrow.address
+                    ? `${formatCoins(escrow.taken)} of the refunds taken from the hyperion module account`
+                    : `no hyperion module account in auth, ${formatCoins(escrow.taken)} of escrowed refunds minted`);
+            }
+            const unresolved = refunds.filter(x => !x.refunded);
+            if (unresolved.length) {
+                note('hyperion', `${unresolved.length} pending transfers not refunded, no denom_metadata chains_metadatas entry for their token or fee contract`);
+            }
+        }
+        note('hyperion', `${batches} batches, ${transfers} unbatched transfers and ${confirms} batch confirms ${recipe.hyperion.pendingTransfers === 'refund' ? 'cleared' : 'dropped'}`);
+    }
+
+    // Auth accounts go first: module accounts to zero are found there.
+    function account(value) {
+        if (value.name === 'hyperion' && value.base_account) {
+            escrow.address = value.base_account.address;
+        }
+        if (value.base_account && (recipe.resetSequences === 'all' || recipe.resetSequences === 'initializer' && value.base_account.address === initializer)) {
+            if (value.base_account.sequence !== '0') counters.sequences++;
+            value.base_account.sequence = '0';
+        }
+        if (value.permissions != undefined && value.base_account && recipe.zeroModuleAccounts.some(x => x.permissions.every(p => value.permissions.includes(p)))) {
+            moduleAccounts.set(value.base_account.address, { label: value.name || value.base_account.address, coins: new Map() });
+        }
+        return value;
+    }
+
+    // Returns the migrated balance, or null when it is removed as dust.
+    function balance(value) {
+        const added = credits.get(value.address);
+        if (added) {
+            credits.delete(value.address);
+            for (const [denom, amount] of added) {
+                const coin = value.coins.find(x => x.denom === denom);
+                const total = new Decimal(coin ? coin.amount : 0).plus(amount);
+                // a debit (escrow refund) larger than the balance
+                if (total.lt(0)) addCoin(escrow.short, denom, total.neg());
+                if (coin) {
+                    coin.amount = Decimal.max(total, 0).toFixed(0);
+                } else if (total.gt(0)) {
+                    value.coins.push({ denom, amount: total.toFixed(0) });
+                }
+            }
+        }
+        const zeroed = zeroAccounts.get(value.address);
+        if (zeroed) {
+            value.coins.forEach(x => addCoin(zeroed.coins, x.denom, x.amount));
+            value.coins = [];
+        }
+
+        // sorted by denom, no zero amount (cosmos-sdk obligations)
+        const count = value.coins.length;
+        value.coins = value.coins.filter(x => new Decimal(x.amount).gt(0)).sort(byDenom);
+        counters.zeroCoins += count - value.coins.length;
+
+        const rule = value.coins.length == 1 ? dust.get(value.coins[0].denom) : undefined;
+        if (rule && new Decimal(value.coins[0].amount).lte(rule.max)) {
+            rule.count++;
+            addCoin(rule.coins, value.coins[0].denom, value.coins[0].amount);
+            return null;
+        }
+
+        const module = moduleAccounts.get(value.address);
+        if (module) {
+            value.coins.forEach(x => addCoin(module.coins, x.denom, x.amount));
+            value.coins = [];
+        }
+        value.coins.forEach(x => addCoin(totals, x.denom, x.amount));
+        return value;
+    }
+
+    // Balances for the credited addresses that had none, to call after balance()
+    // went through every existing balance.
+    function* newBalances() {
+        for (const address of [...credits.keys()]) {
+            yield { address, coins: [] };
+        }
+    }
+
+    // The bank supply of every denom, worked out from the migrated balances
+    // (an empty supply stays empty, heliades computes it).
+    function supply(bank) {
+        if (!bank || !bank.supply || bank.supply.length == 0) {
+            note('supply', 'supply left empty, heliades computes it from the balances');
+            return;
+        }
+        const before = new Map(bank.supply.map(x => [x.denom, new Decimal(x.amount)]));
+        const changes = [...new Set([...before.keys(), ...totals.keys()])].sort()
+            .filter(denom => !(before.get(denom) || new Decimal(0)).eq(totals.get(denom) || 0))
+            .map(denom => `${denom} ${(before.get(denom) || new Decimal(0)).toFixed(0)} -> ${(totals.get(denom) || new Decimal(0)).toFixed(0)}`);
+
+        bank.supply = [...totals].filter(([, amount]) => amount.gt(0)).map(([denom, amount]) => ({ denom, amount: amount.toFixed(0) })).sort(byDenom);
+        note('supply', changes.length ? `supply set to the sum of the migrated balances: ${changes.join(', ')}` : 'supply unchanged, it matches the migrated balances');
+    }
+
+    // Copies the kept parts of the export into the template.
+    function merge(exported, template) {
+        for (const dotted of recipe.keep) {
+            const value = getPath(exported, dotted);
+            if (value === undefined) {
+                note('keep', `${dotted} is not in the exported genesis, the template value is used`);
+            } else {
+                setPath(template, dotted, value);
+            }
+        }
+        note('keep', `kept from the export: ${recipe.keep.join(', ')}; everything else comes from the template`);
+        return template;
+    }
+
+    // Notes of the per balance and per account steps, once they all went through.
+    function finish() {
+        if (escrow.short.size) {
+            note('hyperion', `hyperion module account short of ${formatCoins(escrow.short)} for the refunds, the difference is minted`);
+        }
+        for (const zeroed of zeroAccounts.values()) {
+            note('zero-accounts', `${zeroed.label}: ${formatCoins(zeroed.coins)} removed`);
+        }
+        for (const module of moduleAccounts.values()) {
+            note('zero-module-accounts', `${module.label} module account: ${formatCoins(module.coins)} removed`);
+        }
+        for (const [denom, rule] of dust) {
+            note('dust', `${rule.count} balances holding only ${denom}, at most ${rule.max.toFixed(0)}, removed (${formatCoins(rule.coins)})`);
+        }
+        note('balances', `${counters.zeroCoins} zero amounts removed, coins sorted by denom`);
+        note('auth', `${counters.sequences} account sequences reset (${recipe.resetSequences})`);
+        return summary;
+    }
+
+    return { summary, refunds, staking, hyperion, account, balance, newBalances, supply, merge, finish };
+}
+
+// In memory migration of a parsed exported genesis into a parsed template.
+function migrateGenesis(exported, template, recipe = DEFAULT_RECIPE, context = {}) {
+    const migration = createMigration(recipe, context);
+    const appState = exported.app_state;
+
+    appState.auth.accounts = appState.auth.accounts.map(migration.account);
+    migration.staking(appState.staking, exported.consensus);
+    migration.hyperion(appState.hyperion, appState.bank.denom_metadata);
+
+    const balances = [];
+    const add = (value) => {
+        const migrated = migration.balance(value);
+        if (migrated) balances.push(migrated);
+    };
+    appState.bank.balances.forEach(add);
+    // only once every existing balance took its credits
+    for (const value of migration.newBalances()) add(value);
+    appState.bank.balances = balances;
+
+    const summary = migration.finish();
+    migration.supply(appState.bank);
+    return { genesis: migration.merge(exported, template), summary, refunds: migration.refunds };
+}
+
+// The arrays that grow with the number of accounts, never held in memory by
+// migrateGenesisFile.
+const STREAMED_ARRAYS = ['app_state.auth.accounts', 'app_state.bank.balances'];
+
+const STREAMED = '\u0000streamed:';
+
+async function forEachLine(file, fn) {
+    const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+    for await (const line of lines) {
+        if (line) fn(line);
+    }
+}
+
+// JSON.stringify(genesis, null, 2), with each placeholder of a streamed
+// array replaced by the elements of its NDJSON file.
+async function writeGenesis(out, genesis, files) {
+    const text = JSON.stringify(genesis, null, 2);
+    const placeholder = /"\\u0000streamed:([\w.]+)"/g;
+    const fd = fs.openSync(out, 'w');
+    let position = 0;
+
+    try {
+        for (const match of text.matchAll(placeholder)) {
+            const indent = text.slice(text.lastIndexOf('\n', match.index) + 1).match(/^ */)[0];
+            let first = true;
+
+            fs.writeSync(fd, text.slice(position, match.index));
+            await forEachLine(files[match[1]], (line) => {
+                const element = JSON.stringify(JSON.parse(line), null, 2).replace(/^/gm, `${indent}  `);
+                fs.writeSync(fd, (first ? '[\n' : ',\n') + element);
+                first = false;
+            });
+            fs.writeSync(fd, first ? '[]' : `\n${indent}]`);
+            position = match.index + match[0].length;
+        }
+        fs.writeSync(fd, text.slice(position));
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+// Same result as migrateGenesis, from file to file: balances and accounts
+// are streamed through temporary NDJSON files so memory does not grow with
+// the size of the export.
+async function migrateGenesisFile(input, templateFile, out, recipe = DEFAULT_RECIPE, context = {}) {
+    const migration = createMigration(recipe, context);
+    const work = fs.mkdtempSync(path.join(os.tmpdir(), 'helios-genesis-'));
+    const files = {
+        'app_state.auth.accounts': path.join(work, 'accounts.ndjson'),
+        'app_state.bank.balances': path.join(work, 'balances.ndjson')
+    };
+    const exportedBalances = path.join(work, 'exported-balances.ndjson');
+
+    try {
+        const accounts = fs.openSync(files['app_state.auth.accounts'], 'w');
+        const balances = fs.openSync(exportedBalances, 'w');
+        let exported;
+        try {
+            exported = await streamJson(input, {
+                each: {
+                    'app_state.auth.accounts': (value) => fs.writeSync(accounts, JSON.stringify(migration.account(value)) + '\n'),
+                    // balances need the staking credits, which come later in the file
+                    'app_state.bank.balances': (value) => fs.writeSync(balances, JSON.stringify(value) + '\n')
+                },
+                keep: ['app_state.staking', 'app_state.hyperion', 'app_state.bank.denom_metadata', 'app_state.bank.supply', 'consensus.validators', ...recipe.keep]
+            });
+        } finally {
+            fs.closeSync(accounts);
+            fs.closeSync(balances);
+        }
+
+        migration.staking(exported.app_state.staking, exported.consensus);
+        migration.hyperion(exported.app_state.hyperion, (exported.app_state.bank || {}).denom_metadata);
+
+        const migrated = fs.openSync(files['app_state.bank.balances'], 'w');
+        try {
+            const add = (value) => {
+                const result = migration.balance(value);
+                if (result) fs.writeSync(migrated, JSON.stringify(result) + '\n');
+            };
+            await forEachLine(exportedBalances, (line) => add(JSON.parse(line)));
+            for (const value of migration.newBalances()) add(value);
+        } finally {
+            fs.closeSync(migrated);
+        }
+
+        const summary = migration.finish();
+        migration.supply(exported.app_state.bank);
+        const genesis = migration.merge(exported, JSON.parse(fs.readFileSync(templateFile, 'utf8')));
+        for (const streamed of STREAMED_ARRAYS) {
+            if (recipe.keep.some(x => streamed === x || streamed.startsWith(`${x}.`))) {
+                setPath(genesis, streamed, `${STREAMED}${streamed}`);
+            }
+        }
+        await writeGenesis(out, genesis, files);
+
+        return { summary, refunds: migration.refunds, initialHeight: genesis.initial_height, chainId: genesis.chain_id };
+    } finally {
+        fs.rmSync(work, { recursive: true, force: true });
+    }
+}
+
+function printSummary(summary) {
+    console.log('Genesis migration:');
+    summary.forEach(x => console.log(`  [${x.step}] ${x.message}`));
+}
+
+function printRefunds(refunds) {
+    if (refunds.length == 0) return;
+    console.log('Hyperion refunds (sender, amount, fee):');
+    refunds.forEach(x => console.log(x.refunded
+        ? `  ${x.sender} ${x.amount}${x.denom} fee ${x.fee}${x.feeDenom} (hyperion ${x.hyperionId}, transfer ${x.id})`
+        : `  ${x.sender} not refunded: no denom for ${x.denom === undefined ? x.contract : 'the fee contract'} (hyperion ${x.hyperionId}, transfer ${x.id})`));
+}
+
+module.exports = {
+    DEFAULT_RECIPE,
+    validateRecipe,
+    loadRecipe,
+    getPath,
+    accountAddress,
+    createMigration,
+    migrateGenesis,
+    migrateGenesisFile,
+    printSummary,
+    printRefunds
+};
@@ -0,0 +1,202 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const tar = require('tar');
+const readlineSync = require('readline-sync');
+const { CliError } = require('./errors');
+
+// Key material of a node, relative to its data path. The keyring-* directories
+// (keyring-local, keyring-file...) of `heliades keys` are added when present.
+const KEY_FILES = ['config/priv_validator_key.json', 'config/node_key.json', 'data/priv_validator_state.json'];
+
+const FORMAT = 'helios-keys-backup';
+const SCRYPT = { N: 32768, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+const MIN_PASSWORD_LENGTH = 8;
+
+function keyFiles(dataPath) {
+    const files = KEY_FILES.filter(file => fs.existsSync(path.join(dataPath, file)));
+    const keyrings = fs.existsSync(dataPath) ? fs.readdirSync(dataPath).filter(x => /^keyring-/.test(x)) : [];
+    return [...files, ...keyrings];
+}
+
+const isKeyPath = (file) => KEY_FILES.includes(file) || /^keyring-[^/]+(\/[^/]+)*$/.test(file) && !file.split('/').includes('..');
+
+// --password-file, $HELIOS_KEYS_PASSWORD or a prompt. A new password is
+// asked twice and must be at least MIN_PASSWORD_LENGTH characters.
+function readPassword(options, { create = false } = {}) {
+    let password;
+    if (options.argv['password-file']) {
+        password = fs.readFileSync(options.argv['password-file'], 'utf8').replace(/\r?\n$/, '');
+    } else if (process.env.HELIOS_KEYS_PASSWORD) {
+        password = process.env.HELIOS_KEYS_PASSWORD;
+    } else {
+        if (!process.stdin.isTTY) {
+            throw new CliError('MISSING_OPTION', 'No terminal to ask the password, use --password-file or $HELIOS_KEYS_PASSWORD');
+        }
+        password = readlineSync.question('Password: ', { hideEchoBack: true, mask: '' });
+        if (create && readlineSync.question('Confirm password: ', { hideEchoBack: true, mask: '' }) !== password) {
+            throw new CliError('PASSWORD_MISMATCH', 'Passwords do not match');
+        }
+    }
+    if (create && password.length < MIN_PASSWORD_LENGTH) {
+        throw new CliError('WEAK_PASSWORD', `The password needs at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    return password;
+}
+
+const deriveKey = (password, salt, params) => crypto.scryptSync(password, salt, 32, params);
+
+// aes-256-gcm with a scrypt derived key, in a JSON envelope
+function encrypt(buffer, password) {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(password, salt, SCRYPT), iv);
+    const data = Buffer.concat([cipher.update(buffer), cipher.final()]);
+
+    return {
+        kdf: { name: 'scrypt', N: SCRYPT.N, r: SCRYPT.r, p: SCRYPT.p, salt: salt.toString('base64') },
+        cipher: { name: 'aes-256-gcm', iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64') },
+        data: data.toString('base64')
+    };
+}
+
+function decrypt(backup, password) {
+    const { kdf, cipher } = backup;
+    try {
+        const params = { N: kdf.N, r: kdf.r, p: kdf.p, maxmem: SCRYPT.maxmem };
+        const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(password, Buffer.from(kdf.salt, 'base64'), params), Buffer.from(cipher.iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(cipher.tag, 'base64'));
+        return Buffer.concat([decipher.update(Buffer.from(backup.data, 'base64')), decipher.final()]);
+    } catch (e) {
+        throw new CliError('WRONG_PASSWORD', 'Wrong password or corrupted backup');
+    }
+}
+
+// Encrypted gzip tar of the key material of the node.
+async function backupKeys(node, password) {
+    const files = keyFiles(node.dataPath);
+    if (!files.includes('config/priv_validator_key.json')) {
+        throw new CliError('NODE_NOT_CONFIGURED', `No priv_validator_key.json for ${node.name}, nothing to back up`);
+    }
+    const archive = await tar.c({ gzip: true, cwd: node.dataPath, portable: true }, files).concat();
+
+    return {
+        format: FORMAT,
+        version: 1,
+        node: node.name,
+        createdAt: new Date().toISOString(),
+        files,
+        ...encrypt(archive, password)
+    };
+}
+
+function readBackup(file) {
+    let backup;
+    try {
+        backup = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        throw new CliError('KEYS_BACKUP_INVALID', `${file} is not a key backup`);
+    }
+    if (backup.format !== FORMAT || backup.version !== 1) {
+        throw new CliError('KEYS_BACKUP_INVALID', `${file} is not a key backup`);
+    }
+    return backup;
+}
+
+// Files of the decrypted archive, [{ path, content }].
+function unpack(archive) {
+    return new Promise((resolve, reject) => {
+        const entries = [];
+        const parser = new tar.Parser({
+            strict: true,
+            onReadEntry: (entry) => {
+                const chunks = [];
+                entry.on('data', chunk => chunks.push(chunk));
+                entry.on('end', () => {
+                    if (entry.type === 'File') entries.push({ path: entry.path, content: Buffer.concat(chunks) });
+                });
+            }
+        });
+        parser.on('error', reject);
+        parser.on('end', () => resolve(entries));
+        parser.end(archive);
+    });
+}
+
+// Keys of the archive whose content differs from the ones of the node.
+function conflicts(node, entries) {
+    return entries.filter(entry => {
+        const file = path.join(node.dataPath, entry.path);
+        return fs.existsSync(file) && !fs.readFileSync(file).equals(entry.content);
+    }).map(x => x.path);
+}
+
+const SIGNING_STATE = 'data/priv_validator_state.json';
+
+// < 0 when the signing state `a` is behind `b`, by height, round then step.
+function compareSigningStates(a, b) {
+    const fields = (x) => [Number(x.height) || 0, Number(x.round) || 0, Number(x.step) || 0];
+    const [x, y] = [fields(a), fields(b)];
+    return x[0] - y[0] || x[1] - y[1] || x[2] - y[2];
+}
+
+function readSigningState(node) {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(node.dataPath, SIGNING_STATE), 'utf8'));
+    } catch (e) {
+        return null;
+    }
+}
+
+// The signing state the node ends up with: the one of the backup, unless the
+// node already signed further. Going back would let it sign a height twice.
+function signingStateToKeep(node, entries) {
+    const entry = entries.find(x => x.path === SIGNING_STATE);
+    const local = readSigningState(node);
+    const restored = entry ? JSON.parse(entry.content.toString()) : null;
+
+    if (local && (!restored || compareSigningStates(local, restored) > 0)) {
+        return { state: local, local: true };
+    }
+    return { state: restored, local: false };
+}
+
+// Writes the keys owner-only: 0600 files, 0700 keyring directories. A local
+// signing state ahead of the one of the backup is kept.
+function writeKeys(node, entries) {
+    for (const entry of entries) {
+        if (!isKeyPath(entry.path)) {
+            throw new CliError('KEYS_BACKUP_INVALID', `Unexpected file ${entry.path} in the backup`);
+        }
+    }
+    const keepLocalState = signingStateToKeep(node, entries).local;
+    for (const entry of entries) {
+        if (entry.path === SIGNING_STATE && keepLocalState) {
+            continue;
+        }
+        const file = path.join(node.dataPath, entry.path);
+        const directory = path.dirname(file);
+
+        fs.mkdirSync(directory, { recursive: true });
+        if (/^keyring-/.test(entry.path)) {
+            fs.chmodSync(path.join(node.dataPath, entry.path.split('/')[0]), 0o700);
+        }
+        fs.writeFileSync(file, entry.content, { mode: 0o600 });
+        fs.chmodSync(file, 0o600);
+    }
+}
+
+module.exports = {
+    KEY_FILES,
+    keyFiles,
+    readPassword,
+    encrypt,
+    decrypt,
+    backupKeys,
+    readBackup,
+    unpack,
+    conflicts,
+    compareSigningStates,
+    signingStateToKeep,
+    writeKeys
+};
@@ -0,0 +1,160 @@
+const net = require('net');
+const { CliError } = require('./errors');
+
+// Ports of the node container. `manager` is always published, on the
+// profile port + node index; the others depend on the role.
+const PORTS = [
+    { name: 'manager', port: 8080, description: 'Node Manager' },
+    { name: 'debug', port: 4040, description: 'Debug server' },
+    { name: 'json-rpc', port: 8545, description: 'EVM JSON-RPC' },
+    { name: 'ws', port: 8546, description: 'EVM WebSocket RPC' },
+    { name: 'json-rpc-private', port: 8547, description: 'Private/internal RPC' },
+    { name: 'api', port: 1317, description: 'Cosmos REST API' },
+    { name: 'rpc', port: 26657, description: 'CometBFT RPC' },
+    { name: 'p2p', port: 26656, description: 'CometBFT P2P' },
+    { name: 'internal', port: 10337, description: 'Internal service' },
+    { name: 'grpc', port: 9090, description: 'Cosmos gRPC' }
+];
+
+const ROLES = {
+    validator: ['manager', 'p2p'],
+    rpc: ['manager', 'p2p', 'rpc', 'json-rpc', 'ws', 'api', 'grpc'],
+    // every port, what helios start always published
+    archive: PORTS.map(x => x.name)
+};
+
+const DEFAULT_ROLE = 'archive';
+const DEFAULT_BIND = '0.0.0.0';
+const DEFAULT_SUBNET = '192.168.1.0/24';
+
+const ipToNumber = (ip) => ip.split('.').reduce((n, x) => n * 256 + Number(x), 0);
+const numberToIp = (n) => [24, 16, 8, 0].map(shift => Math.floor(n / 2 ** shift) % 256).join('.');
+
+// "10.42.0.0/24" -> { network, prefix, size }, throws INVALID_OPTION.
+function parseSubnet(subnet, numberOfNodes = 1) {
+    const match = String(subnet).match(/^(\d+\.\d+\.\d+\.\d+)\/(\d+)$/);
+    if (match == undefined || net.isIPv4(match[1]) == false || Number(match[2]) > 30) {
+        throw new CliError('INVALID_OPTION', `--subnet ${subnet} is not an IPv4 subnet like ${DEFAULT_SUBNET}`);
+    }
+    const prefix = Number(match[2]);
+    const size = 2 ** (32 - prefix);
+    const network = ipToNumber(match[1]) - ipToNumber(match[1]) % size;
+
+    // .0 is the network, .1 the gateway, the nodes start at .2 and the last one is broadcast
+    if (numberOfNodes + 3 > size) {
+        throw new CliError('INVALID_OPTION', `--subnet ${subnet} is too small for ${numberOfNodes} nodes`);
+    }
+    return { network, prefix, size, subnet: `${numberToIp(network)}/${prefix}` };
+}
+
+// Static address of a node on the heliosnet network.
+function nodeAddress(subnet, index) {
+    const parsed = parseSubnet(subnet, index + 1);
+    return numberToIp(parsed.network + 2 + index);
+}
+
+// "127.0.0.1" or "0.0.0.0,json-rpc=127.0.0.1,ws=127.0.0.1" -> { default, json-rpc, ws }
+function parseBind(bind) {
+    const result = { default: DEFAULT_BIND };
+
+    for (const entry of String(bind).split(',').map(x => x.trim()).filter(x => x != '')) {
+        const [name, address] = entry.includes('=') ? entry.split('=') : ['default', entry];
+
+        if (name != 'default' && !PORTS.find(x => x.name === name)) {
+            throw new CliError('INVALID_OPTION', `--bind unknown port ${name}, available ports: ${PORTS.map(x => x.name).join(', ')}`);
+        }
+        if (!net.isIP(address)) {
+            throw new CliError('INVALID_OPTION', `--bind ${address} is not an IP address`);
+        }
+        result[name] = address;
+    }
+    return result;
+}
+
+function formatBind(bind) {
+    return Object.entries(bind)
+        .filter(([name, address]) => name != 'default' || address != DEFAULT_BIND)
+        .map(([name, address]) => name == 'default' ? address : `${name}=${address}`)
+        .join(',') || DEFAULT_BIND;
+}
+
+// Network settings of the deployment: the profile ones, overridden by the
+// --role, --bind, --port-offset and --subnet options of helios start.
+function getNetworkSettings(options, profile, numberOfNodes = profile.nodes) {
+    const argv = options.argv;
+    const role = argv.role || profile.role || DEFAULT_ROLE;
+    const portOffset = argv['port-offset'] != undefined ? argv['port-offset'] : (profile.portOffset || 0);
+
+    if (ROLES[role] == undefined) {
+        throw new CliError('INVALID_OPTION', `--role ${role} unknown, available roles: ${Object.keys(ROLES).join(', ')}`);
+    }
+    if (!Number.isInteger(portOffset) || portOffset < 0) {
+        throw new CliError('INVALID_OPTION', '--port-offset need a positive integer value.');
+    }
+    return {
+        role,
+        bind: argv.bind != undefined ? parseBind(argv.bind) : { default: DEFAULT_BIND, ...profile.bind },
+        portOffset,
+        subnet: parseSubnet(argv.subnet || profile.subnet || DEFAULT_SUBNET, numberOfNodes).subnet
+    };
+}
+
+// Host side of every port published by a node: [{ name, address, hostPort, port }].
+// Without a port offset only node1 publishes the role ports, like before.
+function publishedPorts(settings, managerPort, index) {
+    return PORTS
+        .filter(x => ROLES[settings.role].includes(x.name))
+        .filter(x => x.name === 'manager' || index === 0 || settings.portOffset > 0)
+        .map(x => ({
+            name: x.name,
+            address: settings.bind[x.name] || settings.bind.default,
+            hostPort: x.name === 'manager' ? managerPort + index : x.port + settings.portOffset * index,
+            port: x.port
+        }));
+}
+
+const MAX_PORT = 65535;
+
+// The node count is bounded by the subnet (parseSubnet) and by the host ports:
+// every node publishes the manager on port + index, and the role ports
+// shifted by the port offset. No two of them may share a host port.
+function checkPublishedPorts(settings, managerPort, numberOfNodes) {
+    if (!Number.isInteger(numberOfNodes) || numberOfNodes < 1) {
+        throw new CliError('INVALID_OPTION', `The number of nodes must be a positive integer, got ${numberOfNodes}`);
+    }
+    const used = new Map();
+    for (let index = 0; index < numberOfNodes; index++) {
+        for (const published of publishedPorts(settings, managerPort, index)) {
+            const owner = `node${index + 1} ${published.name}`;
+            if (published.hostPort > MAX_PORT) {
+                throw new CliError('INVALID_OPTION', `${numberOfNodes} nodes do not fit in the host ports: ${owner} would be published on ${published.hostPort}`);
+            }
+            if (used.has(published.hostPort)) {
+                throw new CliError('INVALID_OPTION', `${owner} and ${used.get(published.hostPort)} would both be published on ${published.hostPort}, change --port-offset or --port`);
+            }
+            used.set(published.hostPort, owner);
+        }
+    }
+}
+
+// docker compose "ports" entry, the address is left out when it is the default 0.0.0.0
+function composePort(published) {
+    const address = net.isIPv6(published.address) ? `[${published.address}]` : published.address;
+    return (published.address === DEFAULT_BIND ? '' : `${address}:`) + `${published.hostPort}:${published.port}`;
+}
+
+module.exports = {
+    PORTS,
+    ROLES,
+    DEFAULT_ROLE,
+    DEFAULT_BIND,
+    DEFAULT_SUBNET,
+    parseSubnet,
+    nodeAddress,
+    parseBind,
+    formatBind,
+    getNetworkSettings,
+    publishedPorts,
+    checkPublishedPorts,
+    composePort
+};
@@ -0,0 +1,223 @@
+const fs = require('fs');
+const path = require('path');
+const toml = require('./toml');
+const startNode = require('./commands/node/start');
+const stopNode = require('./commands/node/stop');
+const nodes = require('./nodes');
+const didYouMean = require('./utils/didYouMean');
+const { CliError } = require('./errors');
+
+const FILES = ['config.toml', 'app.toml', 'client.toml'];
+
+const PEER = /^([0-9a-f]{40})@([^\s,@]+):(\d+)$/;
+const PEERS = /^([0-9a-f]{40}@[^\s,@]+:\d+)?(,[0-9a-f]{40}@[^\s,@]+:\d+)*$/;
+// comma separated lists of config.toml that name peers
+const PEER_LISTS = ['p2p.persistent_peers', 'p2p.seeds', 'p2p.unconditional_peer_ids', 'p2p.private_peer_ids'];
+
+// Values heliades would refuse at boot, checked before writing.
+const RULES = {
+    'p2p.persistent_peers': { test: (v) => PEERS.test(v), hint: 'a comma separated list of <node id>@<host>:<port>' },
+    'p2p.seeds': { test: (v) => PEERS.test(v), hint: 'a comma separated list of <node id>@<host>:<port>' },
+    'p2p.unconditional_peer_ids': { test: (v) => /^([0-9a-f]{40}(,[0-9a-f]{40})*)?$/.test(v), hint: 'a comma separated list of node ids' },
+    'minimum-gas-prices': { test: (v) => /^(\d+(\.\d+)?[a-zA-Z][a-zA-Z0-9/]*(,\d+(\.\d+)?[a-zA-Z][a-zA-Z0-9/]*)*)?$/.test(v), hint: 'e.g. 1000000000ahelios' },
+    'pruning': { test: (v) => ['default', 'everything', 'nothing', 'custom'].includes(v), hint: 'one of default, everything, nothing, custom' },
+    'pruning-keep-recent': { test: (v) => /^\d+$/.test(v), hint: 'a number of heights' },
+    'pruning-interval': { test: (v) => /^\d+$/.test(v) && Number(v) >= 10, hint: 'a number of blocks, at least 10' },
+    'log_level': { test: (v) => /^[a-z]+(:[a-z]+)?(,[a-z-]+:[a-z]+)*$/.test(v), hint: 'e.g. info or consensus:debug,*:info' }
+};
+
+// config.toml, app or app.toml... to the file of the node
+function configFile(node, name) {
+    const file = FILES.find(x => x === name || x === `${name}.toml`);
+    if (!file) {
+        throw new CliError('INVALID_ARGUMENT', `Unknown config file ${name}, available files: ${FILES.join(', ')}`);
+    }
+    const filePath = path.join(node.dataPath, 'config', file);
+    if (!fs.existsSync(filePath)) {
+        throw new CliError('FILE_NOT_FOUND', `${filePath} not found, is ${node.name} configured?`);
+    }
+    return { file, path: filePath };
+}
+
+function findEntry(text, key) {
+    const entries = toml.parse(text);
+    const entry = entries.find(x => x.key === key);
+    if (!entry) {
+        const suggestion = didYouMean(key, entries.map(x => x.key));
+        throw new CliError('CONFIG_KEY_UNKNOWN', `Unknown key ${key}` + (suggestion ? `, did you mean ${suggestion}?` : ''));
+    }
+    return entry;
+}
+
+// Command line value to the type the key already has in the file.
+function coerce(entry, input) {
+    const invalid = (hint) => new CliError('INVALID_VALUE', `${entry.key} expects ${hint}, got ${input}`);
+
+    if (RULES[entry.key] && !RULES[entry.key].test(input)) {
+        throw invalid(RULES[entry.key].hint);
+    }
+    switch (entry.type) {
+        case 'boolean':
+            if (input !== 'true' && input !== 'false') throw invalid('true or false');
+            return input === 'true';
+        case 'number':
+            if (input.trim() === '' || !Number.isFinite(Number(input))) throw invalid('a number');
+            return Number(input);
+        case 'array':
+            if (input.trim().startsWith('[')) {
+                try {
+                    const value = JSON.parse(input);
+                    if (Array.isArray(value)) return value;
+                } catch (e) {
+                }
+                throw invalid('a JSON array or a comma separated list');
+            }
+            return input.split(',').map(x => x.trim()).filter(x => x);
+        default:
+            return input;
+    }
+}
+
+// <config>/backups/app.toml.20250101T120000
+function backupDirectory(node) {
+    return path.join(node.dataPath, 'config', 'backups');
+}
+
+function listBackups(node, file) {
+    const dir = backupDirectory(node);
+    if (!fs.existsSync(dir)) {
+        return [];
+    }
+    return fs.readdirSync(dir)
+        .filter(x => x.startsWith(`${file}.`))
+        .sort()
+        .map(x => ({ name: x, path: path.join(dir, x) }));
+}
+
+function backup(node, config) {
+    const dir = backupDirectory(node);
+    const date = new Date().toISOString().replace(/[-:]/g, '').replace(/\..*$/, '');
+    let name = `${config.file}.${date}`;
+
+    fs.mkdirSync(dir, { recursive: true });
+    for (let i = 1; fs.existsSync(path.join(dir, name)); i++) {
+        name = `${config.file}.${date}-${i}`;
+    }
+    fs.copyFileSync(config.path, path.join(dir, name));
+    return { name, path: path.join(dir, name) };
+}
+
+// The named backup, the latest one otherwise.
+function findBackup(node, file, name) {
+    const backups = listBackups(node, file);
+    const found = name ? backups.find(x => x.name === name || x.name === `${file}.${name}`) : backups[backups.length - 1];
+    if (!found) {
+        throw new CliError('BACKUP_NOT_FOUND', name ? `No backup ${name} of ${file} for ${node.name}` : `No backup of ${file} for ${node.name} yet`);
+    }
+    return found;
+}
+
+// <node id>@<host>:<port>
+function parsePeer(value) {
+    const match = PEER.exec(String(value).trim());
+    if (!match) {
+        throw new CliError('INVALID_ARGUMENT', `${value} is not a peer address, expected <node id>@<host>:<port> with a 40 hex characters node id`);
+    }
+    return { id: match[1], host: match[2], port: Number(match[3]), address: match[0] };
+}
+
+const splitList = (value) => value.split(',').map(x => x.trim()).filter(x => x);
+
+// Applies update(values) to the values of a config file and writes the keys it
+// changed, after a backup. Nothing is written when nothing changed.
+function editConfig(node, name, update) {
+    const config = configFile(node, name);
+    const text = fs.readFileSync(config.path, 'utf8');
+    const before = toml.toObject(text);
+    const after = update({ ...before });
+    const changed = Object.keys(after).filter(key => JSON.stringify(after[key]) !== JSON.stringify(before[key]));
+
+    if (changed.length == 0) {
+        return { file: config.path, changed, backup: null };
+    }
+    const result = changed.reduce((current, key) => toml.set(current, key, after[key]), text);
+    const saved = backup(node, config);
+    fs.writeFileSync(config.path, result);
+    return { file: config.path, changed, backup: saved.path };
+}
+
+// Drops the peer from every peer list of config.toml.
+function removePeer(node, id) {
+    return editConfig(node, 'config', (values) => {
+        for (const key of PEER_LISTS.filter(x => typeof values[x] === 'string')) {
+            values[key] = splitList(values[key]).filter(x => x !== id && !x.startsWith(`${id}@`)).join(',');
+        }
+        return values;
+    });
+}
+
+// Drops the peer from config/addrbook.json, where PEX keeps the addresses it
+// learned. Returns the number of addresses removed.
+function forgetPeer(node, id) {
+    const file = path.join(node.dataPath, 'config', 'addrbook.json');
+    if (!fs.existsSync(file)) {
+        return 0;
+    }
+    const addrbook = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const addrs = (addrbook.addrs || []).filter(x => !(x.addr && x.addr.id === id));
+    const removed = (addrbook.addrs || []).length - addrs.length;
+
+    if (removed > 0) {
+        fs.writeFileSync(file, JSON.stringify({ ...addrbook, addrs }, null, 4));
+    }
+    return removed;
+}
+
+// Keys added, removed or changed from `before` to `after`.
+function diff(before, after) {
+    const a = toml.toObject(before);
+    const b = toml.toObject(after);
+    const changes = [];
+
+    for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+        if (!(key in b)) {
+            changes.push({ key, before: a[key] });
+        } else if (!(key in a)) {
+            changes.push({ key, after: b[key] });
+        } else if (JSON.stringify(a[key]) !== JSON.stringify(b[key])) {
+            changes.push({ key, before: a[key], after: b[key] });
+        }
+    }
+    return changes;
+}
+
+// heliades only reads its config at boot: restarts the targeted node(s)
+// with --restart, tells how to do it otherwise.
+async function applyChanges(options) {
+    const target = options.argv.all ? '--all' : `--node ${nodes.getNode(options).name}`;
+    if (!options.argv.restart) {
+        console.log(`Restart to apply the change: helios node stop ${target} && helios node start ${target}`);
+        return false;
+    }
+    await stopNode({ ...options, disabledLogs: true });
+    await startNode({ ...options, disabledLogs: true });
+    return true;
+}
+
+module.exports = {
+    FILES,
+    configFile,
+    findEntry,
+    PEER_LISTS,
+    coerce,
+    parsePeer,
+    splitList,
+    editConfig,
+    removePeer,
+    forgetPeer,
+    listBackups,
+    backup,
+    findBackup,
+    diff,
+    applyChanges
+};
@@ -0,0 +1,83 @@
+const { CliError } = require('../errors');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Errors worth retrying: the manager is still booting or the request timed out.
+const isRetryable = (error) => ['NODE_MANAGER_UNREACHABLE', 'NODE_MANAGER_TIMEOUT', 'NODE_MANAGER_UNAVAILABLE'].includes(error.code);
+
+// HTTP client for the Node Manager running in each container (port 8080 inside,
+// published on the profile port + node index).
+//
+// options = {
+//     baseUrl: 'http://localhost:8080',
+//     accessCode: '...',   // content of /root/.heliades/.password
+//     timeout: 10000,      // per request, in ms
+//     retries: 3,          // extra attempts on network errors, timeouts and 5xx
+//     backoff: 500         // first retry delay in ms, doubled on each attempt
+// }
+function createNodeManagerClient({ baseUrl, accessCode, timeout = 10000, retries = 3, backoff = 500 } = {}) {
+    baseUrl = String(baseUrl).replace(/\/+$/, '');
+
+    async function attempt(endpoint, body) {
+        let response;
+        try {
+            response = await fetch(`${baseUrl}${endpoint}`, {
+                method: 'POST',
+                headers: {
+                    'Access-Code': accessCode,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(body),
+                signal: AbortSignal.timeout(timeout)
+            });
+        } catch (error) {
+            if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+                throw new CliError('NODE_MANAGER_TIMEOUT', `Node Manager ${baseUrl}${endpoint} did not answer within ${timeout}ms`);
+            }
+            throw new CliError('NODE_MANAGER_UNREACHABLE', `Node Manager ${baseUrl} is unreachable (${error.cause ? error.cause.code || error.cause.message : error.message})`);
+        }
+
+        if (response.status == 401 || response.status == 403) {
+            throw new CliError('NODE_MANAGER_UNAUTHORIZED', `Node Manager ${baseUrl} refused the access code (status=${response.status})`);
+        }
+        if (response.status >= 500) {
+            throw new CliError('NODE_MANAGER_UNAVAILABLE', `Node Manager ${baseUrl}${endpoint} failed status=${response.status}`);
+        }
+        if (response.status != 200) {
+            throw new CliError('NODE_MANAGER_ERROR', `Node Manager ${baseUrl}${endpoint} failed status=${response.status}`);
+        }
+
+        const text = await response.text();
+        if (text.trim() == '') {
+            return null;
+        }
+        try {
+            return JSON.parse(text);
+        } catch (e) {
+            throw new CliError('NODE_MANAGER_BAD_RESPONSE', `Node Manager ${baseUrl}${endpoint} answered with invalid JSON`);
+        }
+    }
+
+    async function request(endpoint, body = {}) {
+        for (let i = 0; ; i++) {
+            try {
+                return await attempt(endpoint, body);
+            } catch (error) {
+                if (i >= retries || !isRetryable(error)) {
+                    throw error;
+                }
+                await sleep(backoff * Math.pow(2, i));
+            }
+        }
+    }
+
+    return {
+        baseUrl,
+        request,
+        test: () => request('/test'),
+        runMinerNode: () => request('/run-miner-node'),
+        stopNode: () => request('/stop-node')
+    };
+}
+
+module.exports = createNodeManagerClient;
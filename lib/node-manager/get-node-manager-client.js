@@ -0,0 +1,42 @@
+const fs = require('fs');
+const path = require('path');
+const containerExec = require('../container/container-exec');
+const createNodeManagerClient = require('./client');
+const { CliError } = require('../errors');
+
+// The access code is /root/.heliades/.password in the container. It is read
+// from the mounted volume when possible, through docker exec otherwise.
+async function readAccessCode(node) {
+    let output = undefined;
+    try {
+        if (node.dataPath && fs.existsSync(path.join(node.dataPath, '.password'))) {
+            output = fs.readFileSync(path.join(node.dataPath, '.password'), 'utf8');
+        }
+    } catch (e) {
+        // not readable by the current user (volume owned by root)
+    }
+    if (output === undefined) {
+        output = await containerExec(['cat', '/root/.heliades/.password'], node.container);
+        if (output.includes('No such file or directory')) {
+            throw new CliError('NODE_NOT_CONFIGURED', 'Helios node not configured');
+        }
+    }
+    const password = output.trim();
+
+    if (password == '') {
+        throw new CliError('NODE_NOT_CONFIGURED', 'Helios node not configured - Login failed');
+    }
+    return password;
+}
+
+async function getNodeManagerClient(options, node, overrides = {}) {
+    return createNodeManagerClient({
+        baseUrl: options.argv['manager-url'] || `http://localhost:${node.managerPort}`,
+        accessCode: await readAccessCode(node),
+        timeout: options.argv['manager-timeout'],
+        retries: options.argv['manager-retries'],
+        ...overrides
+    });
+}
+
+module.exports = getNodeManagerClient;
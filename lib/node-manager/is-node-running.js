@@ -0,0 +1,11 @@
+const containerIsRunning = require('../container/container-is-running');
+const getNodeManagerClient = require('./get-node-manager-client');
+
+// The container runs and its Node Manager reports heliades as started.
+module.exports = async (options, node) => {
+    if (!await containerIsRunning(node.container)) {
+        return false;
+    }
+    const testData = await (await getNodeManagerClient(options, node)).test();
+    return testData && testData.node && testData.node.status == '1';
+};
@@ -0,0 +1,57 @@
+const http = require('http');
+
+// Local stand-in for the Node Manager HTTP API, used to exercise the node
+// commands without Docker. It implements /test, /run-miner-node and
+// /stop-node with the same Access-Code check and response shapes.
+//
+// options = {
+//     accessCode: 'secret',
+//     status: '0',         // '1' when the node is running
+//     unavailable: 0,      // number of requests answered with 503 (manager booting)
+//     delay: 0             // artificial latency in ms
+// }
+function createStandInServer({ accessCode = 'secret', status = '0', unavailable = 0, delay = 0 } = {}) {
+    const state = { status, unavailable, requests: [] };
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => body += chunk);
+        req.on('end', () => setTimeout(() => {
+            state.requests.push({ method: req.method, url: req.url, body });
+
+            const send = (code, data) => {
+                res.writeHead(code, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(data));
+            };
+
+            if (state.unavailable > 0) {
+                state.unavailable--;
+                return send(503, { error: 'booting' });
+            }
+            if (req.headers['access-code'] !== accessCode) {
+                return send(401, { error: 'unauthorized' });
+            }
+            switch (req.url) {
+                case '/test':
+                    return send(200, { node: { status: state.status } });
+                case '/run-miner-node':
+                    state.status = '1';
+                    return send(200, { success: true });
+                case '/stop-node':
+                    state.status = '0';
+                    return send(200, { success: true });
+                default:
+                    return send(404, { error: 'not found' });
+            }
+        }, delay));
+    });
+
+    return {
+        state,
+        server,
+        listen: (port = 0) => new Promise(resolve => server.listen(port, '127.0.0.1', () => resolve(server.address().port))),
+        close: () => new Promise(resolve => server.close(() => resolve()))
+    };
+}
+
+module.exports = createStandInServer;
@@ -0,0 +1,25 @@
+const startNode = require('../commands/node/start');
+const stopNode = require('../commands/node/stop');
+
+// Stops the node, runs work() and starts the node again, also when work()
+// failed. Then the work error is the one reported, a failed restart is only
+// a warning. `restart` is merged into the options of the restart.
+async function whileStopped(options, node, work, restart = {}) {
+    await stopNode({ ...options, disabledLogs: true });
+
+    let result;
+    try {
+        result = await work();
+    } catch (error) {
+        try {
+            await startNode({ ...options, ...restart });
+        } catch (restartError) {
+            console.log(`Warning: ${node.name} could not be restarted: ${restartError.message}`);
+        }
+        throw error;
+    }
+    await startNode({ ...options, ...restart });
+    return result;
+}
+
+module.exports = whileStopped;
@@ -0,0 +1,77 @@
+const os = require('os');
+const path = require('path');
+const profiles = require('./profiles');
+const getPathHelios = require('./utils/getPathHelios');
+const { CliError } = require('./errors');
+
+// Volume of a node as written in docker-compose.yml.
+function composeVolumePath(profile, nodeName) {
+    if (os.platform() === 'win32') {
+        const localAppData = process.env.LOCALAPPDATA || path.join(os.homedir(), 'AppData', 'Local');
+        // Docker don't like backslashes
+        return path.join(localAppData, 'Helios', profiles.containerName(profile, nodeName), '.heliades').replace(/\\/g, '/');
+    }
+    return `./data/${nodeName}/.heliades`;
+}
+
+function describeNode(options, profile, index) {
+    const name = `node${index + 1}`;
+    const pathHelios = getPathHelios(options);
+    const volumePath = composeVolumePath(profile, name);
+
+    return {
+        name,
+        index,
+        container: profiles.containerName(profile, name),
+        // host side of the /root/.heliades volume
+        dataPath: os.platform() === 'win32' ? volumePath : (pathHelios ? path.join(pathHelios, volumePath) : null),
+        managerPort: (options.argv.port || profile.port) + index
+    };
+}
+
+// Every node of the active profile (node1..nodeN, see `helios start N`).
+function getNodes(options) {
+    const profile = profiles.getActiveProfile(options);
+    return Array(profile.nodes).fill().map((x, i) => describeNode(options, profile, i));
+}
+
+// The node selected with --node (node1 by default). Accepts "node2" or "2".
+function getNode(options) {
+    const selected = options.argv.node === undefined ? 'node1' : String(options.argv.node);
+    const name = /^\d+$/.test(selected) ? `node${selected}` : selected;
+    const nodes = getNodes(options);
+    const node = nodes.find(x => x.name === name || x.container === name);
+
+    if (node == undefined) {
+        throw new CliError('NODE_NOT_FOUND', `Node ${selected} not found, available nodes: ${nodes.map(x => x.name).join(', ')}`);
+    }
+    return node;
+}
+
+// --all selects every node, otherwise the --node one.
+function selectNodes(options) {
+    if (options.argv.all) {
+        return getNodes(options);
+    }
+    return [getNode(options)];
+}
+
+// Run fn for each selected node, one after the other. Resolves with the
+// result of the single node, or with { nodeName: result } when --all is set.
+async function forEachNode(options, fn) {
+    const nodes = selectNodes(options);
+    const results = {};
+
+    for (const node of nodes) {
+        results[node.name] = await fn(node);
+    }
+    return options.argv.all ? results : results[nodes[0].name];
+}
+
+module.exports = {
+    composeVolumePath,
+    getNodes,
+    getNode,
+    selectNodes,
+    forEachNode
+};
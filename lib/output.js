@@ -0,0 +1,37 @@
+const { toErrorObject } = require('./errors');
+
+// In --json mode stdout only carries the final document: everything the
+// commands log with console.log is sent to stderr (ora already writes there).
+function captureLogs() {
+    const log = console.log;
+    console.log = console.error;
+    return () => {
+        console.log = log;
+    };
+}
+
+function writeDocument(document, fn = () => {}) {
+    process.stdout.write(JSON.stringify(document, null, 2) + '\n', () => fn());
+}
+
+function writeResult(command, data, fn) {
+    writeDocument({
+        command,
+        ok: true,
+        data: data === undefined ? null : data
+    }, fn);
+}
+
+function writeError(command, error, fn) {
+    writeDocument({
+        command,
+        ok: false,
+        error: toErrorObject(error)
+    }, fn);
+}
+
+module.exports = {
+    captureLogs,
+    writeResult,
+    writeError
+};
@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const DEFAULT_PROFILE = 'default';
+const DEFAULT_IMAGE = 'heliosfoundation/docker-helios-nodemanager:latest';
+
+const defaults = () => ({
+    path: null,
+    port: 8080,
+    nodes: 1,
+    image: DEFAULT_IMAGE
+});
+
+const cliConfigPath = () => path.join(os.homedir(), '.helios-cli');
+const profilesFilePath = () => path.join(cliConfigPath(), 'profiles.json');
+
+// Profiles live in ~/.helios-cli/profiles.json:
+// { "current": "default", "profiles": { "default": { "path": "...", "port": 8080, "nodes": 1, "image": "..." } } }
+// The legacy ~/.helios-cli/pwd file becomes the path of the default profile.
+function loadProfiles() {
+    if (fs.existsSync(profilesFilePath())) {
+        return JSON.parse(fs.readFileSync(profilesFilePath(), 'utf8'));
+    }
+    const config = {
+        current: DEFAULT_PROFILE,
+        profiles: {
+            [DEFAULT_PROFILE]: defaults()
+        }
+    };
+    const pwdFilePath = path.join(cliConfigPath(), 'pwd');
+    if (fs.existsSync(pwdFilePath)) {
+        config.profiles[DEFAULT_PROFILE].path = fs.readFileSync(pwdFilePath, 'utf8').trim();
+    }
+    return config;
+}
+
+function saveProfiles(config) {
+    if (!fs.existsSync(cliConfigPath())) {
+        fs.mkdirSync(cliConfigPath());
+    }
+    fs.writeFileSync(profilesFilePath(), JSON.stringify(config, null, 2));
+}
+
+// --profile, then $HELIOS_PROFILE, then the profile selected with `helios profile use`.
+function getActiveProfileName(options) {
+    const fromArgv = options && options.argv && options.argv.profile;
+    return fromArgv || process.env.HELIOS_PROFILE || loadProfiles().current || DEFAULT_PROFILE;
+}
+
+function getProfile(name) {
+    const profile = loadProfiles().profiles[name];
+    if (profile == undefined) {
+        return undefined;
+    }
+    return { name, ...defaults(), ...profile };
+}
+
+function getActiveProfile(options) {
+    const name = getActiveProfileName(options);
+    return getProfile(name) || { name, ...defaults() };
+}
+
+function updateProfile(name, values) {
+    const config = loadProfiles();
+    config.profiles[name] = { ...defaults(), ...config.profiles[name], ...values };
+    saveProfiles(config);
+    return { name, ...config.profiles[name] };
+}
+
+function removeProfile(name) {
+    const config = loadProfiles();
+    delete config.profiles[name];
+    if (config.current === name) {
+        config.current = DEFAULT_PROFILE;
+    }
+    saveProfiles(config);
+}
+
+function useProfile(name) {
+    const config = loadProfiles();
+    config.current = name;
+    saveProfiles(config);
+}
+
+// Containers of the default profile keep their historical names (node1, node2...)
+// so existing deployments are still found; other profiles are prefixed.
+function containerName(profile, nodeName = 'node1') {
+    if (profile.name === DEFAULT_PROFILE) {
+        return nodeName;
+    }
+    return `${profile.name}-${nodeName}`;
+}
+
+module.exports = {
+    DEFAULT_PROFILE,
+    DEFAULT_IMAGE,
+    loadProfiles,
+    saveProfiles,
+    getActiveProfileName,
+    getActiveProfile,
+    getProfile,
+    updateProfile,
+    removeProfile,
+    useProfile,
+    containerName
+};
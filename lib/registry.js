@@ -0,0 +1,183 @@
+const didYouMean = require('./utils/didYouMean');
+const { CliError } = require('./errors');
+
+const globalOptions = {
+    port: { type: 'number', alias: 'p', description: 'change debug port default --port=8080' },
+    version: { type: 'boolean', alias: 'v', description: 'Show version number' },
+    help: { type: 'boolean', alias: 'h', description: 'Show help' },
+    json: { type: 'boolean', description: 'Print the result as a single JSON document on stdout' },
+    profile: { type: 'string', description: 'Profile to use (default: $HELIOS_PROFILE or the one selected with helios profile use)' }
+};
+
+const commands = [
+    require('./commands/start'),
+    require('./commands/stop'),
+    require('./commands/install'),
+    require('./commands/update'),
+    require('./commands/reset'),
+    require('./commands/version'),
+    require('./commands/status'),
+    require('./commands/logs'),
+    require('./commands/pwd'),
+    require('./commands/generate-wallet'),
+    require('./commands/firewall'),
+    require('./commands/profile'),
+    require('./commands/node'),
+    require('./commands/genesis'),
+    require('./commands/server')
+];
+
+// Walk the positionals down the command tree.
+// Returns { command, path, rest, options, unknown } where `unknown` is the
+// first positional that matched nothing at the level it was looked up.
+function resolve(positionals = []) {
+    let level = commands;
+    let command = undefined;
+    let options = { ...globalOptions };
+    let path = [];
+    let i = 0;
+
+    while (i < positionals.length && level.length > 0) {
+        const name = String(positionals[i]);
+        const found = level.find(x => x.definition.name === name);
+
+        if (found == undefined) {
+            if (command == undefined || command.definition.subcommands.length > 0) {
+                return { command, path, rest: positionals.slice(i), options, unknown: name, candidates: level.map(x => x.definition.name) };
+            }
+            break;
+        }
+        command = found;
+        path.push(name);
+        options = { ...options, ...found.definition.options };
+        level = found.definition.subcommands;
+        i++;
+    }
+    return { command, path, rest: positionals.slice(i), options };
+}
+
+function findOption(options, key) {
+    if (options[key]) return [key, options[key]];
+    return Object.entries(options).find(([name, option]) => option.alias === key);
+}
+
+function coerce(name, option, value) {
+    if (Array.isArray(value) && !option.array) {
+        value = value[value.length - 1];
+    }
+    if (option.array) {
+        return [].concat(value).map(x => coerce(name, { ...option, array: false }, x));
+    }
+    switch (option.type) {
+        case 'number':
+            if (typeof value === 'boolean' || value === '' || !Number.isFinite(Number(value))) {
+                throw new CliError('INVALID_OPTION', `--${name} need number value.`);
+            }
+            return Number(value);
+        case 'boolean':
+            if (value === true || value === 'true') return true;
+            if (value === false || value === 'false') return false;
+            throw new CliError('INVALID_OPTION', `--${name} need boolean value.`);
+        default:
+            if (typeof value === 'boolean') {
+                throw new CliError('INVALID_OPTION', `--${name} need string value.`);
+            }
+            return String(value);
+    }
+}
+
+// Validate argv against the resolved command definition. Coerces option and
+// argument values in place and returns the list of errors (empty when valid).
+function validate(resolved, argv) {
+    const errors = [];
+
+    if (resolved.unknown != undefined) {
+        const suggestion = didYouMean(resolved.unknown, resolved.candidates);
+        errors.push(new CliError('UNKNOWN_COMMAND', `Command ${[...resolved.path, resolved.unknown].join(' ')} not found.` + (suggestion ? ` Did you mean ${[...resolved.path, suggestion].join(' ')}?` : '')));
+        return errors;
+    }
+
+    const definition = resolved.command.definition;
+    const commandName = ['helios', ...resolved.path].join(' ');
+
+    for (const key of Object.keys(argv)) {
+        if (key === '_' || key === '--') continue;
+
+        const found = findOption(resolved.options, key);
+        if (found == undefined) {
+            if (definition.passthrough) continue;
+            const suggestion = didYouMean(key, Object.keys(resolved.options));
+            errors.push(new CliError('UNKNOWN_OPTION', `Unknown option --${key} for ${commandName}.` + (suggestion ? ` Did you mean --${suggestion}?` : '')));
+            continue;
+        }
+        const [name, option] = found;
+        try {
+            argv[key] = coerce(name, option, argv[key]);
+        } catch (e) {
+            if (!errors.find(x => x.message === e.message)) errors.push(e);
+        }
+    }
+
+    for (const [name, option] of Object.entries(resolved.options)) {
+        if (argv[name] === undefined && option.default !== undefined) {
+            argv[name] = option.default;
+        }
+    }
+
+    const args = definition.args;
+    const variadic = args.length > 0 && args[args.length - 1].variadic;
+
+    if (!variadic && resolved.rest.length > args.length) {
+        errors.push(new CliError('TOO_MANY_ARGUMENTS', `Too many arguments for ${commandName}: ${resolved.rest.slice(args.length).join(' ')}`));
+    }
+    args.forEach((arg, i) => {
+        const values = arg.variadic ? resolved.rest.slice(i) : resolved.rest.slice(i, i + 1);
+        if (values.length == 0) {
+            if (arg.required) errors.push(new CliError('MISSING_ARGUMENT', `Missing argument <${arg.name}> for ${commandName}.`));
+            return;
+        }
+        if (arg.type === 'number' && values.some(x => !Number.isFinite(Number(x)))) {
+            errors.push(new CliError('INVALID_ARGUMENT', `<${arg.name}> need number value.`));
+        }
+    });
+
+    return errors;
+}
+
+// Named view of the positional arguments of a resolved command.
+function namedArgs(resolved) {
+    const args = {};
+    resolved.command.definition.args.forEach((arg, i) => {
+        if (arg.variadic) {
+            args[arg.name] = resolved.rest.slice(i);
+        } else if (resolved.rest[i] !== undefined) {
+            args[arg.name] = arg.type === 'number' ? Number(resolved.rest[i]) : String(resolved.rest[i]);
+        } else if (arg.default !== undefined) {
+            args[arg.name] = arg.default;
+        }
+    });
+    return args;
+}
+
+// yargs-parser configuration for a set of declared options.
+function parserConfig(options) {
+    const entries = Object.entries(options);
+    return {
+        alias: Object.fromEntries(entries.filter(([name, option]) => option.alias).map(([name, option]) => [name, option.alias])),
+        boolean: entries.filter(([name, option]) => option.type === 'boolean').map(([name]) => name),
+        string: entries.filter(([name, option]) => option.type === 'string').map(([name]) => name),
+        array: entries.filter(([name, option]) => option.array).map(([name]) => name),
+        configuration: {
+            'camel-case-expansion': false
+        }
+    };
+}
+
+module.exports = {
+    commands,
+    globalOptions,
+    resolve,
+    validate,
+    namedArgs,
+    parserConfig
+};
@@ -1,39 +1,50 @@
-const fs = require('fs');
-
 const path = require('path');
+const registry = require('./registry');
+const output = require('./output');
+const profiles = require('./profiles');
+const { CliError } = require('./errors');
 
 function run(argv, fn) {
     const command = argv.command;
+    const commandPath = argv.commandPath || [command];
 
     const currentDir = __dirname;
     const npmNodeModulesGlobalDir = path.join(currentDir, '..');
 
-    processCommand(command, {
+    const restoreLogs = argv.json ? output.captureLogs() : () => {};
+
+    processCommand(commandPath, {
         argv,
         pwd: process.cwd(),
         npmNodeModulesGlobalDir: npmNodeModulesGlobalDir,
-    }, err => {
+    }, (err, data) => {
+        restoreLogs();
+        if (argv.json) {
+            const done = () => fn(err ? 1 : 0);
+            err ? output.writeError(commandPath.join(' '), err, done) : output.writeResult(commandPath.join(' '), data, done);
+            return;
+        }
         if (err) console.error(err);
         fn(err ? 1 : 0);
     });
 };
 
-function processCommand(commandKey, env, fn) {
+function processCommand(commandPath, env, fn) {
+    const resolved = registry.resolve(commandPath);
+    const profileName = profiles.getActiveProfileName(env);
 
-    const commandsPath = path.join(env.npmNodeModulesGlobalDir, 'lib/commands');
-    const commands = [... fs.readdirSync(commandsPath)]
-        .filter(x => !['example.js'].includes(x)  && x.endsWith('.js'))
-        .map(x => [x, require(path.join(commandsPath, x))])
-        .map(x => ({ name: x[0].replace('.js', ''), use: x[1], type: 'normal' }));
-    const command = commands.find(x => x.name === commandKey);
+    if (commandPath[0] !== 'profile' && profileName !== profiles.DEFAULT_PROFILE && !profiles.getProfile(profileName)) {
+        fn(new CliError('PROFILE_NOT_FOUND', `Profile ${profileName} not found, create it with helios profile create ${profileName}`));
+        return;
+    }
 
-    if (command != undefined) {
-        command.use({ command: commandKey, ...env })
-            .then(() => fn())
-            .catch(error => fn(error))
+    if (resolved.command != undefined && resolved.unknown == undefined) {
+        resolved.command({ command: commandPath.join(' '), ...env })
+            .then((data) => fn(undefined, data))
+            .catch(error => fn(error || new CliError('COMMAND_FAILED', 'Command failed')))
     } else {
-        fn(`Command ${command} not found.`);
+        fn(new CliError('UNKNOWN_COMMAND', `Command ${commandPath.join(' ')} not found.`));
     }
 };
 
-module.exports = run;
\ No newline at end of file
+module.exports = run;
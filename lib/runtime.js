@@ -0,0 +1,108 @@
+const { CliError } = require('./errors');
+
+const RESTART_POLICIES = ['no', 'always', 'on-failure', 'unless-stopped'];
+
+// What the docker healthcheck calls inside the container. The Node Manager
+// answers as soon as the container is up (any status, the access code is not
+// sent); CometBFT /health only answers while the node itself runs.
+const HEALTHCHECKS = {
+    manager: 'http://127.0.0.1:8080/',
+    rpc: 'http://127.0.0.1:26657/health'
+};
+
+const DEFAULTS = {
+    restart: 'unless-stopped',
+    healthcheck: 'manager',
+    memory: null,
+    cpus: null,
+    logMaxSize: '50m',
+    logMaxFile: 5
+};
+
+const isSize = (value) => /^\d+(\.\d+)?[bkmg]?$/i.test(String(value));
+
+// Restart policy, healthcheck, resource limits and log rotation of the node
+// services: the profile ones, overridden by the options of helios start.
+function getRuntimeSettings(options, profile) {
+    const argv = options.argv;
+    const pick = (option, key) => argv[option] != undefined ? argv[option] : (profile[key] != undefined ? profile[key] : DEFAULTS[key]);
+    const settings = {
+        restart: pick('restart', 'restart'),
+        healthcheck: pick('healthcheck', 'healthcheck'),
+        memory: pick('memory', 'memory'),
+        cpus: pick('cpus', 'cpus'),
+        logMaxSize: pick('log-max-size', 'logMaxSize'),
+        logMaxFile: pick('log-max-file', 'logMaxFile')
+    };
+
+    // the limits are kept in the profile, this is how they are removed
+    if (settings.memory === 'none' || settings.memory === '0') settings.memory = null;
+    if (settings.cpus === 0) settings.cpus = null;
+
+    if (!RESTART_POLICIES.includes(settings.restart)) {
+        throw new CliError('INVALID_OPTION', `--restart ${settings.restart} unknown, available policies: ${RESTART_POLICIES.join(', ')}`);
+    }
+    if (HEALTHCHECKS[settings.healthcheck] == undefined) {
+        throw new CliError('INVALID_OPTION', `--healthcheck ${settings.healthcheck} unknown, available checks: ${Object.keys(HEALTHCHECKS).join(', ')}`);
+    }
+    if (settings.memory != null && !isSize(settings.memory)) {
+        throw new CliError('INVALID_OPTION', `--memory ${settings.memory} is not a size like 512m or 4g`);
+    }
+    if (settings.cpus != null && !(settings.cpus > 0)) {
+        throw new CliError('INVALID_OPTION', '--cpus need a positive number value.');
+    }
+    if (!isSize(settings.logMaxSize)) {
+        throw new CliError('INVALID_OPTION', `--log-max-size ${settings.logMaxSize} is not a size like 10m`);
+    }
+    if (!Number.isInteger(settings.logMaxFile) || settings.logMaxFile < 1) {
+        throw new CliError('INVALID_OPTION', '--log-max-file need a positive integer value.');
+    }
+    return settings;
+}
+
+// Keys added to every service of docker-compose.yml.
+function composeRuntime(settings) {
+    // node is the only thing sure to be in the image, curl and wget are not
+    const probe = `require('http').get('${HEALTHCHECKS[settings.healthcheck]}', (res) => process.exit(res.statusCode < 500 ? 0 : 1)).on('error', () => process.exit(1))`;
+    const limits = {};
+
+    if (settings.memory != null) limits.memory = String(settings.memory);
+    if (settings.cpus != null) limits.cpus = String(settings.cpus);
+
+    return {
+        restart: settings.restart,
+        healthcheck: {
+            test: ['CMD', 'node', '-e', probe],
+            interval: '30s',
+            timeout: '5s',
+            retries: 3,
+            start_period: '60s'
+        },
+        deploy: Object.keys(limits).length > 0 ? { resources: { limits } } : undefined,
+        logging: {
+            driver: 'json-file',
+            options: {
+                'max-size': String(settings.logMaxSize),
+                'max-file': String(settings.logMaxFile)
+            }
+        }
+    };
+}
+
+// Health of a container from its docker inspect: healthy, unhealthy, starting,
+// none (no healthcheck, compose written by an older helios) or null when not running.
+function healthStatus(inspect) {
+    if (inspect == null || inspect.State.Running !== true) {
+        return null;
+    }
+    return inspect.State.Health ? inspect.State.Health.Status : 'none';
+}
+
+module.exports = {
+    RESTART_POLICIES,
+    HEALTHCHECKS,
+    DEFAULTS,
+    getRuntimeSettings,
+    composeRuntime,
+    healthStatus
+};
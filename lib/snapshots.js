@@ -0,0 +1,226 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const { PassThrough } = require('stream');
+const tar = require('tar');
+const profiles = require('./profiles');
+const getPathHelios = require('./utils/getPathHelios');
+const { CliError } = require('./errors');
+
+const COMPRESSIONS = {
+    none: { extension: '.tar', compress: () => new PassThrough(), decompress: () => new PassThrough() },
+    gzip: { extension: '.tar.gz', compress: () => zlib.createGzip(), decompress: () => zlib.createGunzip() },
+    brotli: {
+        extension: '.tar.br',
+        compress: () => zlib.createBrotliCompress({ params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 5 } }),
+        decompress: () => zlib.createBrotliDecompress()
+    }
+};
+// zstd is only built in from Node 22.15
+if (typeof zlib.createZstdCompress === 'function') {
+    COMPRESSIONS.zstd = { extension: '.tar.zst', compress: () => zlib.createZstdCompress(), decompress: () => zlib.createZstdDecompress() };
+}
+
+const DEFAULT_COMPRESSION = 'gzip';
+
+// --dir, then $HELIOS_SNAPSHOT_DIR, then the profile snapshotDir, then <path>/snapshots.
+function getSnapshotDir(options) {
+    const profile = profiles.getActiveProfile(options);
+    const dir = options.argv.dir || process.env.HELIOS_SNAPSHOT_DIR || profile.snapshotDir;
+
+    if (dir) {
+        return path.resolve(dir);
+    }
+    const pathHelios = getPathHelios(options);
+    if (!pathHelios) {
+        throw new CliError('NO_DEPLOYMENT', 'No path found, please start a node first or use --dir');
+    }
+    return path.join(pathHelios, 'snapshots');
+}
+
+// chain-id of the node: client.toml when present, otherwise the head of the
+// genesis (an exported genesis can weigh gigabytes, chain_id is at the top).
+function readChainId(dataPath) {
+    try {
+        const clientToml = fs.readFileSync(path.join(dataPath, 'config/client.toml'), 'utf8');
+        const match = clientToml.match(/^chain-id\s*=\s*"([^"]+)"/m);
+        if (match) return match[1];
+    } catch (e) {}
+    try {
+        const fd = fs.openSync(path.join(dataPath, 'config/genesis.json'), 'r');
+        const buffer = Buffer.alloc(65536);
+        const read = fs.readSync(fd, buffer, 0, buffer.length, 0);
+        fs.closeSync(fd);
+        const match = buffer.slice(0, read).toString().match(/"chain_id"\s*:\s*"([^"]+)"/);
+        if (match) return match[1];
+    } catch (e) {}
+    return null;
+}
+
+function readHeight(dataPath) {
+    try {
+        return Number(JSON.parse(fs.readFileSync(path.join(dataPath, 'data/metadata.json'), 'utf8')).height);
+    } catch (e) {
+        return null;
+    }
+}
+
+const manifestPath = (dir, file) => path.join(dir, `${file}.json`);
+
+// Stream <dataPath>/data into <dir>/<name><extension> and write the manifest
+// next to it. The archive is written under a temporary name and renamed once
+// complete, so an interrupted snapshot never looks valid.
+async function createSnapshot(node, { dir, compression = DEFAULT_COMPRESSION, imageVersion = null }) {
+    const codec = COMPRESSIONS[compression];
+    if (codec == undefined) {
+        throw new CliError('INVALID_OPTION', `--compression ${compression} unknown, available: ${Object.keys(COMPRESSIONS).join(', ')}`);
+    }
+    const height = readHeight(node.dataPath);
+    const createdAt = new Date();
+    const name = `snapshot-${node.name}-${height != null ? height : 'unknown'}-${createdAt.toISOString().replace(/[-:]/g, '').replace(/\..*$/, '')}`;
+    const file = name + codec.extension;
+    const temporary = path.join(dir, `.${file}.partial`);
+    const hash = crypto.createHash('sha256');
+    const tap = new PassThrough();
+    let size = 0;
+
+    tap.on('data', (chunk) => {
+        hash.update(chunk);
+        size += chunk.length;
+    });
+    fs.mkdirSync(dir, { recursive: true });
+
+    try {
+        await pipeline(
+            tar.c({
+                cwd: node.dataPath,
+                portable: true,
+                // the signing state belongs to the validator, not to the chain data
+                filter: (entry) => path.basename(entry) !== 'priv_validator_state.json'
+            }, ['data']),
+            codec.compress(),
+            tap,
+            fs.createWriteStream(temporary)
+        );
+    } catch (error) {
+        fs.rmSync(temporary, { force: true });
+        throw new CliError('SNAPSHOT_FAILED', `Failed to create snapshot: ${error.message}`);
+    }
+    fs.renameSync(temporary, path.join(dir, file));
+
+    const manifest = {
+        name,
+        file,
+        node: node.name,
+        height,
+        chainId: readChainId(node.dataPath),
+        imageVersion,
+        compression,
+        sha256: hash.digest('hex'),
+        size,
+        createdAt: createdAt.toISOString()
+    };
+    fs.writeFileSync(manifestPath(dir, file), JSON.stringify(manifest, null, 2));
+    return { ...manifest, path: path.join(dir, file) };
+}
+
+// Every snapshot of the directory, newest first. Archives without manifest
+// are not snapshots made by helios and are left out.
+function listSnapshots(dir) {
+    if (!fs.existsSync(dir)) {
+        return [];
+    }
+    return fs.readdirSync(dir)
+        .filter(file => file.endsWith('.json') && fs.existsSync(path.join(dir, file.replace(/\.json$/, ''))))
+        .map(file => {
+            try {
+                const manifest = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+                return { ...manifest, path: path.join(dir, manifest.file) };
+            } catch (e) {
+                return null;
+            }
+        })
+        .filter(x => x != null && x.file != undefined)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// A snapshot of the directory by name or file name.
+function findSnapshot(dir, name) {
+    const snapshot = listSnapshots(dir).find(x => x.name === name || x.file === name);
+    if (snapshot == undefined) {
+        throw new CliError('SNAPSHOT_NOT_FOUND', `Snapshot ${name} not found in ${dir}`);
+    }
+    return snapshot;
+}
+
+function deleteSnapshot(dir, name) {
+    const snapshot = findSnapshot(dir, name);
+    fs.rmSync(snapshot.path, { force: true });
+    fs.rmSync(manifestPath(dir, snapshot.file), { force: true });
+    return snapshot;
+}
+
+// Keep the `keep` newest snapshots (per node when several nodes share the directory).
+function pruneSnapshots(dir, keep) {
+    const kept = {};
+    const deleted = [];
+
+    for (const snapshot of listSnapshots(dir)) {
+        kept[snapshot.node] = (kept[snapshot.node] || 0) + 1;
+        if (kept[snapshot.node] > keep) {
+            deleted.push(deleteSnapshot(dir, snapshot.file));
+        }
+    }
+    return deleted;
+}
+
+// Compression of an archive from its manifest or its extension.
+function compressionOf(file, manifest) {
+    if (manifest && COMPRESSIONS[manifest.compression]) {
+        return manifest.compression;
+    }
+    const found = Object.entries(COMPRESSIONS)
+        .sort(([, a], [, b]) => b.extension.length - a.extension.length)
+        .find(([, codec]) => file.endsWith(codec.extension));
+    if (found == undefined) {
+        throw new CliError('INVALID_ARGUMENT', `Unknown archive type ${path.basename(file)}, expected ${Object.values(COMPRESSIONS).map(x => x.extension).join(', ')}`);
+    }
+    return found[0];
+}
+
+async function sha256File(file) {
+    const hash = crypto.createHash('sha256');
+    await pipeline(fs.createReadStream(file), hash);
+    return hash.digest('hex');
+}
+
+// Extract the `data` directory of a snapshot into dataPath.
+async function extractSnapshot(file, compression, dataPath) {
+    try {
+        await pipeline(
+            fs.createReadStream(file),
+            COMPRESSIONS[compression].decompress(),
+            tar.x({ cwd: dataPath, strict: true })
+        );
+    } catch (error) {
+        throw new CliError('SNAPSHOT_FAILED', `Failed to extract ${path.basename(file)}: ${error.message}`);
+    }
+}
+
+module.exports = {
+    COMPRESSIONS,
+    DEFAULT_COMPRESSION,
+    getSnapshotDir,
+    readChainId,
+    readHeight,
+    createSnapshot,
+    listSnapshots,
+    findSnapshot,
+    deleteSnapshot,
+    pruneSnapshots,
+    compressionOf,
+    sha256File,
+    extractSnapshot
+};
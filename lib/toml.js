@@ -0,0 +1,152 @@
+const { CliError } = require('./errors');
+
+// Line based TOML reader/writer for the heliades config files. Values are
+// replaced where they stand so comments, order and spacing stay untouched.
+// Covers what config.toml, app.toml and client.toml use: tables, strings,
+// numbers, booleans and (multi-line) arrays; anything else is kept raw.
+
+const SECTION = /^[ \t]*\[([A-Za-z0-9_.-]+)\][ \t]*(#.*)?$/;
+const ARRAY_SECTION = /^[ \t]*\[\[/;
+const KEY = /^[ \t]*([A-Za-z0-9_-]+)[ \t]*=[ \t]*/;
+
+function skipSpace(text, pos) {
+    while (pos < text.length) {
+        if (/\s/.test(text[pos])) {
+            pos++;
+        } else if (text[pos] === '#') {
+            while (pos < text.length && text[pos] !== '\n') pos++;
+        } else {
+            break;
+        }
+    }
+    return pos;
+}
+
+function invalid(text, pos) {
+    const line = text.slice(0, pos).split('\n').length;
+    return new CliError('TOML_INVALID', `Cannot parse the TOML value at line ${line}`);
+}
+
+// Returns { value, type, end } for the value starting at text[pos].
+function parseValue(text, pos) {
+    const c = text[pos];
+
+    if (c === '"' && text.startsWith('"""', pos) || c === "'" && text.startsWith("'''", pos)) {
+        const quote = text.slice(pos, pos + 3);
+        const end = text.indexOf(quote, pos + 3);
+        if (end < 0) throw invalid(text, pos);
+        return { value: text.slice(pos + 3, end).replace(/^\r?\n/, ''), type: 'string', end: end + 3 };
+    }
+    if (c === '"') {
+        let end = pos + 1;
+        while (end < text.length && text[end] !== '"' && text[end] !== '\n') {
+            end += text[end] === '\\' ? 2 : 1;
+        }
+        if (text[end] !== '"') throw invalid(text, pos);
+        return { value: JSON.parse(text.slice(pos, end + 1)), type: 'string', end: end + 1 };
+    }
+    if (c === "'") {
+        const end = text.indexOf("'", pos + 1);
+        if (end < 0 || text.slice(pos, end).includes('\n')) throw invalid(text, pos);
+        return { value: text.slice(pos + 1, end), type: 'string', end: end + 1 };
+    }
+    if (c === '[') {
+        const value = [];
+        pos = skipSpace(text, pos + 1);
+        while (text[pos] !== ']') {
+            const item = parseValue(text, pos);
+            value.push(item.value);
+            pos = skipSpace(text, item.end);
+            if (text[pos] === ',') {
+                pos = skipSpace(text, pos + 1);
+            } else if (text[pos] !== ']') {
+                throw invalid(text, pos);
+            }
+        }
+        return { value, type: 'array', end: pos + 1 };
+    }
+
+    const match = /^[^\s#,\]]+/.exec(text.slice(pos));
+    if (!match) throw invalid(text, pos);
+    const raw = match[0];
+    const end = pos + raw.length;
+
+    if (raw === 'true' || raw === 'false') {
+        return { value: raw === 'true', type: 'boolean', end };
+    }
+    if (/^[+-]?(\d[\d_]*)(\.\d[\d_]*)?([eE][+-]?\d+)?$/.test(raw)) {
+        return { value: Number(raw.replace(/_/g, '')), type: 'number', end };
+    }
+    // dates, inline tables...: exposed as written
+    if (raw.startsWith('{')) {
+        const close = text.indexOf('}', pos);
+        if (close < 0) throw invalid(text, pos);
+        return { value: text.slice(pos, close + 1), type: 'raw', end: close + 1 };
+    }
+    return { value: raw, type: 'raw', end };
+}
+
+// Every `key = value` of the document, keyed by its dotted path
+// (e.g. p2p.persistent_peers), with the offsets of the value.
+function parse(text) {
+    const entries = [];
+    let section = '';
+    let pos = 0;
+
+    while (pos < text.length) {
+        const lineEnd = text.indexOf('\n', pos) < 0 ? text.length : text.indexOf('\n', pos);
+        const line = text.slice(pos, lineEnd);
+        const key = KEY.exec(line);
+
+        if (ARRAY_SECTION.test(line)) {
+            // array of tables: not addressable by a dotted key
+            section = null;
+        } else if (SECTION.test(line)) {
+            section = SECTION.exec(line)[1];
+        } else if (key && section !== null) {
+            const start = pos + key[0].length;
+            const parsed = parseValue(text, start);
+            entries.push({
+                key: section ? `${section}.${key[1]}` : key[1],
+                value: parsed.value,
+                type: parsed.type,
+                start,
+                end: parsed.end
+            });
+            pos = parsed.end;
+            continue;
+        }
+        pos = lineEnd + 1;
+    }
+    return entries;
+}
+
+function toObject(text) {
+    return Object.fromEntries(parse(text).map(x => [x.key, x.value]));
+}
+
+function formatValue(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(formatValue).join(', ')}]`;
+    }
+    if (typeof value === 'string') {
+        return JSON.stringify(value);
+    }
+    return String(value);
+}
+
+// Returns the document with the value of `key` replaced, the rest as is.
+function set(text, key, value, { raw = false } = {}) {
+    const entry = parse(text).find(x => x.key === key);
+    if (!entry) {
+        throw new CliError('CONFIG_KEY_UNKNOWN', `Unknown key ${key}`);
+    }
+    return text.slice(0, entry.start) + (raw ? value : formatValue(value)) + text.slice(entry.end);
+}
+
+module.exports = {
+    parse,
+    toObject,
+    formatValue,
+    set
+};
@@ -0,0 +1,27 @@
+const { CliError } = require('../errors');
+
+// Attach a declarative definition to a command function so the registry can
+// route, validate and document it. The function stays directly callable.
+//
+// definition = {
+//     name: 'rollback',
+//     description: 'Roll back the node state',
+//     args: [{ name: 'nodes', type: 'number', description: '...', required: false, variadic: false }],
+//     options: { blocks: { type: 'number', alias: 'b', description: '...', default: 1 } },
+//     subcommands: [ ...other defined commands ],
+//     passthrough: false, // accept unknown options (forwarded to another program)
+// }
+function defineCommand(definition, fn) {
+    const command = fn || ((options) => Promise.reject(new CliError('MISSING_COMMAND', 'Please specify a command.')));
+
+    command.definition = {
+        args: [],
+        options: {},
+        subcommands: [],
+        passthrough: false,
+        ...definition
+    };
+    return command;
+}
+
+module.exports = defineCommand;
@@ -0,0 +1,35 @@
+function distance(a, b) {
+    const rows = Array(a.length + 1).fill().map((x, i) => [i]);
+    for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            rows[i][j] = Math.min(
+                rows[i - 1][j] + 1,
+                rows[i][j - 1] + 1,
+                rows[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+    }
+    return rows[a.length][b.length];
+}
+
+// Returns the closest candidate to value, or undefined when nothing is close enough.
+function didYouMean(value, candidates) {
+    let best = undefined;
+    let bestDistance = Infinity;
+
+    for (const candidate of candidates) {
+        const d = distance(String(value).toLowerCase(), String(candidate).toLowerCase());
+        if (d < bestDistance) {
+            best = candidate;
+            bestDistance = d;
+        }
+    }
+    if (best === undefined || bestDistance > Math.max(2, Math.floor(String(value).length / 3))) {
+        return undefined;
+    }
+    return best;
+}
+
+module.exports = didYouMean;
@@ -0,0 +1,29 @@
+const fs = require('fs');
+const path = require('path');
+
+// Total size in bytes of the files under dirPath (symlinks are not followed).
+// Entries that cannot be read are skipped.
+async function directorySize(dirPath) {
+    let stat;
+    try {
+        stat = await fs.promises.lstat(dirPath);
+    } catch (e) {
+        return 0;
+    }
+    if (!stat.isDirectory()) {
+        return stat.size;
+    }
+    let entries = [];
+    try {
+        entries = await fs.promises.readdir(dirPath);
+    } catch (e) {
+        return 0;
+    }
+    let total = 0;
+    for (const entry of entries) {
+        total += await directorySize(path.join(dirPath, entry));
+    }
+    return total;
+}
+
+module.exports = directorySize;
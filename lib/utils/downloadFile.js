@@ -0,0 +1,49 @@
+const fs = require('fs');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { CliError } = require('../errors');
+
+// Download url to destination over HTTP(S). The bytes are written to
+// <destination>.partial first: running it again after an interruption asks
+// the server for the rest only (Range request), or starts over when the
+// server does not support ranges. onProgress(received, total) is optional.
+const downloadFile = async (url, destination, onProgress = () => {}) => {
+    const partial = `${destination}.partial`;
+    const offset = fs.existsSync(partial) ? fs.statSync(partial).size : 0;
+    let response;
+
+    try {
+        response = await fetch(url, { headers: offset > 0 ? { Range: `bytes=${offset}-` } : {} });
+    } catch (error) {
+        throw new CliError('DOWNLOAD_FAILED', `Failed to download ${url} (${error.cause ? error.cause.code || error.cause.message : error.message})`);
+    }
+
+    // the partial file already holds everything
+    if (response.status == 416 && offset > 0) {
+        fs.renameSync(partial, destination);
+        return { path: destination, size: offset, resumed: true };
+    }
+    if (response.status != 200 && response.status != 206) {
+        throw new CliError('DOWNLOAD_FAILED', `Failed to download ${url} status=${response.status}`);
+    }
+
+    const resumed = response.status == 206;
+    const length = Number(response.headers.get('content-length')) || 0;
+    const total = length > 0 ? length + (resumed ? offset : 0) : null;
+    let received = resumed ? offset : 0;
+
+    const body = Readable.fromWeb(response.body);
+    body.on('data', (chunk) => {
+        received += chunk.length;
+        onProgress(received, total);
+    });
+    try {
+        await pipeline(body, fs.createWriteStream(partial, { flags: resumed ? 'a' : 'w' }));
+    } catch (error) {
+        throw new CliError('DOWNLOAD_FAILED', `Download of ${url} interrupted at ${received} bytes, run the command again to resume (${error.message})`);
+    }
+    fs.renameSync(partial, destination);
+    return { path: destination, size: received, resumed };
+};
+
+module.exports = downloadFile;
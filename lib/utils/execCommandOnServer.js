@@ -1,8 +1,11 @@
 const fs = require("fs");
 const { NodeSSH } = require("node-ssh");
 const os = require("os");
+const { CliError } = require("../errors");
 
-const execCommandOnServer = async (server, command) => {
+// Resolves with the stdout of the command, printed unless `silent`. With
+// `strict`, a command that exits with a non-zero code rejects instead.
+const execCommandOnServer = async (server, command, { silent = false, strict = false } = {}) => {
     return new Promise(async (resolve, reject) => {
         const ssh = new NodeSSH();
 
@@ -12,7 +15,7 @@ const execCommandOnServer = async (server, command) => {
             if (fs.existsSync(os.homedir() + '/.ssh/id_rsa')) {
                 privateKey = fs.readFileSync(os.homedir() + '/.ssh/id_rsa', 'utf8');
             } else {
-                reject('SSH key not found. Please add a SSH key to your server or use a password.');
+                reject(new CliError('SSH_KEY_NOT_FOUND', 'SSH key not found. Please add a SSH key to your server or use a password.'));
                 return;
             }
         } else {
@@ -27,14 +30,24 @@ const execCommandOnServer = async (server, command) => {
         }).then(() => {
             return ssh.execCommand(command.join(' '));
         }).then(result => {
-            console.log(result.stdout);
-            if (result.stderr) {
-                console.log(result.stderr);
+            if (!silent) {
+                console.log(result.stdout);
+                if (result.stderr) {
+                    console.log(result.stderr);
+                }
             }
-            resolve();
+            ssh.dispose();
+            if (strict && result.code !== 0) {
+                reject(new CliError('REMOTE_COMMAND_FAILED', `${server.name || server.ip}: ${command.join(' ')} exited with code ${result.code}` + (result.stderr ? `: ${result.stderr.trim()}` : '')));
+                return;
+            }
+            resolve(result.stdout);
         }).catch(err => {
-            console.error('Erreur SSH :', err);
-            reject();
+            if (!silent) {
+                console.error('Erreur SSH :', err);
+            }
+            ssh.dispose();
+            reject(new CliError('SSH_FAILED', `${server.name || server.ip}: ${err.message}`));
         });
     });
 };
@@ -0,0 +1,12 @@
+function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${unit == 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+module.exports = formatBytes;
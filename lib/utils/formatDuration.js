@@ -0,0 +1,16 @@
+function formatDuration(seconds) {
+    seconds = Math.max(0, Math.floor(seconds));
+    const parts = [
+        [Math.floor(seconds / 86400), 'd'],
+        [Math.floor(seconds % 86400 / 3600), 'h'],
+        [Math.floor(seconds % 3600 / 60), 'm'],
+        [seconds % 60, 's']
+    ].filter(([value]) => value > 0);
+
+    if (parts.length == 0) {
+        return '0s';
+    }
+    return parts.slice(0, 2).map(([value, unit]) => `${value}${unit}`).join(' ');
+}
+
+module.exports = formatDuration;
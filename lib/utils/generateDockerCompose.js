@@ -1,41 +1,30 @@
 const yaml = require('yaml');
-const os = require('os');
-const path = require('path');
+const profiles = require('../profiles');
+const network = require('../network');
+const runtime = require('../runtime');
+const { composeVolumePath } = require('../nodes');
 
 const generateDockerCompose = (options) => {
+    const profile = profiles.getActiveProfile(options);
     let services = {};
-    let numberOfNodes = Number(options.argv["_"][1]) || 1;
-    let baseIp = 2;
-    let port = options.argv.port || 8080;
+    let numberOfNodes = Number(options.argv["_"][1]) || profile.nodes;
+    let port = options.argv.port || profile.port;
+    const settings = network.getNetworkSettings(options, profile, numberOfNodes);
+    network.checkPublishedPorts(settings, port, numberOfNodes);
+    const runtimeSettings = runtime.getRuntimeSettings(options, profile);
 
     for (let i = 0; i < numberOfNodes; i++) {
         let nodeName = `node${i + 1}`;
-        let volumePath = `./data/${nodeName}/.heliades`;
+        let containerName = profiles.containerName(profile, nodeName);
+        let volumePath = composeVolumePath(profile, nodeName);
 
-        if (os.platform() === 'win32') {
-            const localAppData = process.env.LOCALAPPDATA || path.join(os.homedir(), 'AppData', 'Local');
-            volumePath = path.join(localAppData, 'Helios', nodeName, '.heliades');
-            // Docker don't like backslashes
-            volumePath = volumePath.replace(/\\/g, '/');
-        }
         services[nodeName] = {
             build: "latest",
-            image: "heliosfoundation/docker-helios-nodemanager:latest",
-            container_name: nodeName,
-            ports: [
-                `${port + i}:8080`,
-                i === 0 ? `${4040}:4040` : undefined,
-                i === 0 ? `${8545}:8545` : undefined,
-                i === 0 ? `${8546}:8546` : undefined,
-                i === 0 ? `${8547}:8547` : undefined,
-                i === 0 ? `${1317}:1317` : undefined,
-                i === 0 ? `${26657}:26657` : undefined,
-                i === 0 ? `${26656}:26656` : undefined,
-                i === 0 ? `${10337}:10337` : undefined,
-                i === 0 ? `${9090}:9090` : undefined
-            ].filter((x) => x !== undefined),
+            image: profile.image,
+            container_name: containerName,
+            ports: network.publishedPorts(settings, port, i).map(network.composePort),
             networks: {
-                heliosnet: { ipv4_address: `192.168.1.${baseIp + i}` }
+                heliosnet: { ipv4_address: network.nodeAddress(settings.subnet, i) }
             },
             command: "npm run prod",
             environment: {
@@ -43,7 +32,8 @@ const generateDockerCompose = (options) => {
             },
             volumes: [
                 `${volumePath}:/root/.heliades`
-            ]
+            ],
+            ...runtime.composeRuntime(runtimeSettings)
         };
     }
 
@@ -52,12 +42,12 @@ const generateDockerCompose = (options) => {
         networks: {
             heliosnet: {
                 driver: "bridge",
-                ipam: { config: [{ subnet: "192.168.1.0/24" }] }
+                ipam: { config: [{ subnet: settings.subnet }] }
             }
         }
     };
 
-    return yaml.stringify(dockerCompose);
+    return yaml.stringify(dockerCompose, { lineWidth: 0 });
 };
 
 module.exports = generateDockerCompose;
\ No newline at end of file
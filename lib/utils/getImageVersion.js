@@ -1,11 +1,12 @@
 const executeShellCommand = require('./executeShellCommandLine');
+const { DEFAULT_IMAGE } = require('../profiles');
 
-module.exports = function getImageVersion() {
+module.exports = function getImageVersion(image = DEFAULT_IMAGE) {
     return new Promise((resolve, reject) => {
-        executeShellCommand(`docker inspect heliosfoundation/docker-helios-nodemanager:latest --format='{{index .Config.Labels "version"}}'`, (version) => {
+        executeShellCommand(`docker inspect ${image} --format='{{index .Config.Labels "version"}}'`, (version) => {
             resolve(version.trim());
         }, () => {
             reject();
         }, false, console.log);
     });
-}
\ No newline at end of file
+}
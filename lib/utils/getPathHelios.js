@@ -1,15 +1,9 @@
-const fs = require('fs');
-const path = require('path');
-const os = require('os');
+const profiles = require('../profiles');
 
-const getPathHelios = () => {
-    const homeDir = os.homedir();
-    const cliConfigPath = path.join(homeDir, '.helios-cli');
-    const pwdFilePath = path.join(cliConfigPath, 'pwd');
-    if (fs.existsSync(pwdFilePath)) {
-        return fs.readFileSync(pwdFilePath, 'utf8');
-    }
-    return null;
+// Compose directory of the active profile (see lib/profiles.js), or null when
+// the profile has never been started.
+const getPathHelios = (options) => {
+    return profiles.getActiveProfile(options).path || null;
 }
 
-module.exports = getPathHelios;
\ No newline at end of file
+module.exports = getPathHelios;
@@ -0,0 +1,35 @@
+// Merges items that each source sends in order, by key(item). An item is
+// passed to onItem as soon as every source still open has one queued, so
+// only the lines of the slowest source are held in memory.
+function mergeSorted(sources, key, onItem) {
+    const queues = new Map(sources.map(x => [x, []]));
+    const open = new Set(sources);
+
+    function flush() {
+        while (true) {
+            let oldest = null;
+            for (const [source, queue] of queues) {
+                if (queue.length == 0) {
+                    if (open.has(source)) return;
+                    continue;
+                }
+                if (oldest == null || key(queue[0]) < key(queues.get(oldest)[0])) oldest = source;
+            }
+            if (oldest == null) return;
+            onItem(queues.get(oldest).shift());
+        }
+    }
+
+    return {
+        push: (source, item) => {
+            queues.get(source).push(item);
+            flush();
+        },
+        end: (source) => {
+            open.delete(source);
+            flush();
+        }
+    };
+}
+
+module.exports = mergeSorted;
@@ -0,0 +1,45 @@
+const LEVELS = ['trace', 'debug', 'info', 'warn', 'error', 'fatal', 'panic'];
+
+const aliases = {
+    trc: 'trace', dbg: 'debug', inf: 'info', wrn: 'warn', err: 'error', ftl: 'fatal', pnc: 'panic',
+    d: 'debug', i: 'info', w: 'warn', e: 'error',
+    warning: 'warn'
+};
+
+const normalize = (level) => {
+    const lower = String(level).toLowerCase();
+    return LEVELS.includes(lower) ? lower : aliases[lower];
+};
+
+// Level of a heliades / CometBFT log line, or undefined when the line has none
+// (continuation of a multi-line message, output of another program...).
+// Understands the three formats the node can print:
+//   3:04PM INF committed state height=12 module=state      (cosmos-sdk console)
+//   I[2024-01-01|12:00:00.000] Executed block height=12     (legacy tendermint)
+//   {"level":"info","module":"state","height":12,...}       (--log_format json)
+function parseLogLevel(line) {
+    const text = line.replace(/\u001b\[[0-9;]*m/g, '').trim();
+
+    if (text.startsWith('{')) {
+        try {
+            const json = JSON.parse(text);
+            return json.level != undefined ? normalize(json.level) : undefined;
+        } catch (e) {
+            return undefined;
+        }
+    }
+    const console = text.match(/^(?:\S+\s+)?(TRC|DBG|INF|WRN|ERR|FTL|PNC)\b/);
+    if (console) {
+        return normalize(console[1]);
+    }
+    const tendermint = text.match(/^([DIWE])\[\d{4}-\d{2}-\d{2}/);
+    if (tendermint) {
+        return normalize(tendermint[1]);
+    }
+    return undefined;
+}
+
+parseLogLevel.LEVELS = LEVELS;
+parseLogLevel.normalize = normalize;
+
+module.exports = parseLogLevel;
@@ -0,0 +1,21 @@
+// "10m", "2h", "30s", "1d", a unix timestamp or a date -> unix seconds.
+// Returns undefined when the value cannot be understood.
+function parseSince(value, now = Date.now()) {
+    const text = String(value).trim();
+    const relative = text.match(/^(\d+)\s*(s|m|h|d)$/);
+
+    if (relative) {
+        const seconds = Number(relative[1]) * { s: 1, m: 60, h: 3600, d: 86400 }[relative[2]];
+        return Math.floor(now / 1000) - seconds;
+    }
+    if (/^\d+$/.test(text)) {
+        return Number(text);
+    }
+    const date = Date.parse(text);
+    if (!Number.isNaN(date)) {
+        return Math.floor(date / 1000);
+    }
+    return undefined;
+}
+
+module.exports = parseSince;
@@ -1,16 +1,7 @@
-const fs = require('fs');
-const path = require('path');
-const os = require('os');
+const profiles = require('../profiles');
 
-const savePathHelios = (pathOfExecution) => {
-    const homeDir = os.homedir();
-    const cliConfigPath = path.join(homeDir, '.helios-cli');
-
-    if (!fs.existsSync(cliConfigPath)) {
-        fs.mkdirSync(cliConfigPath);
-    }
-    const pwdFilePath = path.join(cliConfigPath, 'pwd');
-    fs.writeFileSync(pwdFilePath, pathOfExecution);
+const savePathHelios = (options, pathOfExecution) => {
+    profiles.updateProfile(profiles.getActiveProfileName(options), { path: pathOfExecution });
 }
 
-module.exports = savePathHelios;
\ No newline at end of file
+module.exports = savePathHelios;
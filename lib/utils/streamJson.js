@@ -0,0 +1,72 @@
+const fs = require('fs');
+const Parser = require('jsonparse');
+const { CliError } = require('../errors');
+
+// Parses a JSON file of any size, keeping in memory only what is asked for:
+// - each: { 'dotted.path': fn } arrays whose elements are given to fn one at a
+//   time and dropped right after
+// - keep: ['dotted.path'] subtrees kept in the returned document, a `*`
+//   segment matches any key
+// Everything else is dropped as soon as it is parsed.
+function streamJson(file, { each = {}, keep = [] } = {}) {
+    return new Promise((resolve, reject) => {
+        const parser = new Parser();
+        const callbacks = new Map(Object.entries(each));
+        const wanted = [...callbacks.keys(), ...keep].map(p => p.split('.'));
+        let root;
+        let failed = false;
+
+        // on the way to a wanted path, or inside one
+        const isWanted = (current) => {
+            const segments = current.split('.');
+            return wanted.some(p => p.slice(0, segments.length).every((x, i) => x === '*' || x === segments[i]));
+        };
+
+        parser.onValue = function (value) {
+            if (this.stack.length === 0) {
+                root = value;
+                return;
+            }
+            const parentPath = this.stack.slice(1).map(x => x.key).join('.');
+            const callback = callbacks.get(parentPath);
+
+            if (callback && Array.isArray(this.value)) {
+                callback(value);
+                // the next element lands at index 0 again
+                this.value.length = 0;
+                this.key = -1;
+                return;
+            }
+            if (!isWanted(parentPath ? `${parentPath}.${this.key}` : String(this.key))) {
+                delete this.value[this.key];
+            }
+        };
+        parser.onError = (error) => {
+            failed = true;
+            stream.destroy();
+            reject(new CliError('GENESIS_INVALID', `${file} is not valid JSON: ${error.message}`));
+        };
+
+        const stream = fs.createReadStream(file, { highWaterMark: 1024 * 1024 });
+        stream.on('data', (chunk) => {
+            try {
+                parser.write(chunk);
+            } catch (error) {
+                failed = true;
+                stream.destroy();
+                reject(error);
+            }
+        });
+        stream.on('error', (error) => reject(new CliError('FILE_NOT_FOUND', `Cannot read ${file}: ${error.message}`)));
+        stream.on('end', () => {
+            if (failed) return;
+            if (root === undefined) {
+                reject(new CliError('GENESIS_INVALID', `${file} is empty or truncated`));
+                return;
+            }
+            resolve(root);
+        });
+    });
+}
+
+module.exports = streamJson;
@@ -0,0 +1,19 @@
+const net = require('net');
+
+// Time in ms to open a TCP connection to host:port, null when it cannot be reached.
+function tcpLatency(host, port, timeout = 2000) {
+    return new Promise(resolve => {
+        const startedAt = process.hrtime.bigint();
+        const socket = net.connect({ host, port });
+        const done = (value) => {
+            socket.destroy();
+            resolve(value);
+        };
+
+        socket.setTimeout(timeout, () => done(null));
+        socket.once('error', () => done(null));
+        socket.once('connect', () => done(Math.round(Number(process.hrtime.bigint() - startedAt) / 1e5) / 10));
+    });
+}
+
+module.exports = tcpLatency;
@@ -0,0 +1,21 @@
+// Samples the memory of the process until the returned function is called,
+// which gives the peaks seen: { rss, heapUsed } in bytes.
+function trackPeakMemory(interval = 100) {
+    const peak = { rss: 0, heapUsed: 0 };
+    const sample = () => {
+        const usage = process.memoryUsage();
+        peak.rss = Math.max(peak.rss, usage.rss);
+        peak.heapUsed = Math.max(peak.heapUsed, usage.heapUsed);
+    };
+    const timer = setInterval(sample, interval);
+    timer.unref();
+    sample();
+
+    return () => {
+        clearInterval(timer);
+        sample();
+        return peak;
+    };
+}
+
+module.exports = trackPeakMemory;
@@ -1,6 +1,7 @@
 const fs = require("fs");
 const { NodeSSH } = require("node-ssh");
 const os = require("os");
+const { CliError } = require("../errors");
 
 const uploadFileOnServer = async (server, srcPath, destPath) => {
     return new Promise(async (resolve, reject) => {
@@ -11,7 +12,7 @@ const uploadFileOnServer = async (server, srcPath, destPath) => {
             if (fs.existsSync(os.homedir() + '/.ssh/id_rsa')) {
                 privateKey = fs.readFileSync(os.homedir() + '/.ssh/id_rsa', 'utf8');
             } else {
-                reject('SSH key not found. Please add a SSH key to your server or use a password.');
+                reject(new CliError('SSH_KEY_NOT_FOUND', 'SSH key not found. Please add a SSH key to your server or use a password.'));
                 return;
             }
         }
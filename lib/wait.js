@@ -0,0 +1,83 @@
+const fs = require('fs');
+const snapshots = require('./snapshots');
+const formatDuration = require('./utils/formatDuration');
+const { CliError } = require('./errors');
+
+const DEFAULT_TIMEOUT = 120;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// The Node Manager is briefly unreachable while the node restarts.
+const isTransient = (error) => ['NODE_MANAGER_UNREACHABLE', 'NODE_MANAGER_TIMEOUT', 'NODE_MANAGER_UNAVAILABLE'].includes(error.code);
+
+// Timeout of the waits in ms, from --wait-timeout (seconds, 0 waits forever).
+function waitTimeout(options, fallback = DEFAULT_TIMEOUT) {
+    const seconds = options && options.argv && options.argv['wait-timeout'] !== undefined ? options.argv['wait-timeout'] : fallback;
+    return seconds > 0 ? seconds * 1000 : Infinity;
+}
+
+// Poll check() until it returns a truthy value, which is returned.
+// Throws WAIT_TIMEOUT after `timeout` ms; `description` may be a function to
+// tell what was still missing at that time.
+async function waitUntil(check, { timeout = DEFAULT_TIMEOUT * 1000, interval = 1000, description = 'the node' } = {}) {
+    const deadline = Date.now() + timeout;
+
+    while (true) {
+        const value = await check();
+        if (value) {
+            return value;
+        }
+        if (Date.now() >= deadline) {
+            throw new CliError('WAIT_TIMEOUT', `Timed out after ${formatDuration(Math.round(timeout / 1000))} waiting for ${typeof description === 'function' ? description() : description}`);
+        }
+        await sleep(Math.min(interval, deadline - Date.now()));
+    }
+}
+
+async function nodeManagerStatus(client) {
+    try {
+        const testData = await client.test();
+        return testData && testData.node ? String(testData.node.status) : undefined;
+    } catch (error) {
+        if (isTransient(error)) return undefined;
+        throw error;
+    }
+}
+
+function waitUntilStopped(client, node, options = {}) {
+    return waitUntil(async () => await nodeManagerStatus(client) === '0', { ...options, description: `${node.name} to stop` });
+}
+
+function waitUntilRunning(client, node, options = {}) {
+    return waitUntil(async () => await nodeManagerStatus(client) === '1', { ...options, description: `${node.name} to run` });
+}
+
+// Resolves with the height once data/metadata.json reports at least `height`.
+function waitForHeight(node, height, options = {}) {
+    return waitUntil(() => {
+        const current = snapshots.readHeight(node.dataPath);
+        return current != null && current >= height ? current : false;
+    }, { ...options, description: `${node.name} to reach height ${height}` });
+}
+
+// Resolves once the file exists, is not empty and its size did not change
+// since the previous poll (still being written otherwise).
+function waitForFile(file, options = {}) {
+    let previousSize = -1;
+    return waitUntil(() => {
+        const size = fs.existsSync(file) ? fs.statSync(file).size : 0;
+        const ready = size > 0 && size === previousSize;
+        previousSize = size;
+        return ready;
+    }, { interval: 500, ...options, description: file });
+}
+
+module.exports = {
+    DEFAULT_TIMEOUT,
+    waitTimeout,
+    waitUntil,
+    waitUntilStopped,
+    waitUntilRunning,
+    waitForHeight,
+    waitForFile
+};
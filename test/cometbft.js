@@ -0,0 +1,62 @@
+const test = require('tap').test;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const cometbft = require('../lib/cometbft');
+const syncStatus = require('../lib/commands/node/sync-status');
+
+test('createCometClient reads /status and /net_info', async function (t) {
+  const server = http.createServer((req, res) => {
+    const result = req.url === '/status'
+      ? { node_info: { network: 'helios-1' }, sync_info: { catching_up: true, latest_block_height: '120', latest_block_time: '2025-01-01T00:00:00Z' } }
+      : { n_peers: '3' };
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ jsonrpc: '2.0', id: -1, result }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const client = cometbft.createCometClient(`http://127.0.0.1:${server.address().port}/`);
+
+  t.same(await client.status(), { network: 'helios-1', catchingUp: true, latestBlockHeight: 120, latestBlockTime: '2025-01-01T00:00:00Z' });
+  t.equal(await client.peers(), 3);
+  server.close();
+});
+
+test('createCometClient reports an unreachable RPC', async function (t) {
+  await t.rejects(cometbft.createCometClient('http://127.0.0.1:1', { timeout: 500 }).status(), { code: 'RPC_UNREACHABLE' });
+});
+
+test('nodeRpcUrl uses --rpc-url first', async function (t) {
+  t.equal(cometbft.nodeRpcUrl({ argv: { 'rpc-url': 'http://10.0.0.1:26657' } }, { index: 0 }), 'http://10.0.0.1:26657');
+});
+
+test('sync-status --wait rides out an RPC that is not up yet', async function (t) {
+  let requests = 0;
+  const server = http.createServer((req, res) => {
+    requests++;
+    if (requests <= 2) {
+      res.statusCode = 503;
+      return res.end();
+    }
+    const result = req.url === '/status'
+      ? { node_info: { network: 'helios-1' }, sync_info: { catching_up: requests < 6, latest_block_height: String(requests), latest_block_time: '' } }
+      : { n_peers: '1' };
+    res.end(JSON.stringify({ result }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), 'helios-'));
+  const previousHome = process.env.HOME;
+  process.env.HOME = home;
+  try {
+    const argv = (more) => ({ _: ['node', 'sync-status'], 'rpc-url': `http://127.0.0.1:${server.address().port}`, json: true, ...more });
+    const result = await syncStatus({ argv: argv({ wait: true, sample: 0.01, 'wait-timeout': 10 }) });
+    t.equal(result.synced, true);
+    t.equal(result.catchingUp, false);
+    await t.rejects(syncStatus({ argv: argv({ sample: 0 }) }), { code: 'INVALID_OPTION' });
+    await t.rejects(syncStatus({ argv: argv({ sample: -1 }) }), { code: 'INVALID_OPTION' });
+  } finally {
+    process.env.HOME = previousHome;
+    fs.rmSync(home, { recursive: true, force: true });
+    server.close();
+  }
+});
@@ -0,0 +1,123 @@
+const test = require('tap').test;
+const spawn = require('child_process').spawn;
+const path = require('path');
+const { getStreamChunk } = require('../lib/utils/test.util');
+const registry = require('../lib/registry');
+const didYouMean = require('../lib/utils/didYouMean');
+
+const execCommand = (cmds) => {
+  let arrayArgs = [
+      path.resolve(__dirname, '../bin/helios'),
+      ... cmds
+  ];
+  return spawn(process.execPath, arrayArgs);
+};
+
+const runCommand = (cmds, fn) => {
+  let ps = execCommand(cmds);
+  let errorStream = getStreamChunk();
+  let outStream = getStreamChunk();
+
+  ps.stderr.pipe(errorStream.stream);
+  ps.stdout.pipe(outStream.stream);
+
+  ps.on('close', function (code) {
+    fn(code, outStream.chunks.join(''), errorStream.chunks.join(''));
+  });
+};
+
+test('help lists every top level command', function (t) {
+  runCommand(['--help'], (code, stdout, stderr) => {
+    t.equal(code, 0);
+    for (const command of registry.commands) {
+      t.ok(stdout.includes(command.definition.name), `${command.definition.name} is listed`);
+    }
+    t.equal(stderr, '');
+    t.end();
+  });
+});
+
+test('help of a subcommand', function (t) {
+  runCommand(['help', 'node', 'rollback'], (code, stdout, stderr) => {
+    t.equal(code, 0);
+    t.ok(stdout.includes('helios node rollback'));
+    t.end();
+  });
+});
+
+test('--help after a subcommand prints its options', function (t) {
+  runCommand(['server', 'add', '--help'], (code, stdout, stderr) => {
+    t.equal(code, 0);
+    t.ok(stdout.includes('--useSSHKey'));
+    t.ok(stdout.includes('--ip <string>'));
+    t.end();
+  });
+});
+
+test('unknown option is rejected with a suggestion', function (t) {
+  runCommand(['server', 'add', '--useSshKey', '--ip=1.2.3.4'], (code, stdout, stderr) => {
+    t.equal(code, 1);
+    t.ok(stderr.includes('Unknown option --useSshKey'));
+    t.ok(stderr.includes('Did you mean --useSSHKey?'));
+    t.end();
+  });
+});
+
+test('badly typed option is rejected', function (t) {
+  runCommand(['start', '--port=bou'], (code, stdout, stderr) => {
+    t.equal(code, 1);
+    t.ok(stderr.includes('--port need number value.'));
+    t.end();
+  });
+});
+
+test('unknown subcommand is rejected with a suggestion', function (t) {
+  runCommand(['node', 'rolback'], (code, stdout, stderr) => {
+    t.equal(code, 1);
+    t.ok(stderr.includes('Did you mean node rollback?'));
+    t.end();
+  });
+});
+
+test('resolve walks the command tree', function (t) {
+  const resolved = registry.resolve(['node', 'heliades', 'status', 'extra']);
+  t.same(resolved.path, ['node', 'heliades']);
+  t.same(resolved.rest, ['status', 'extra']);
+  t.end();
+});
+
+test('validate coerces typed options', function (t) {
+  const resolved = registry.resolve(['server', 'add']);
+  const argv = { _: ['server', 'add'], useSSHKey: 'true', ip: 1234 };
+  t.same(registry.validate(resolved, argv), []);
+  t.equal(argv.useSSHKey, true);
+  t.equal(argv.ip, '1234');
+  t.end();
+});
+
+test('didYouMean', function (t) {
+  t.equal(didYouMean('stp', ['start', 'stop']), 'stop');
+  t.equal(didYouMean('zzzzzz', ['start', 'stop']), undefined);
+  t.end();
+});
+
+test('--json prints a single document on stdout', function (t) {
+  runCommand(['firewall', '--json'], (code, stdout, stderr) => {
+    t.equal(code, 0);
+    const document = JSON.parse(stdout);
+    t.equal(document.ok, true);
+    t.equal(document.command, 'firewall');
+    t.ok(document.data.ports.find(x => x.port === 8545));
+    t.end();
+  });
+});
+
+test('--json prints errors with a stable code', function (t) {
+  runCommand(['nod', '--json'], (code, stdout, stderr) => {
+    t.equal(code, 1);
+    const document = JSON.parse(stdout);
+    t.equal(document.ok, false);
+    t.equal(document.error.code, 'UNKNOWN_COMMAND');
+    t.end();
+  });
+});
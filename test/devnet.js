@@ -0,0 +1,70 @@
+const test = require('tap').test;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const devnet = require('../lib/devnet');
+
+function createNode(root, index) {
+  const node = { name: `node${index + 1}`, index, dataPath: path.join(root, `node${index + 1}`) };
+  fs.mkdirSync(path.join(node.dataPath, 'config/gentx'), { recursive: true });
+  fs.mkdirSync(path.join(node.dataPath, 'data/application.db'), { recursive: true });
+  fs.writeFileSync(path.join(node.dataPath, 'config/config.toml'), 'persistent_peers = "old@1.2.3.4:26656"\naddr_book_strict = true\nallow_duplicate_ip = false\n');
+  return node;
+}
+
+const validators = [
+  { node: 'node1', address: 'helios1one', nodeId: 'id1', ip: '192.168.1.2' },
+  { node: 'node2', address: 'helios1two', nodeId: 'id2', ip: '192.168.1.3' },
+  { node: 'node3', address: 'helios1three', nodeId: 'id3', ip: '192.168.1.4' }
+];
+
+test('devnet genesis is funded once and shared without previous gentxs', function (t) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'helios-'));
+  const list = [0, 1, 2].map(i => createNode(root, i));
+  const genesis = { app_state: { bank: { balances: [{ address: 'helios1one' }] }, genutil: { gen_txs: [{ old: true }] } } };
+
+  t.same(devnet.unfundedValidators(genesis, validators).map(x => x.node), ['node2', 'node3']);
+
+  fs.writeFileSync(path.join(list[1].dataPath, 'config/gentx/old.json'), '{}');
+  devnet.shareGenesis(list, genesis);
+  for (const node of list) {
+    t.same(JSON.parse(fs.readFileSync(path.join(node.dataPath, 'config/genesis.json'), 'utf8')).app_state.genutil.gen_txs, []);
+    t.notOk(fs.existsSync(path.join(node.dataPath, 'config/gentx')));
+  }
+
+  fs.rmSync(root, { recursive: true, force: true });
+  t.end();
+});
+
+test('devnet gentxs are gathered on the first node', function (t) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'helios-'));
+  const [first, second, third] = [0, 1, 2].map(i => createNode(root, i));
+  fs.writeFileSync(path.join(first.dataPath, 'config/gentx/gentx-1.json'), '1');
+  fs.writeFileSync(path.join(second.dataPath, 'config/gentx/gentx-2.json'), '2');
+  fs.writeFileSync(path.join(third.dataPath, 'config/gentx/gentx-3.json'), '3');
+
+  devnet.gatherGentxs(first, second);
+  devnet.gatherGentxs(first, third);
+  t.same(fs.readdirSync(path.join(first.dataPath, 'config/gentx')).sort(), ['gentx-1.json', 'gentx-2.json', 'gentx-3.json']);
+
+  fs.rmSync(root, { recursive: true, force: true });
+  t.end();
+});
+
+test('devnet nodes peer with every other validator on heliosnet', function (t) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'helios-'));
+  const node = createNode(root, 1);
+
+  const peers = devnet.persistentPeers(validators, node);
+  t.equal(peers, 'id1@192.168.1.2:26656,id3@192.168.1.4:26656');
+
+  devnet.configureNode(node, '{"chain_id":"42000"}', peers);
+  t.equal(fs.readFileSync(path.join(node.dataPath, 'config/genesis.json'), 'utf8'), '{"chain_id":"42000"}');
+  t.equal(fs.readFileSync(path.join(node.dataPath, 'config/config.toml'), 'utf8'),
+    `persistent_peers = "${peers}"\naddr_book_strict = false\nallow_duplicate_ip = true\n`);
+  t.same(JSON.parse(fs.readFileSync(path.join(node.dataPath, 'data/priv_validator_state.json'), 'utf8')), { height: '0', round: 0, step: 0 });
+  t.notOk(fs.existsSync(path.join(node.dataPath, 'data/application.db')));
+
+  fs.rmSync(root, { recursive: true, force: true });
+  t.end();
+});
@@ -0,0 +1,62 @@
+const test = require('tap').test;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const doubleSign = require('../lib/double-sign');
+
+const ADDRESS = 'AB'.repeat(20);
+
+function referenceRpc(network, signers) {
+  return http.createServer((req, res) => {
+    const result = req.url === '/status'
+      ? { node_info: { network }, sync_info: { catching_up: false, latest_block_height: '100', latest_block_time: '' } }
+      : { signed_header: { commit: { signatures: signers(Number(new URL(req.url, 'http://x').searchParams.get('height'))).map(x => ({ validator_address: x })) } } };
+    res.end(JSON.stringify({ result }));
+  });
+}
+
+test('guardDoubleSign refuses a key that signs on the network above the local signing state', async function (t) {
+  const node = { name: 'node1', dataPath: fs.mkdtempSync(path.join(os.tmpdir(), 'helios-')) };
+  fs.mkdirSync(path.join(node.dataPath, 'config'));
+  fs.writeFileSync(path.join(node.dataPath, 'config', 'genesis.json'), JSON.stringify({ chain_id: 'helios-1' }));
+  fs.writeFileSync(path.join(node.dataPath, 'config', 'priv_validator_key.json'), JSON.stringify({ address: ADDRESS, pub_key: { value: 'pub' } }));
+
+  const server = referenceRpc('helios-1', (height) => height == 99 ? [ADDRESS] : []);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const reference = `http://127.0.0.1:${server.address().port}`;
+  const options = (argv = {}) => ({ argv: { reference, ...argv } });
+
+  await t.rejects(doubleSign.guardDoubleSign(options(), node, { signingState: { height: '50' } }), { code: 'DOUBLE_SIGN_RISK', message: /signed block 99 of helios-1/ });
+  t.equal((await doubleSign.guardDoubleSign(options({ 'ignore-double-sign-risk': true }), node, { signingState: { height: '50' } }))[0].status, 'risk');
+  t.equal((await doubleSign.guardDoubleSign(options(), node, { signingState: { height: '99' } }))[0].status, 'ok');
+
+  fs.writeFileSync(path.join(node.dataPath, 'config', 'genesis.json'), JSON.stringify({ chain_id: 'helios-fork' }));
+  t.equal((await doubleSign.checkDoubleSign(options(), node, { signingState: { height: '0' } }))[0].status, 'skipped');
+
+  const env = process.env.HELIOS_REFERENCE_RPC;
+  delete process.env.HELIOS_REFERENCE_RPC;
+  try {
+    const [noReference] = await doubleSign.checkDoubleSign({ argv: {} }, node);
+    t.match(noReference, { name: 'signing-state', status: 'skipped', message: /pass --reference/ });
+
+    // falls back to the RPC of the persistent peers
+    fs.writeFileSync(path.join(node.dataPath, 'config', 'config.toml'), `[p2p]\npersistent_peers = "${'a'.repeat(40)}@127.0.0.1:1"\n`);
+    const [peers] = await doubleSign.checkDoubleSign({ argv: {} }, node);
+    t.match(peers, { status: 'skipped', message: /no reference RPC answered: .*127\.0\.0\.1:26657/ });
+  } finally {
+    if (env !== undefined) process.env.HELIOS_REFERENCE_RPC = env;
+  }
+
+  server.close();
+  fs.rmSync(node.dataPath, { recursive: true, force: true });
+});
+
+test('only the public keys a server reports count, a failed pub_key reads none', function (t) {
+  const document = (data, ok = true) => JSON.stringify({ command: 'node pub_key', ok, data });
+  t.same(doubleSign.serverConsensusKeys(document({ node1: { type: '/cosmos.crypto.ed25519.PubKey', key: 'pub' }, node2: { key: 'other' } })), ['pub', 'other']);
+  t.same(doubleSign.serverConsensusKeys(document(null, false)), []);
+  t.same(doubleSign.serverConsensusKeys('helios: command not found'), []);
+  t.same(doubleSign.serverConsensusKeys(''), []);
+  t.end();
+});
@@ -0,0 +1,59 @@
+const test = require('tap').test;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const genesisDiff = require('../lib/genesis-diff');
+
+function genesis(changes) {
+  const value = {
+    chain_id: '42000',
+    initial_height: '100',
+    app_state: {
+      auth: { params: { max_memo_characters: '256' }, accounts: [{ address: 'helios1a' }, { base_account: { address: 'helios1b' } }] },
+      bank: { params: { default_send_enabled: true }, balances: [
+        { address: 'helios1a', coins: [{ denom: 'ahelios', amount: '10' }] },
+        { address: 'helios1b', coins: [{ denom: 'ahelios', amount: '5' }, { denom: 'uatom', amount: '1' }] }
+      ] },
+      hyperion: { params: {}, sub_states: [{ hyperion_id: 1, batches: [{}], last_observed_nonce: '4' }] },
+      staking: { params: { unbonding_time: '1814400s' } }
+    }
+  };
+  changes(value);
+  return value;
+}
+
+test('diffGenesisFiles summarises accounts, balances, hyperion and params per module', async function (t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'helios-'));
+  const a = path.join(dir, 'a.json');
+  const b = path.join(dir, 'b.json');
+  fs.writeFileSync(a, JSON.stringify(genesis(() => {})));
+  fs.writeFileSync(b, JSON.stringify(genesis(g => {
+    g.initial_height = '1';
+    g.app_state.auth.accounts = [{ address: 'helios1a' }, { address: 'helios1c' }];
+    g.app_state.bank.balances = [
+      { address: 'helios1a', coins: [{ denom: 'ahelios', amount: '40' }] },
+      { address: 'helios1c', coins: [{ denom: 'ahelios', amount: '2' }] }
+    ];
+    g.app_state.hyperion.sub_states[0].batches = [];
+    g.app_state.staking.params.unbonding_time = '60s';
+  })));
+
+  const result = await genesisDiff.diffGenesisFiles(a, b, { top: 2 });
+  t.same(result.map(x => x.module), ['genesis', 'auth', 'bank', 'hyperion', 'staking']);
+  t.same(result[0].changes, [{ key: 'initial_height', from: '100', to: '1' }]);
+  t.same(result[1].accounts, { added: 1, removed: 1, addedSample: ['helios1c'], removedSample: ['helios1b'] });
+  t.same(result[2].balances, [
+    { denom: 'ahelios', from: '15', to: '42', delta: '27', changed: 3, topMovers: [
+      { address: 'helios1a', from: '10', to: '40', delta: '30' },
+      { address: 'helios1b', from: '5', to: '0', delta: '-5' }
+    ] },
+    { denom: 'uatom', from: '1', to: '0', delta: '-1', changed: 1, topMovers: [{ address: 'helios1b', from: '1', to: '0', delta: '-1' }] }
+  ]);
+  t.same(result[3].subStates, [{ hyperionId: '1', status: 'changed', fields: [{ field: 'batches', items: true, from: 1, to: 0 }] }]);
+  t.same(result[4].params, [{ key: 'unbonding_time', from: '1814400s', to: '60s' }]);
+
+  t.same((await genesisDiff.diffGenesisFiles(a, b, { modules: ['staking'] })).map(x => x.module), ['staking']);
+  await t.rejects(genesisDiff.diffGenesisFiles(a, b, { modules: ['stakin'] }), { code: 'UNKNOWN_MODULE', message: /Did you mean staking/ });
+
+  fs.rmSync(dir, { recursive: true, force: true });
+});
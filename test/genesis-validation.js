@@ -0,0 +1,67 @@
+const test = require('tap').test;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const validation = require('../lib/genesis-validation');
+
+function genesis() {
+  return {
+    chain_id: '42000',
+    initial_height: '100',
+    app_state: {
+      auth: { accounts: [
+        { '@type': '/cosmos.auth.v1beta1.BaseAccount', address: 'helios1a' },
+        { base_account: { address: 'helios1b' }, name: 'bonded_tokens_pool' }
+      ] },
+      bank: {
+        balances: [
+          { address: 'helios1a', coins: [{ denom: 'ahelios', amount: '10' }, { denom: 'uatom', amount: '2' }] },
+          { address: 'helios1b', coins: [{ denom: 'ahelios', amount: '5' }] }
+        ],
+        supply: [{ denom: 'ahelios', amount: '15' }, { denom: 'uatom', amount: '2' }],
+        denom_metadata: [{ base: 'ahelios', display: 'helios', denom_units: [{ denom: 'ahelios' }, { denom: 'helios' }] }]
+      },
+      erc20: { token_pairs: [{ erc20_address: '0x1', denom: 'ahelios' }] }
+    }
+  };
+}
+
+const problems = (report) => Object.fromEntries(report.checks.filter(x => x.problems).map(x => [x.name, x.messages]));
+
+test('validateGenesis accepts a consistent genesis', async function (t) {
+  const report = validation.validateGenesis(genesis());
+
+  t.ok(report.ok);
+  t.equal(report.errors, 0);
+  t.same(report.stats, { accounts: 2, balances: 2, denoms: 2 });
+  t.same(report.checks.map(x => x.name), validation.CHECKS);
+});
+
+test('validateGenesisFile reports what heliades would refuse', async function (t) {
+  const broken = genesis();
+  broken.chain_id = '';
+  broken.initial_height = '0';
+  broken.app_state.bank.balances.push(
+    { address: 'helios1c', coins: [{ denom: 'uatom', amount: '1' }, { denom: 'ahelios', amount: '0' }] },
+    { address: 'helios1a', coins: [] }
+  );
+  broken.app_state.erc20.token_pairs.push({ erc20_address: '0x2', denom: 'uatom' });
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'helios-'));
+  fs.writeFileSync(path.join(dir, 'genesis.json'), JSON.stringify(broken));
+  const report = await validation.validateGenesisFile(path.join(dir, 'genesis.json'));
+
+  t.notOk(report.ok);
+  t.same(problems(report), {
+    coins: ['balance of helios1c: zero amount of ahelios', 'balance of helios1c: coins not sorted by denom (uatom before ahelios)'],
+    supply: ['uatom: supply is 2 but balances sum to 3'],
+    duplicates: ['balance of helios1a listed twice in bank'],
+    accounts: ['balance of helios1c has no account in auth'],
+    'denom-metadata': ['token pair of uatom has no bank metadata'],
+    'initial-height': ['initial_height "0" is not a positive integer'],
+    'chain-id': ['chain_id is missing']
+  });
+  t.equal(report.errors, 8);
+
+  fs.rmSync(dir, { recursive: true, force: true });
+});
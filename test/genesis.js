@@ -0,0 +1,162 @@
+const test = require('tap').test;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const genesis = require('../lib/genesis');
+
+function exported() {
+  return {
+    initial_height: '100',
+    consensus: { validators: [{}] },
+    app_state: {
+      auth: { accounts: [
+        { base_account: { address: 'init', sequence: '4' } },
+        { base_account: { address: 'pool', sequence: '0' }, name: 'bonded_tokens_pool', permissions: ['burner', 'staking'] }
+      ] },
+      bank: { balances: [
+        { address: 'a', coins: [{ denom: 'ahelios', amount: '10' }] },
+        { address: 'dust', coins: [{ denom: 'ahelios', amount: '1' }] },
+        { address: 'pool', coins: [{ denom: 'ahelios', amount: '50000' }] },
+        { address: 'distribution', coins: [{ denom: 'ahelios', amount: '7' }] }
+      ], supply: [] },
+      staking: {
+        validators: [{}],
+        delegations: [{ delegator_address: 'b', asset_weights: [{ denom: 'uatom', base_amount: '3' }] }],
+        delegation_boosts: [{ delegator_address: 'a', amount: '5' }]
+      },
+      erc20: { token_pairs: [] },
+      hyperion: { sub_states: [{ batches: [{}], unbatched_transfers: [], batch_confirms: [] }] }
+    }
+  };
+}
+
+const template = () => ({ initial_height: '1', app_state: { auth: { params: {}, accounts: [] }, bank: {}, staking: { validators: [] } } });
+
+test('migrateGenesis applies the recipe and summarises every step', async function (t) {
+  const recipe = { ...genesis.DEFAULT_RECIPE, zeroAccounts: [{ address: 'distribution', label: 'distribution module' }], dust: [{ denom: 'ahelios', max: '2' }] };
+  const { genesis: result, summary } = genesis.migrateGenesis(exported(), template(), recipe, { initializer: 'init' });
+
+  t.same(result.app_state.bank.balances, [
+    { address: 'a', coins: [{ denom: 'ahelios', amount: '15' }] },
+    { address: 'pool', coins: [] },
+    { address: 'distribution', coins: [] },
+    { address: 'b', coins: [{ denom: 'uatom', amount: '3' }] }
+  ]);
+  t.equal(result.initial_height, '100');
+  t.same(result.app_state.staking, { validators: [] });
+  t.equal(result.app_state.auth.accounts[0].base_account.sequence, '0');
+  t.same(result.app_state.auth.params, {});
+  t.same(result.app_state.hyperion.sub_states[0].batches, []);
+  t.ok(summary.find(x => x.message === 'distribution module: 7ahelios removed'));
+  t.ok(summary.find(x => x.message === 'bonded_tokens_pool module account: 50000ahelios removed'));
+  t.ok(summary.find(x => x.step === 'dust' && /^1 balances/.test(x.message)));
+});
+
+test('loadRecipe merges a partial YAML recipe with the defaults and rejects unknown keys', async function (t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'helios-'));
+  fs.writeFileSync(path.join(dir, 'recipe.yaml'), 'resetSequences: all\nstaking:\n  returnBoosts: false\n');
+  fs.writeFileSync(path.join(dir, 'bad.json'), '{"keeps": []}');
+
+  const recipe = genesis.loadRecipe(path.join(dir, 'recipe.yaml'));
+  t.equal(recipe.resetSequences, 'all');
+  t.same(recipe.staking, { ...genesis.DEFAULT_RECIPE.staking, returnBoosts: false });
+  t.same(recipe.keep, genesis.DEFAULT_RECIPE.keep);
+  t.throws(() => genesis.loadRecipe(path.join(dir, 'bad.json')), { code: 'RECIPE_INVALID', message: /did you mean keep/ });
+
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('migrateGenesisFile streams the export to the same genesis as migrateGenesis', async function (t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'helios-'));
+  fs.writeFileSync(path.join(dir, 'export.json'), JSON.stringify(exported()));
+  fs.writeFileSync(path.join(dir, 'template.json'), JSON.stringify(template()));
+
+  const inMemory = genesis.migrateGenesis(exported(), template(), genesis.DEFAULT_RECIPE, { initializer: 'init' });
+  const streamed = await genesis.migrateGenesisFile(path.join(dir, 'export.json'), path.join(dir, 'template.json'), path.join(dir, 'out.json'), genesis.DEFAULT_RECIPE, { initializer: 'init' });
+
+  t.equal(fs.readFileSync(path.join(dir, 'out.json'), 'utf8'), JSON.stringify(inMemory.genesis, null, 2));
+  t.same(streamed.summary, inMemory.summary);
+  t.equal(streamed.initialHeight, '100');
+
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('migrateGenesis refunds pending Hyperion transfers to their senders', async function (t) {
+  const validation = require('../lib/genesis-validation');
+  const value = exported();
+  value.app_state.auth.accounts.push({ base_account: { address: 'hyperion-module' }, name: 'hyperion', permissions: ['minter', 'burner'] });
+  value.app_state.bank.balances.push({ address: 'hyperion-module', coins: [{ denom: 'ahelios', amount: '100' }] });
+  value.app_state.bank.supply = [{ denom: 'ahelios', amount: '50118' }];
+  value.app_state.bank.denom_metadata = [
+    { base: 'ahelios', chains_metadatas: [{ chain_id: 11155111, contract_address: '0xAAA', is_origin_chain: false }] },
+    { base: 'hyperion-1-0xbbb', chains_metadatas: [{ chain_id: 11155111, contract_address: '0xBBB', is_origin_chain: true }, { chain_id: 97, contract_address: '0xCCC', is_origin_chain: true }] }
+  ];
+  value.app_state.hyperion = {
+    params: { counterparty_chain_params: [{ hyperion_id: 1, bridge_chain_id: 11155111 }, { hyperion_id: 2, bridge_chain_id: 56 }] },
+    sub_states: [{
+      hyperion_id: 1,
+      batches: [{ transactions: [{ id: 1, sender: 'a', token: { contract: '0xaaa', amount: '100' }, fee: { contract: '0xaaa', amount: '2' } }] }],
+      unbatched_transfers: [
+        { id: 2, sender: 'c', token: { contract: '0xBBB', amount: '7' }, fee: { contract: '0xBBB', amount: '0' } },
+        { id: 3, sender: 'a', token: { contract: '0xDDD', amount: '1' } }
+      ],
+      batch_confirms: [{}]
+    }, {
+      // known bridge chain: a contract of another chain does not match
+      hyperion_id: 2,
+      batches: [],
+      unbatched_transfers: [{ id: 4, sender: 'c', token: { contract: '0xCCC', amount: '5' } }],
+      batch_confirms: []
+    }]
+  };
+  t.equal(validation.validateGenesis(value).checks.find(x => x.name === 'supply').status, 'ok');
+
+  const recipe = { ...genesis.DEFAULT_RECIPE, hyperion: { pendingTransfers: 'refund' }, dust: [] };
+  const { genesis: result, summary, refunds } = genesis.migrateGenesis(value, template(), recipe, { initializer: 'init' });
+  t.same(refunds.map(x => [x.id, x.sender, x.denom, x.amount, x.fee, x.escrowed, x.refunded]), [
+    [1, 'a', 'ahelios', '100', '2', true, true],
+    [2, 'c', 'hyperion-1-0xbbb', '7', '0', false, true],
+    [3, 'a', undefined, '1', '0', false, false],
+    [4, 'c', undefined, '5', '0', false, false]
+  ]);
+  const coins = (address) => (result.app_state.bank.balances.find(x => x.address === address) || {}).coins;
+  t.same(coins('a'), [{ denom: 'ahelios', amount: '117' }]);
+  t.same(coins('c'), [{ denom: 'hyperion-1-0xbbb', amount: '7' }]);
+  t.same(coins('hyperion-module'), []);
+  t.same(result.app_state.hyperion.sub_states[0].unbatched_transfers, []);
+  t.ok(summary.find(x => x.message === '2 pending transfers refunded to 2 senders (102ahelios, 7hyperion-1-0xbbb)'));
+  t.ok(summary.find(x => x.message === '102ahelios of the refunds taken from the hyperion module account'));
+  t.ok(summary.find(x => x.message === 'hyperion module account short of 2ahelios for the refunds, the difference is minted'));
+  t.ok(summary.find(x => /^2 pending transfers not refunded/.test(x.message)));
+
+  const check = validation.validateGenesis(result).checks.find(x => x.name === 'supply');
+  t.same(check.messages, []);
+  t.same(result.app_state.bank.supply, [{ denom: 'ahelios', amount: '125' }, { denom: 'hyperion-1-0xbbb', amount: '7' }, { denom: 'uatom', amount: '3' }]);
+});
+
+test('migrated genesis keeps a supply that matches its balances', async function (t) {
+  const validation = require('../lib/genesis-validation');
+  const consistent = () => {
+    const value = exported();
+    value.app_state.bank.balances[2].coins.push({ denom: 'uatom', amount: '3' });
+    value.app_state.bank.supply = [{ denom: 'ahelios', amount: '50018' }, { denom: 'uatom', amount: '3' }];
+    return value;
+  };
+  const supplyCheck = (genesisValue) => validation.validateGenesis(genesisValue).checks.find(x => x.name === 'supply');
+  t.equal(supplyCheck(consistent()).status, 'ok');
+
+  const recipe = { ...genesis.DEFAULT_RECIPE, dust: [{ denom: 'ahelios', max: '2' }] };
+  const { genesis: result, summary } = genesis.migrateGenesis(consistent(), template(), recipe, { initializer: 'init' });
+  t.same(result.app_state.bank.supply, [{ denom: 'ahelios', amount: '22' }, { denom: 'uatom', amount: '3' }]);
+  t.same(supplyCheck(result).messages, []);
+  t.ok(summary.find(x => x.step === 'supply' && x.message === 'supply set to the sum of the migrated balances: ahelios 50018 -> 22'));
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'helios-'));
+  fs.writeFileSync(path.join(dir, 'export.json'), JSON.stringify(consistent()));
+  fs.writeFileSync(path.join(dir, 'template.json'), JSON.stringify(template()));
+  await genesis.migrateGenesisFile(path.join(dir, 'export.json'), path.join(dir, 'template.json'), path.join(dir, 'out.json'), recipe, { initializer: 'init' });
+  const report = await validation.validateGenesisFile(path.join(dir, 'out.json'));
+  t.equal(report.checks.find(x => x.name === 'supply').status, 'ok');
+
+  fs.rmSync(dir, { recursive: true, force: true });
+});
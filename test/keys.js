@@ -0,0 +1,57 @@
+const test = require('tap').test;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const keys = require('../lib/keys');
+
+test('backupKeys encrypts the key material and writeKeys puts it back owner-only', async function (t) {
+  const node = { name: 'node1', dataPath: fs.mkdtempSync(path.join(os.tmpdir(), 'helios-')) };
+  const target = { name: 'node2', dataPath: fs.mkdtempSync(path.join(os.tmpdir(), 'helios-')) };
+  fs.mkdirSync(path.join(node.dataPath, 'config'));
+  fs.mkdirSync(path.join(node.dataPath, 'keyring-local'));
+  fs.writeFileSync(path.join(node.dataPath, 'config', 'priv_validator_key.json'), '{"priv_key":"x"}');
+  fs.writeFileSync(path.join(node.dataPath, 'keyring-local', 'user0.info'), 'key');
+
+  const backup = await keys.backupKeys(node, 'password1');
+  t.same(backup.files, ['config/priv_validator_key.json', 'keyring-local']);
+  t.notOk(JSON.stringify(backup).includes('priv_key'));
+  t.throws(() => keys.decrypt(backup, 'password2'), { code: 'WRONG_PASSWORD' });
+
+  const entries = await keys.unpack(keys.decrypt(backup, 'password1'));
+  t.same(entries.map(x => x.path), ['config/priv_validator_key.json', 'keyring-local/user0.info']);
+  t.same(keys.conflicts(node, entries), []);
+
+  fs.mkdirSync(path.join(target.dataPath, 'config'));
+  fs.writeFileSync(path.join(target.dataPath, 'config', 'priv_validator_key.json'), '{"priv_key":"y"}');
+  t.same(keys.conflicts(target, entries), ['config/priv_validator_key.json']);
+
+  keys.writeKeys(target, entries);
+  t.equal(fs.readFileSync(path.join(target.dataPath, 'config', 'priv_validator_key.json'), 'utf8'), '{"priv_key":"x"}');
+  t.equal(fs.statSync(path.join(target.dataPath, 'keyring-local', 'user0.info')).mode & 0o777, 0o600);
+  t.throws(() => keys.writeKeys(target, [{ path: '../escape', content: Buffer.from('') }]), { code: 'KEYS_BACKUP_INVALID' });
+
+  fs.rmSync(node.dataPath, { recursive: true, force: true });
+  fs.rmSync(target.dataPath, { recursive: true, force: true });
+});
+
+test('writeKeys never moves the signing state back', function (t) {
+  const node = { name: 'node1', dataPath: fs.mkdtempSync(path.join(os.tmpdir(), 'helios-')) };
+  const state = (height, round = 0, step = 0) => ({ height: String(height), round, step });
+  const entry = (x) => ({ path: 'data/priv_validator_state.json', content: Buffer.from(JSON.stringify(x)) });
+  const local = () => JSON.parse(fs.readFileSync(path.join(node.dataPath, 'data', 'priv_validator_state.json'), 'utf8'));
+  try {
+    t.ok(keys.compareSigningStates(state(10, 1), state(10, 0, 3)) > 0);
+    t.ok(keys.compareSigningStates(state(9, 5, 3), state(10)) < 0);
+
+    keys.writeKeys(node, [entry(state(100))]);
+    t.same(local(), state(100));
+    keys.writeKeys(node, [entry(state(50))]);
+    t.same(local(), state(100));
+    t.same(keys.signingStateToKeep(node, [entry(state(50))]), { state: state(100), local: true });
+    keys.writeKeys(node, [entry(state(100, 0, 2))]);
+    t.same(local(), state(100, 0, 2));
+  } finally {
+    fs.rmSync(node.dataPath, { recursive: true, force: true });
+  }
+  t.end();
+});
@@ -0,0 +1,42 @@
+const test = require('tap').test;
+const parseSince = require('../lib/utils/parseSince');
+const parseLogLevel = require('../lib/utils/parseLogLevel');
+const mergeSorted = require('../lib/utils/mergeSorted');
+
+test('parseSince understands durations, timestamps and dates', function (t) {
+  const now = Date.UTC(2024, 0, 1, 12);
+  t.equal(parseSince('10m', now), now / 1000 - 600);
+  t.equal(parseSince('2h', now), now / 1000 - 7200);
+  t.equal(parseSince('1700000000', now), 1700000000);
+  t.equal(parseSince('2024-01-01T00:00:00Z', now), Date.UTC(2024, 0, 1) / 1000);
+  t.equal(parseSince('yesterday', now), undefined);
+  t.end();
+});
+
+test('parseLogLevel reads heliades and CometBFT lines', function (t) {
+  t.equal(parseLogLevel('3:04PM INF committed state height=12 module=state'), 'info');
+  t.equal(parseLogLevel('\u001b[90m3:04PM\u001b[0m \u001b[31mERR\u001b[0m failed'), 'error');
+  t.equal(parseLogLevel('W[2024-01-01|12:00:00.000] Stopping peer module=p2p'), 'warn');
+  t.equal(parseLogLevel('{"level":"debug","module":"consensus"}'), 'debug');
+  t.equal(parseLogLevel('    at Object.<anonymous>'), undefined);
+  t.end();
+});
+
+test('mergeSorted prints a line once every open node has one', function (t) {
+  const printed = [];
+  const merge = mergeSorted(['node1', 'node2'], (x) => x, (x) => printed.push(x));
+  merge.push('node1', 1);
+  merge.push('node1', 4);
+  t.same(printed, []);
+  merge.push('node2', 2);
+  t.same(printed, [1, 2]);
+  merge.push('node2', 3);
+  merge.push('node2', 5);
+  t.same(printed, [1, 2, 3, 4]);
+  merge.end('node1');
+  t.same(printed, [1, 2, 3, 4, 5]);
+  merge.push('node2', 6);
+  merge.end('node2');
+  t.same(printed, [1, 2, 3, 4, 5, 6]);
+  t.end();
+});
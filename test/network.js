@@ -0,0 +1,66 @@
+const test = require('tap').test;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const yaml = require('yaml');
+const network = require('../lib/network');
+
+function compose(argv) {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), 'helios-'));
+  const previous = process.env.HOME;
+  process.env.HOME = home;
+  try {
+    return yaml.parse(require('../lib/utils/generateDockerCompose')({ argv: { _: ['start'], ...argv } }));
+  } finally {
+    process.env.HOME = previous;
+    fs.rmSync(home, { recursive: true, force: true });
+  }
+}
+
+test('default compose publishes every port of node1 on 192.168.1.0/24', function (t) {
+  const result = compose({ _: ['start', 2] });
+  t.same(result.services.node1.ports, ['8080:8080', '4040:4040', '8545:8545', '8546:8546', '8547:8547', '1317:1317', '26657:26657', '26656:26656', '10337:10337', '9090:9090']);
+  t.same(result.services.node2.ports, ['8081:8080']);
+  t.equal(result.services.node2.networks.heliosnet.ipv4_address, '192.168.1.3');
+  t.equal(result.networks.heliosnet.ipam.config[0].subnet, '192.168.1.0/24');
+  t.end();
+});
+
+test('role, bind, port offset and subnet change the compose', function (t) {
+  const result = compose({ _: ['start', 2], role: 'rpc', bind: '0.0.0.0,json-rpc=127.0.0.1', 'port-offset': 100, subnet: '10.42.0.0/16' });
+  t.same(result.services.node2.ports, ['8081:8080', '127.0.0.1:8645:8545', '8646:8546', '1417:1317', '26757:26657', '26756:26656', '9190:9090']);
+  t.equal(result.services.node1.networks.heliosnet.ipv4_address, '10.42.0.2');
+  t.equal(result.networks.heliosnet.ipam.config[0].subnet, '10.42.0.0/16');
+  t.end();
+});
+
+test('invalid network settings are rejected', function (t) {
+  t.throws(() => network.parseSubnet('192.168.1.0'), { code: 'INVALID_OPTION' });
+  t.throws(() => network.parseSubnet('10.0.0.0/30', 2), { code: 'INVALID_OPTION' });
+  t.throws(() => network.parseBind('json=127.0.0.1'), { code: 'INVALID_OPTION' });
+  t.throws(() => network.parseBind('localhost'), { code: 'INVALID_OPTION' });
+  t.end();
+});
+
+test('the node count must fit in the subnet and the host ports', function (t) {
+  const settings = (portOffset) => ({ role: 'archive', bind: { default: '0.0.0.0' }, portOffset, subnet: '10.0.0.0/16' });
+  t.doesNotThrow(() => network.checkPublishedPorts(settings(0), 8080, 200));
+  t.throws(() => network.checkPublishedPorts(settings(0), 65500, 40), { code: 'INVALID_OPTION', message: /node37 manager would be published on 65536/ });
+  t.throws(() => network.checkPublishedPorts(settings(1000), 8080, 40), { code: 'INVALID_OPTION', message: /node40 rpc would be published on 65657/ });
+  t.throws(() => network.checkPublishedPorts(settings(0), 8080, 0), { code: 'INVALID_OPTION' });
+  t.throws(() => network.checkPublishedPorts(settings(1), 8080, 2), { code: 'INVALID_OPTION', message: /node2 json-rpc and node1 ws would both be published on 8546/ });
+  t.throws(() => network.checkPublishedPorts(settings(0), 8080, 500), { code: 'INVALID_OPTION', message: /node466 manager and node1 json-rpc would both be published on 8545/ });
+  t.throws(() => compose({ _: ['start', 2], 'port-offset': 1 }), { code: 'INVALID_OPTION', message: /would both be published on 8546/ });
+  t.throws(() => compose({ _: ['start', 300] }), { code: 'INVALID_OPTION', message: /too small for 300 nodes/ });
+  t.end();
+});
+
+test('compose services restart, are health checked and rotate their logs', function (t) {
+  const service = compose({ memory: '4g', cpus: 2, 'log-max-size': '10m' }).services.node1;
+  t.equal(service.restart, 'unless-stopped');
+  t.same(service.healthcheck.test.slice(0, 3), ['CMD', 'node', '-e']);
+  t.same(service.deploy.resources.limits, { memory: '4g', cpus: '2' });
+  t.same(service.logging, { driver: 'json-file', options: { 'max-size': '10m', 'max-file': '5' } });
+  t.equal(compose({}).services.node1.deploy, undefined);
+  t.end();
+});
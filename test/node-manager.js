@@ -0,0 +1,125 @@
+const test = require('tap').test;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const createNodeManagerClient = require('../lib/node-manager/client');
+const createStandInServer = require('../lib/node-manager/stand-in-server');
+
+test('client calls the Node Manager with the access code', async function (t) {
+  const standIn = createStandInServer({ accessCode: 'secret' });
+  const port = await standIn.listen();
+  const client = createNodeManagerClient({ baseUrl: `http://127.0.0.1:${port}/`, accessCode: 'secret' });
+
+  t.same(await client.test(), { node: { status: '0' } });
+  await client.runMinerNode();
+  t.same(await client.test(), { node: { status: '1' } });
+  await client.stopNode();
+  t.equal(standIn.state.status, '0');
+  t.same(standIn.state.requests.map(x => x.url), ['/test', '/run-miner-node', '/test', '/stop-node']);
+
+  await standIn.close();
+});
+
+test('client retries while the Node Manager is booting', async function (t) {
+  const standIn = createStandInServer({ unavailable: 2 });
+  const port = await standIn.listen();
+  const client = createNodeManagerClient({ baseUrl: `http://127.0.0.1:${port}`, accessCode: 'secret', retries: 2, backoff: 10 });
+
+  t.same(await client.test(), { node: { status: '0' } });
+  t.equal(standIn.state.requests.length, 3);
+
+  await standIn.close();
+});
+
+test('client gives up with a typed error', async function (t) {
+  const standIn = createStandInServer({ unavailable: 5 });
+  const port = await standIn.listen();
+
+  await t.rejects(createNodeManagerClient({ baseUrl: `http://127.0.0.1:${port}`, accessCode: 'secret', retries: 1, backoff: 10 }).test(), { code: 'NODE_MANAGER_UNAVAILABLE' });
+  await t.rejects(createNodeManagerClient({ baseUrl: `http://127.0.0.1:${port}`, accessCode: 'wrong', retries: 0 }).test(), { code: 'NODE_MANAGER_UNAVAILABLE' });
+  standIn.state.unavailable = 0;
+  await t.rejects(createNodeManagerClient({ baseUrl: `http://127.0.0.1:${port}`, accessCode: 'wrong', retries: 3 }).test(), { code: 'NODE_MANAGER_UNAUTHORIZED' });
+
+  await standIn.close();
+});
+
+test('client times out', async function (t) {
+  const standIn = createStandInServer({ delay: 300 });
+  const port = await standIn.listen();
+  const client = createNodeManagerClient({ baseUrl: `http://127.0.0.1:${port}`, accessCode: 'secret', timeout: 50, retries: 0 });
+
+  await t.rejects(client.test(), { code: 'NODE_MANAGER_TIMEOUT' });
+
+  await standIn.close();
+});
+
+test('client reports an unreachable Node Manager', async function (t) {
+  const standIn = createStandInServer();
+  const port = await standIn.listen();
+  await standIn.close();
+
+  await t.rejects(createNodeManagerClient({ baseUrl: `http://127.0.0.1:${port}`, accessCode: 'secret', retries: 0 }).test(), { code: 'NODE_MANAGER_UNREACHABLE' });
+});
+
+test('node start and stop commands against the stand-in server', async function (t) {
+  const standIn = createStandInServer({ accessCode: 'secret' });
+  const port = await standIn.listen();
+
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), 'helios-cli-'));
+  const previousHome = process.env.HOME;
+  process.env.HOME = home;
+  try {
+    fs.mkdirSync(path.join(home, 'deployment/data/node1/.heliades'), { recursive: true });
+    fs.writeFileSync(path.join(home, 'deployment/data/node1/.heliades/.password'), 'secret\n');
+    require('../lib/profiles').updateProfile('default', { path: path.join(home, 'deployment'), port });
+
+    const startNode = require('../lib/commands/node/start');
+    const stopNode = require('../lib/commands/node/stop');
+
+    t.same(await startNode({ argv: { _: ['node', 'start'] } }), { status: 'started' });
+    t.equal(standIn.state.status, '1');
+    t.same(await startNode({ argv: { _: ['node', 'start'] } }), { status: 'already-running' });
+    t.same(await stopNode({ argv: { _: ['node', 'stop'] }, disabledLogs: true }), { status: 'stopped' });
+    t.equal(standIn.state.status, '0');
+  } finally {
+    process.env.HOME = previousHome;
+    fs.rmSync(home, { recursive: true, force: true });
+    await standIn.close();
+  }
+});
+
+test('whileStopped restarts the node and reports the error of the work', async function (t) {
+  const standIn = createStandInServer({ accessCode: 'secret' });
+  const port = await standIn.listen();
+
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), 'helios-cli-'));
+  const previousHome = process.env.HOME;
+  process.env.HOME = home;
+  try {
+    fs.mkdirSync(path.join(home, 'deployment/data/node1/.heliades'), { recursive: true });
+    fs.writeFileSync(path.join(home, 'deployment/data/node1/.heliades/.password'), 'secret\n');
+    require('../lib/profiles').updateProfile('default', { path: path.join(home, 'deployment'), port });
+
+    const whileStopped = require('../lib/node-manager/while-stopped');
+    const options = { argv: { _: ['node', 'snapshot', 'create'] }, disabledLogs: true, doubleSignChecked: true };
+    const node = { name: 'node1' };
+    standIn.state.status = '1';
+
+    t.equal(await whileStopped(options, node, async () => standIn.state.status), '0');
+    t.equal(standIn.state.status, '1');
+
+    await t.rejects(whileStopped(options, node, async () => {
+      throw new Error('archive failed');
+    }), { message: 'archive failed' });
+    t.equal(standIn.state.status, '1');
+
+    // the restart fails too, the work error is still the one reported
+    await t.rejects(whileStopped(options, node, async () => {
+      await standIn.close();
+      throw new Error('archive failed');
+    }), { message: 'archive failed' });
+  } finally {
+    process.env.HOME = previousHome;
+    fs.rmSync(home, { recursive: true, force: true });
+  }
+});
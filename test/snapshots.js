@@ -0,0 +1,93 @@
+const test = require('tap').test;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const tar = require('tar');
+const snapshots = require('../lib/snapshots');
+
+function fakeNode(root, height) {
+  const dataPath = path.join(root, 'node1', '.heliades');
+  fs.mkdirSync(path.join(dataPath, 'data', 'application.db'), { recursive: true });
+  fs.mkdirSync(path.join(dataPath, 'config'), { recursive: true });
+  fs.writeFileSync(path.join(dataPath, 'data', 'metadata.json'), JSON.stringify({ height }));
+  fs.writeFileSync(path.join(dataPath, 'data', 'application.db', '000001.log'), 'x'.repeat(10000));
+  fs.writeFileSync(path.join(dataPath, 'data', 'priv_validator_state.json'), '{}');
+  fs.writeFileSync(path.join(dataPath, 'config', 'genesis.json'), '{"genesis_time":"2024-01-01T00:00:00Z","chain_id":"42000","app_state":{}}');
+  return { name: 'node1', dataPath };
+}
+
+test('snapshot archives the data with a manifest', async function (t) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'helios-'));
+  const dir = path.join(root, 'snapshots');
+  const snapshot = await snapshots.createSnapshot(fakeNode(root, 120), { dir, compression: 'gzip', imageVersion: 'v0.0.35' });
+
+  t.equal(snapshot.height, 120);
+  t.equal(snapshot.chainId, '42000');
+  t.equal(snapshot.size, fs.statSync(snapshot.path).size);
+  t.equal(snapshot.sha256, require('crypto').createHash('sha256').update(fs.readFileSync(snapshot.path)).digest('hex'));
+  t.same(snapshots.listSnapshots(dir).map(x => x.name), [snapshot.name]);
+
+  const entries = [];
+  await tar.t({ file: snapshot.path, onentry: (entry) => entries.push(entry.path) });
+  t.ok(entries.includes('data/application.db/000001.log'));
+  t.notOk(entries.includes('data/priv_validator_state.json'));
+
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('prune keeps the newest snapshots', async function (t) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'helios-'));
+  const dir = path.join(root, 'snapshots');
+  const node = fakeNode(root, 1);
+  for (const compression of ['none', 'gzip', 'brotli']) {
+    const snapshot = await snapshots.createSnapshot(node, { dir, compression });
+    // names hold the second, keep them apart
+    const manifestPath = `${snapshot.path}.json`;
+    const manifest = JSON.parse(fs.readFileSync(manifestPath));
+    manifest.createdAt = new Date(Date.now() + ['none', 'gzip', 'brotli'].indexOf(compression) * 1000).toISOString();
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest));
+  }
+  t.equal(snapshots.listSnapshots(dir).length, 3);
+
+  const deleted = snapshots.pruneSnapshots(dir, 1);
+  t.same(deleted.map(x => x.compression).sort(), ['gzip', 'none']);
+  t.same(snapshots.listSnapshots(dir).map(x => x.compression), ['brotli']);
+  t.throws(() => snapshots.deleteSnapshot(dir, 'missing'), { code: 'SNAPSHOT_NOT_FOUND' });
+
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('snapshot extracts back and downloads resume', async function (t) {
+  const http = require('http');
+  const downloadFile = require('../lib/utils/downloadFile');
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'helios-'));
+  const snapshot = await snapshots.createSnapshot(fakeNode(root, 7), { dir: path.join(root, 'snapshots'), compression: 'brotli' });
+  const content = fs.readFileSync(snapshot.path);
+  const ranges = [];
+
+  const server = http.createServer((req, res) => {
+    ranges.push(req.headers.range || null);
+    const start = req.headers.range ? Number(req.headers.range.match(/bytes=(\d+)-/)[1]) : 0;
+    res.writeHead(start > 0 ? 206 : 200, { 'Content-Length': content.length - start });
+    res.end(content.slice(start));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  const destination = path.join(root, 'download', snapshot.file);
+  fs.mkdirSync(path.dirname(destination));
+  fs.writeFileSync(`${destination}.partial`, content.slice(0, 100));
+  const result = await downloadFile(`http://127.0.0.1:${server.address().port}/${snapshot.file}`, destination);
+  server.close();
+
+  t.ok(result.resumed);
+  t.same(ranges, ['bytes=100-']);
+  t.equal(await snapshots.sha256File(destination), snapshot.sha256);
+
+  const target = path.join(root, 'restored');
+  fs.mkdirSync(target);
+  await snapshots.extractSnapshot(destination, snapshots.compressionOf(destination), target);
+  t.equal(JSON.parse(fs.readFileSync(path.join(target, 'data', 'metadata.json'))).height, 7);
+
+  fs.rmSync(root, { recursive: true, force: true });
+});
@@ -0,0 +1,64 @@
+const test = require('tap').test;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const status = require('../lib/commands/status');
+const formatBytes = require('../lib/utils/formatBytes');
+const formatDuration = require('../lib/utils/formatDuration');
+const directorySize = require('../lib/utils/directorySize');
+
+async function withHome(fn) {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), 'helios-'));
+  const previous = process.env.HOME;
+  process.env.HOME = home;
+  try {
+    return await fn();
+  } finally {
+    process.env.HOME = previous;
+    fs.rmSync(home, { recursive: true, force: true });
+  }
+}
+
+test('formatBytes and formatDuration', function (t) {
+  t.equal(formatBytes(0), '0 B');
+  t.equal(formatBytes(1023), '1023 B');
+  t.equal(formatBytes(1536), '1.5 KB');
+  t.equal(formatBytes(5 * 1024 ** 3), '5.0 GB');
+  t.equal(formatBytes(2 * 1024 ** 5), '2048.0 TB');
+  t.equal(formatDuration(0), '0s');
+  t.equal(formatDuration(-5), '0s');
+  t.equal(formatDuration(59.9), '59s');
+  t.equal(formatDuration(3725), '1h 2m');
+  t.equal(formatDuration(90061), '1d 1h');
+  t.end();
+});
+
+test('directorySize sums the files without following symlinks', async function (t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'helios-'));
+  try {
+    fs.writeFileSync(path.join(dir, 'a'), 'x'.repeat(100));
+    fs.mkdirSync(path.join(dir, 'data'));
+    fs.writeFileSync(path.join(dir, 'data', 'b'), 'x'.repeat(50));
+    fs.symlinkSync(path.join(dir, 'data'), path.join(dir, 'link'));
+    t.equal(await directorySize(path.join(dir, 'data')), 50);
+    t.equal(await directorySize(dir), 150 + fs.lstatSync(path.join(dir, 'link')).size);
+    t.equal(await directorySize(path.join(dir, 'missing')), 0);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('status reports every node of the profile', async function (t) {
+  const result = await withHome(() => status({ argv: { _: ['status'], json: true, interval: 5 } }));
+  t.same(Object.keys(result), ['profile', 'path', 'cliVersion', 'nodes']);
+  t.equal(result.profile, 'default');
+  t.same(result.nodes.map(x => x.name), ['node1']);
+  t.same(Object.keys(result.nodes[0]), ['name', 'container', 'state', 'health', 'healthLog', 'restartCount', 'startedAt', 'uptime', 'image', 'imageVersion', 'nodeManager', 'height', 'ports', 'dataSize']);
+});
+
+test('status rejects an interval that is not a positive number', async function (t) {
+  for (const interval of [0, -1, NaN, Infinity]) {
+    await t.rejects(status({ argv: { _: ['status'], watch: true, interval } }), { code: 'INVALID_OPTION' });
+  }
+  await t.rejects(status({ argv: { _: ['status'], watch: true, json: true, interval: 5 } }), { code: 'INVALID_OPTION' });
+});
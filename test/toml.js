@@ -0,0 +1,69 @@
+const test = require('tap').test;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const toml = require('../lib/toml');
+const nodeConfig = require('../lib/node-config');
+
+const text = `# comment
+log_level = "info"
+
+[p2p]
+persistent_peers = "" # kept
+max_num_inbound_peers = 40
+seeds_list = ["a",
+  "b", # inline
+]
+
+[api]
+enable = false
+`;
+
+test('parse reads dotted keys and typed values', async function (t) {
+  t.same(toml.toObject(text), {
+    log_level: 'info',
+    'p2p.persistent_peers': '',
+    'p2p.max_num_inbound_peers': 40,
+    'p2p.seeds_list': ['a', 'b'],
+    'api.enable': false
+  });
+});
+
+test('set only rewrites the value', async function (t) {
+  const updated = toml.set(toml.set(text, 'api.enable', true), 'p2p.seeds_list', ['c']);
+  t.equal(updated, text.replace('enable = false', 'enable = true').replace(/\["a",[^\]]*\]/, '["c"]'));
+  t.throws(() => toml.set(text, 'api.enabled', true), { code: 'CONFIG_KEY_UNKNOWN' });
+});
+
+test('coerce follows the type of the key and the known rules', async function (t) {
+  const entries = toml.parse(text);
+  const entry = (key) => entries.find(x => x.key === key);
+
+  t.equal(nodeConfig.coerce(entry('api.enable'), 'true'), true);
+  t.equal(nodeConfig.coerce(entry('p2p.max_num_inbound_peers'), '50'), 50);
+  t.same(nodeConfig.coerce(entry('p2p.seeds_list'), 'x, y'), ['x', 'y']);
+  t.throws(() => nodeConfig.coerce(entry('api.enable'), 'yes'), { code: 'INVALID_VALUE' });
+  t.throws(() => nodeConfig.coerce(entry('p2p.persistent_peers'), 'node@host'), { code: 'INVALID_VALUE' });
+  t.throws(() => nodeConfig.findEntry(text, 'p2p.persistent_peer'), { message: /did you mean p2p.persistent_peers/ });
+});
+
+test('removePeer and forgetPeer drop a peer from config.toml and the address book', async function (t) {
+  const id = 'a'.repeat(40);
+  const other = `${'b'.repeat(40)}@10.0.0.2:26656`;
+  const node = { name: 'node1', dataPath: fs.mkdtempSync(path.join(os.tmpdir(), 'helios-')) };
+  fs.mkdirSync(path.join(node.dataPath, 'config'));
+  fs.writeFileSync(path.join(node.dataPath, 'config', 'config.toml'), `[p2p]\nseeds = ""\npersistent_peers = "${id}@10.0.0.1:26656,${other}" # peers\n`);
+  fs.writeFileSync(path.join(node.dataPath, 'config', 'addrbook.json'), JSON.stringify({ addrs: [{ addr: { id } }] }));
+
+  t.same(nodeConfig.parsePeer(other), { id: 'b'.repeat(40), host: '10.0.0.2', port: 26656, address: other });
+  t.throws(() => nodeConfig.parsePeer('node@host'), { code: 'INVALID_ARGUMENT' });
+
+  const edit = nodeConfig.removePeer(node, id);
+  t.same(edit.changed, ['p2p.persistent_peers']);
+  t.ok(fs.existsSync(edit.backup));
+  t.equal(fs.readFileSync(path.join(node.dataPath, 'config', 'config.toml'), 'utf8'), `[p2p]\nseeds = ""\npersistent_peers = "${other}" # peers\n`);
+  t.equal(nodeConfig.forgetPeer(node, id), 1);
+  t.same(nodeConfig.removePeer(node, id).changed, []);
+
+  fs.rmSync(node.dataPath, { recursive: true, force: true });
+});
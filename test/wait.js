@@ -0,0 +1,32 @@
+const test = require('tap').test;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const wait = require('../lib/wait');
+
+test('waitUntil returns the first truthy value', async function (t) {
+  let calls = 0;
+  t.equal(await wait.waitUntil(() => ++calls >= 3 && calls, { interval: 10 }), 3);
+});
+
+test('waitUntil times out with a clear error', async function (t) {
+  await t.rejects(wait.waitUntil(() => false, { timeout: 50, interval: 10, description: 'node1 to stop' }), {
+    code: 'WAIT_TIMEOUT',
+    message: 'Timed out after 0s waiting for node1 to stop'
+  });
+});
+
+test('waitForHeight and waitForFile poll the node data', async function (t) {
+  const dataPath = fs.mkdtempSync(path.join(os.tmpdir(), 'helios-'));
+  fs.mkdirSync(path.join(dataPath, 'data'));
+  fs.writeFileSync(path.join(dataPath, 'data', 'metadata.json'), JSON.stringify({ height: 9 }));
+  setTimeout(() => fs.writeFileSync(path.join(dataPath, 'data', 'metadata.json'), JSON.stringify({ height: 10 })), 100);
+
+  t.equal(await wait.waitForHeight({ name: 'node1', dataPath }, 10, { interval: 20, timeout: 2000 }), 10);
+
+  const file = path.join(dataPath, 'genesis.json');
+  setTimeout(() => fs.writeFileSync(file, '{}'), 100);
+  t.ok(await wait.waitForFile(file, { interval: 20, timeout: 2000 }));
+
+  fs.rmSync(dataPath, { recursive: true, force: true });
+});